@@ -4,24 +4,69 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
     CallToolRequestSchema,
+    ErrorCode,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
     ListToolsRequestSchema,
+    McpError,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
+import { realpathSync } from "fs";
 import fs from "fs/promises";
 import path from "path";
-import { createWriteStream } from "fs";
-import { promisify } from "util";
-import { pipeline } from "stream";
-import AdmZip from "adm-zip";
-import os from "os";
+import { fileURLToPath } from "url";
+import { loadConfig } from "./src/config.js";
+import { availablePath, checkConflictStrategy, CONFLICT_STRATEGIES, planTransfer } from "./src/conflicts.js";
+import { createZip, ENCRYPTION_METHODS } from "./src/create-zip.js";
+import { resolveAssetType } from "./src/asset-profiles.js";
+import { ARCHIVE_CLEANUP, checkCleanupOptions, compareWithArchive, describeCleanup, describeLeftover, findLeftoverFolders, LEFTOVER_ACTIONS } from "./src/cleanup.js";
+import { chooseKeeper, DUPLICATE_ACTIONS, findDuplicateGroups, KEEP_CHOICES } from "./src/duplicates.js";
+import { createEntryFilter } from "./src/entry-filter.js";
+import { detectArchiveFormat, findArchives, listArchiveEntries, stripArchiveExtension, supportedFormatNames } from "./src/archive/index.js";
+import { describeExtracted, extractArchiveFile, formatFilteredOut, formatNested, formatRejected } from "./src/extract.js";
+import { extensionOf, formatSize, summarizeByExtension } from "./src/format.js";
+import { isInside, PathPolicy } from "./src/path-policy.js";
+import { Journal, withoutSecrets } from "./src/journal.js";
+import { compilePipelineTools, describeSteps } from "./src/pipeline.js";
+import { describeSkip, describeTransfer, extractOperation, formatPlan, formatSkipped } from "./src/plan.js";
+import { compileRename, NAME_CASES } from "./src/rename.js";
+import { describeResource, readResource, resourcePath, ResourceWatcher, rootTemplates } from "./src/resources.js";
+import { describeRoots } from "./src/roots.js";
+import { describeInspection, inspectSvg, MAX_INSPECT_BYTES } from "./src/svg/inspect.js";
+import { DEFAULT_OPTIMIZE_OPTIONS, formatOptimization, optimizeSvg } from "./src/svg/optimize.js";
+import { compact, extractionResult, fileResult, operationResult, OUTPUT_SCHEMAS, transferResult } from "./src/results.js";
+import { findMatchingRule, parseSize, renderDestination } from "./src/rules.js";
+import { moveToTrash } from "./src/trash.js";
+import { pendingActions, removeEmptyDirectories, undoOperation } from "./src/undo.js";
+import { compilePipelines, DownloadsWatcher, pipelineArgs, WatchHistory } from "./src/watch.js";
+
+// Downloads listed by resources/list; older ones are still readable by URI
+const MAX_LISTED_DOWNLOADS = 100;
+// JSON-RPC error code MCP uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+export class FileManagerServer {
+    constructor(config = loadConfig()) {
+        this.config = config;
+        // Named roots ("downloads", "documents", plus any configured extras)
+        this.roots = config.roots;
+        // Every path a tool touches is authorized against the roots
+        this.paths = new PathPolicy(this.roots);
+        // Record of every change made, for undo_operation
+        this.journal = new Journal(config.journal.path, { maxOperations: config.journal.maxOperations });
+        // Folders behind subscribed resources
+        this.watcher = new ResourceWatcher();
+        // What the Downloads watcher did, for watch_history
+        this.history = new WatchHistory(config.watch.historyPath, { maxEntries: config.watch.maxHistory });
+        this.downloadsWatcher = null;
+        // Pipelines are offered as tools, so they can't take the name of a built-in one
+        const builtInTools = this.toolDefinitions([]).map((tool) => tool.name);
+        this.pipelines = compilePipelineTools(config.pipelines, config.assetProfiles, builtInTools);
+        // What the Downloads watcher runs on new archives, by built-in tool or pipeline name
+        this.watchPipelines = compilePipelines(config.watch.pipelines, this.pipelines.map((pipeline) => pipeline.name));
 
-const pipelineAsync = promisify(pipeline);
-
-// Get user's Downloads and Documents directories
-const DOWNLOADS_DIR = path.join(os.homedir(), "Downloads");
-const DOCUMENTS_DIR = path.join(os.homedir(), String.raw`OneDrive\Documents`);
-
-class FileManagerServer {
-    constructor() {
         this.server = new Server(
             {
                 name: "file-manager",
@@ -30,6 +75,8 @@ class FileManagerServer {
             {
                 capabilities: {
                     tools: {},
+                    resources: { subscribe: true, listChanged: true },
+                    logging: {},
                 },
             }
         );
@@ -44,993 +91,2779 @@ class FileManagerServer {
         };
 
         process.on("SIGINT", async () => {
+            this.watcher.close();
+            this.downloadsWatcher?.stop();
             await this.server.close();
             process.exit(0);
         });
     }
 
-    setupHandlers() {
-        // List available tools
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-            tools: [
-                {
-                    name: "unzip_file",
-                    description:
-                        "Unzip a file from the Downloads directory. You can specify where to extract it, or it will extract to Downloads by default.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            filename: {
-                                type: "string",
-                                description: "Name of the zip file in Downloads (e.g., 'archive.zip')",
-                            },
-                            destination: {
-                                type: "string",
-                                description: "Optional: Where to extract files (defaults to Downloads). Use 'downloads' or 'documents' or a specific path.",
-                            },
-                        },
-                        required: ["filename"],
+    /**
+     * The tools listed by tools/list: the built-in ones, then one per configured pipeline.
+     */
+    toolDefinitions(pipelines = this.pipelines) {
+        const roots = describeRoots(this.roots);
+        const formats = supportedFormatNames().join(", ");
+        const profiles = Object.entries(this.config.assetProfiles)
+            .map(([name, profile]) => `${name} (${profile.extensions.join(", ")})`)
+            .join("; ");
+
+        // How the organizer tools pick which files to handle
+        const assetTypeOptions = {
+            profile: {
+                type: "string",
+                description: `Asset profile naming the file types to handle: ${profiles}`,
+            },
+            extensions: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional: File extensions to handle instead of a profile (e.g., ['png', 'webp'])",
+            },
+        };
+
+        // Every tool that changes the filesystem can preview its changes instead
+        const dryRunOption = {
+            dry_run: {
+                type: "boolean",
+                description: "Optional: Only list the planned operations (sources, destinations, renames to avoid name clashes, overwrites) without changing anything (default: false)",
+            },
+        };
+
+        // Every tool that moves or copies files into a folder that may already hold them
+        const conflictOption = {
+            on_conflict: {
+                type: "string",
+                enum: CONFLICT_STRATEGIES,
+                description: `Optional: What to do when a file with the same name already exists (default: ${this.config.conflicts.strategy}): rename (keep both, numbering the new one), skip-if-identical (leave the file where it is if the same contents are already there), overwrite (undo_operation can put the replaced file back), keep-newer (overwrite only if the incoming file is newer), or fail (change nothing)`,
+            },
+        };
+
+        // Tools that gather files from a folder tree into one destination
+        const structureOptions = {
+            preserve_structure: {
+                type: "boolean",
+                description: "Optional: Keep each file's folder path (relative to the source folder or archive) under the destination, e.g. 'outline/arrows/left.svg', instead of putting every file directly in it (default: false)",
+            },
+            strip_components: {
+                type: "number",
+                description: "Optional: Leading folders to drop from each path when keeping structure, e.g. 1 turns 'icon-pack-v2/outline/left.svg' into 'outline/left.svg'. Implies preserve_structure. File names are never dropped.",
+            },
+        };
+
+        // Every tool that moves or copies files can rename them on the way
+        const renameOption = {
+            rename: {
+                type: "object",
+                description: "Optional: Rename files as they are moved or copied, e.g. 'Icon=Arrow, Size=24, Style=Filled.svg' -> 'icon-arrow-style-filled.svg' with { case: 'kebab', strip_size: true }. Steps run in the order listed. Use dry_run to preview old -> new names.",
+                properties: {
+                    strip_size: {
+                        type: "boolean",
+                        description: "Remove size tokens such as 'Size=24', '24px', '16x16', '@2x' or a standalone '-24'",
+                    },
+                    template: {
+                        type: "string",
+                        description: "New name without extension, from {name} (the current name), {archive} (the archive the file came from), {index} (position in the batch) and {date} (modification date, yyyy-mm-dd), e.g. '{archive}-{name}' (default: '{name}')",
+                    },
+                    prefix: {
+                        type: "string",
+                        description: "Text to put before the name",
+                    },
+                    suffix: {
+                        type: "string",
+                        description: "Text to put after the name (before the extension)",
+                    },
+                    case: {
+                        type: "string",
+                        enum: NAME_CASES,
+                        description: "keep (default), lower, kebab (icon-arrow-left) or snake (icon_arrow_left)",
                     },
                 },
-                {
-                    name: "move_svg_files",
-                    description:
-                        "Find and move all SVG files from Downloads to Documents directory. Can move to a specific subfolder in Documents (e.g., 'DoorHanger', 'Icons', 'Graphics').",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            source: {
-                                type: "string",
-                                description: "Optional: Source directory to search for SVG files (defaults to Downloads). Can be a path relative to Downloads if unzipping created a subfolder.",
-                            },
-                            subfolder: {
-                                type: "string",
-                                description: "Optional: Subfolder name in Documents where SVG files should be moved (e.g., 'DoorHanger', 'Projects/Icons'). Will be created if it doesn't exist.",
-                            },
+            },
+        };
+
+        // Tools that extract into Downloads and move the files out can tidy up after themselves
+        const cleanupOption = {
+            cleanup: {
+                type: "object",
+                description: "Optional: Tidy Downloads once the files are moved (default: leave everything)",
+                properties: {
+                    extraction_folder: {
+                        type: "boolean",
+                        description: "Delete the extracted files that weren't moved and the extraction folder, once empty. Files the extraction didn't write are never deleted.",
+                    },
+                    archive: {
+                        type: "string",
+                        enum: ARCHIVE_CLEANUP,
+                        description: `What to do with the archive: keep (default), processed (move it to ${this.config.cleanup.processedFolder}) or trash`,
+                    },
+                },
+            },
+        };
+
+        // Tools that bring SVGs into a library can clean them up on the way
+        const optimizeOption = {
+            optimize_svg: {
+                type: "object",
+                description: "Optional: Optimise and sanitise each SVG as it is moved (other file types are left alone); pass {} for the defaults. Only moved files are rewritten, at their destination, so skipped files keep their original contents and an undo restores them. The response lists the size saved per file.",
+                properties: {
+                    strip_metadata: {
+                        type: "boolean",
+                        description: "Remove comments, the XML declaration, <metadata> and editor data such as Inkscape or Sketch attributes (default: true)",
+                    },
+                    sanitize: {
+                        type: "boolean",
+                        description: "Remove <script>, <foreignObject>, event handlers, javascript: links and references to external files (default: true)",
+                    },
+                    precision: {
+                        type: "number",
+                        description: `Decimal places to round coordinates to (default: ${DEFAULT_OPTIMIZE_OPTIONS.precision}; -1 to leave numbers alone)`,
+                    },
+                    current_color: {
+                        type: "boolean",
+                        description: "Replace fill and stroke colors with currentColor so the icon follows the text color (default: false)",
+                    },
+                },
+            },
+        };
+
+        // Options shared by every tool that extracts an archive
+        const extractionOptions = {
+            ...dryRunOption,
+            overwrite: {
+                type: "boolean",
+                description: "Optional: Replace files that already exist in the extraction folder (default: false, existing files are skipped and reported)",
+            },
+            include: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional: Glob patterns of archive entries to extract (e.g., ['icons/**/*.svg']). Patterns without a slash match file names at any depth. Prefix with '!' to exclude.",
+            },
+            exclude: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional: Glob patterns of archive entries to leave out (e.g., ['__MACOSX/**'])",
+            },
+            password: {
+                type: "string",
+                description: "Optional: Password for encrypted zip archives (ZipCrypto or AES). Never included in tool output.",
+            },
+            recursive: {
+                type: "boolean",
+                description: "Optional: Also extract archives found inside the archive (e.g., per-category zips in an icon bundle), replacing each with its folder (default: false)",
+            },
+            max_depth: {
+                type: "number",
+                description: `Optional: With recursive, how many levels of nested archives to open (default and maximum: ${this.config.extraction.maxNestingDepth})`,
+            },
+        };
+
+        return [
+            {
+                name: "unzip_file",
+                description:
+                    "Unzip a file from the Downloads directory. You can specify where to extract it, or it will extract to Downloads by default.",
+                outputSchema: OUTPUT_SCHEMAS.extraction,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filename: {
+                            type: "string",
+                            description: "Name of the zip file in Downloads (e.g., 'archive.zip')",
+                        },
+                        destination: {
+                            type: "string",
+                            description: `Optional: Where to extract files (defaults to Downloads). Use a root name (${roots}), a root subfolder like 'documents/Projects', or a specific path.`,
                         },
+                        ...extractionOptions,
                     },
+                    required: ["filename"],
                 },
-                {
-                    name: "list_zip_files",
-                    description: "List all zip files in the Downloads directory, sorted by date (newest first)",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            limit: {
-                                type: "number",
-                                description: "Optional: Maximum number of files to show (default: 10)",
-                            },
+            },
+            {
+                name: "move_svg_files",
+                description:
+                    "Find and move all SVG files from Downloads to Documents directory. Can move to a specific subfolder in Documents (e.g., 'DoorHanger', 'Icons', 'Graphics').",
+                outputSchema: OUTPUT_SCHEMAS.moves,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        ...conflictOption,
+                        ...optimizeOption,
+                        ...renameOption,
+                        ...structureOptions,
+                        source: {
+                            type: "string",
+                            description: "Optional: Source directory to search for SVG files (defaults to Downloads). Can be a path relative to Downloads if unzipping created a subfolder.",
+                        },
+                        subfolder: {
+                            type: "string",
+                            description: `Optional: Subfolder name in Documents where SVG files should be moved (e.g., 'DoorHanger', 'Projects/Icons'), or a root-prefixed folder like 'assets/Icons' (roots: ${roots}). Will be created if it doesn't exist.`,
                         },
                     },
                 },
-                {
-                    name: "list_recent_downloads",
-                    description: "Show the most recently downloaded files in the Downloads directory",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            limit: {
-                                type: "number",
-                                description: "Optional: Number of recent files to show (default: 10)",
-                            },
-                            file_type: {
-                                type: "string",
-                                description: "Optional: Filter by file extension (e.g., 'zip', 'pdf', 'svg')",
-                            },
+            },
+            {
+                name: "list_zip_files",
+                description: "List all zip files in the Downloads directory, sorted by date (newest first)",
+                outputSchema: OUTPUT_SCHEMAS.archives,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of files to show (default: 10)",
                         },
                     },
                 },
-                {
-                    name: "unzip_latest",
-                    description: "Unzip the most recently downloaded zip file from Downloads",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            destination: {
-                                type: "string",
-                                description: "Optional: Where to extract files (defaults to Downloads). Use 'downloads' or 'documents' or a specific path.",
-                            },
+            },
+            {
+                name: "list_recent_downloads",
+                description: "Show the most recently downloaded files in the Downloads directory",
+                outputSchema: OUTPUT_SCHEMAS.files,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "number",
+                            description: "Optional: Number of recent files to show (default: 10)",
+                        },
+                        file_type: {
+                            type: "string",
+                            description: "Optional: Filter by file extension (e.g., 'zip', 'pdf', 'svg')",
                         },
                     },
                 },
-                {
-                    name: "unzip_latest_and_move_svgs",
-                    description: "Unzip the most recently downloaded zip file and move all SVG files to a specified folder in Documents",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            destination_folder: {
-                                type: "string",
-                                description: "Subfolder in Documents where SVG files should go (e.g., 'DoorHanger', 'Icons')",
-                            },
-                        },
-                        required: ["destination_folder"],
+            },
+            {
+                name: "unzip_latest",
+                description: "Unzip the most recently downloaded zip file from Downloads",
+                outputSchema: OUTPUT_SCHEMAS.extraction,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        destination: {
+                            type: "string",
+                            description: `Optional: Where to extract files (defaults to Downloads). Use a root name (${roots}), a root subfolder like 'documents/Projects', or a specific path.`,
+                        },
+                        ...extractionOptions,
                     },
                 },
-                {
-                    name: "list_svg_files",
-                    description: "List all SVG files in Downloads or a specified directory",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            directory: {
-                                type: "string",
-                                description: "Optional: Directory to search (defaults to Downloads)",
-                            },
+            },
+            {
+                name: "unzip_latest_and_move_svgs",
+                description: "Unzip the most recently downloaded zip file and move all SVG files to a specified folder in Documents",
+                outputSchema: OUTPUT_SCHEMAS.unzipAndMove,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        destination_folder: {
+                            type: "string",
+                            description: "Subfolder in Documents where SVG files should go (e.g., 'DoorHanger', 'Icons')",
                         },
+                        ...extractionOptions,
+                        ...conflictOption,
+                        ...optimizeOption,
+                        ...renameOption,
+                        ...structureOptions,
+                        ...cleanupOption,
                     },
+                    required: ["destination_folder"],
                 },
-                {
-                    name: "unzip_and_move_svgs",
-                    description:
-                        "Combined operation: Unzip a file and then move all SVG files from the extracted folder to a specified location in Documents. Perfect for 'unzip project.zip and move SVGs to DoorHanger' requests.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            filename: {
-                                type: "string",
-                                description: "Name of the zip file in Downloads (e.g., 'project.zip')",
-                            },
-                            destination_folder: {
-                                type: "string",
-                                description: "Subfolder in Documents where SVG files should go (e.g., 'DoorHanger', 'Icons')",
-                            },
-                        },
-                        required: ["filename", "destination_folder"],
+            },
+            {
+                name: "list_svg_files",
+                description: "List all SVG files in Downloads or a specified directory",
+                outputSchema: OUTPUT_SCHEMAS.files,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        directory: {
+                            type: "string",
+                            description: "Optional: Directory to search (defaults to Downloads)",
+                        },
                     },
                 },
-                {
-                    name: "create_directory",
-                    description: "Create a new directory/folder. Can create in Documents, Downloads, or specify a full path.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            name: {
-                                type: "string",
-                                description: "Name of the folder to create (e.g., 'MyProject', 'Photos/Vacation2024')",
-                            },
-                            location: {
-                                type: "string",
-                                description: "Optional: Where to create the folder. Use 'documents' (default), 'downloads', or a full path.",
-                            },
-                        },
-                        required: ["name"],
+            },
+            {
+                name: "inspect_svg",
+                description: "Parse SVG files and report each one's viewBox, size, element counts and fill/stroke colors. Flags malformed files, and unsafe ones that run scripts or load external resources, plus embedded raster images. Use before moving icons into a library.",
+                outputSchema: OUTPUT_SCHEMAS.svgInspection,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        location: {
+                            type: "string",
+                            description: `Optional: An SVG file, or a folder whose SVGs (at any depth) are inspected (defaults to Downloads). Can be a root name (${roots}), a root subfolder, or a full path.`,
+                        },
+                        problems_only: {
+                            type: "boolean",
+                            description: "Optional: Only list files that are malformed, unsafe, contain raster images or have warnings (default: false)",
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of files to describe (default: 50). Counts always cover every file.",
+                        },
                     },
                 },
-                {
-                    name: "move_latest_svg",
-                    description: "Move only the most recently downloaded/modified SVG file from Downloads to a folder in Documents",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            destination_folder: {
-                                type: "string",
-                                description: "Subfolder in Documents where the SVG file should go (e.g., 'DoorHanger', 'Icons')",
-                            },
-                            source: {
-                                type: "string",
-                                description: "Optional: Source directory to search (defaults to Downloads)",
-                            },
-                        },
-                        required: ["destination_folder"],
+            },
+            {
+                name: "unzip_and_move_svgs",
+                description:
+                    "Combined operation: Unzip a file and then move all SVG files from the extracted folder to a specified location in Documents. Perfect for 'unzip project.zip and move SVGs to DoorHanger' requests.",
+                outputSchema: OUTPUT_SCHEMAS.unzipAndMove,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filename: {
+                            type: "string",
+                            description: "Name of the zip file in Downloads (e.g., 'project.zip')",
+                        },
+                        destination_folder: {
+                            type: "string",
+                            description: "Subfolder in Documents where SVG files should go (e.g., 'DoorHanger', 'Icons')",
+                        },
+                        ...extractionOptions,
+                        ...conflictOption,
+                        ...optimizeOption,
+                        ...renameOption,
+                        ...structureOptions,
+                        ...cleanupOption,
                     },
+                    required: ["filename", "destination_folder"],
                 },
-                {
-                    name: "copy_file",
-                    description: "Copy a specific file by name from Downloads to Documents or another location",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            filename: {
-                                type: "string",
-                                description: "Name of the file to copy (e.g., 'report.pdf', 'image.png')",
-                            },
-                            destination_folder: {
-                                type: "string",
-                                description: "Optional: Subfolder in Documents where the file should go. If not specified, copies to Documents root.",
-                            },
-                            source: {
-                                type: "string",
-                                description: "Optional: Source directory (defaults to Downloads). Can be 'downloads', 'documents', or a full path.",
-                            },
-                        },
-                        required: ["filename"],
+            },
+            {
+                name: "create_directory",
+                description: "Create a new directory/folder. Can create in Documents, Downloads, or specify a full path.",
+                outputSchema: OUTPUT_SCHEMAS.directory,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        name: {
+                            type: "string",
+                            description: "Name of the folder to create (e.g., 'MyProject', 'Photos/Vacation2024')",
+                        },
+                        location: {
+                            type: "string",
+                            description: `Optional: Where to create the folder. Use a root name (${roots}; default 'documents'), a root subfolder, or a full path.`,
+                        },
                     },
+                    required: ["name"],
                 },
-                {
-                    name: "move_file",
-                    description: "Move a specific file by name from Downloads to Documents or another location (removes from original location)",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            filename: {
-                                type: "string",
-                                description: "Name of the file to move (e.g., 'report.pdf', 'image.png')",
-                            },
-                            destination_folder: {
-                                type: "string",
-                                description: "Optional: Subfolder in Documents where the file should go. If not specified, moves to Documents root.",
-                            },
-                            source: {
-                                type: "string",
-                                description: "Optional: Source directory (defaults to Downloads). Can be 'downloads', 'documents', or a full path.",
-                            },
-                        },
-                        required: ["filename"],
+            },
+            {
+                name: "move_latest_svg",
+                description: "Move only the most recently downloaded/modified SVG file from Downloads to a folder in Documents",
+                outputSchema: OUTPUT_SCHEMAS.moves,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        ...conflictOption,
+                        ...optimizeOption,
+                        ...renameOption,
+                        destination_folder: {
+                            type: "string",
+                            description: "Subfolder in Documents where the SVG file should go (e.g., 'DoorHanger', 'Icons')",
+                        },
+                        source: {
+                            type: "string",
+                            description: "Optional: Source directory to search (defaults to Downloads)",
+                        },
                     },
+                    required: ["destination_folder"],
                 },
-                {
-                    name: "list_files",
-                    description: "List files in a directory, sorted by most recent first. Can filter by file type.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            directory: {
-                                type: "string",
-                                description: "Optional: Directory to list (defaults to Downloads). Can be 'downloads', 'documents', a subfolder like 'documents/Projects', or a full path.",
-                            },
-                            file_type: {
-                                type: "string",
-                                description: "Optional: Filter by file extension (e.g., 'pdf', 'svg', 'png')",
-                            },
-                            limit: {
-                                type: "number",
-                                description: "Optional: Maximum number of files to show (default: 20)",
-                            },
+            },
+            {
+                name: "copy_file",
+                description: "Copy a specific file by name from Downloads to Documents or another location",
+                outputSchema: OUTPUT_SCHEMAS.copies,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        ...conflictOption,
+                        ...renameOption,
+                        filename: {
+                            type: "string",
+                            description: "Name of the file to copy (e.g., 'report.pdf', 'image.png')",
+                        },
+                        destination_folder: {
+                            type: "string",
+                            description: "Optional: Subfolder in Documents where the file should go. If not specified, copies to Documents root.",
+                        },
+                        source: {
+                            type: "string",
+                            description: `Optional: Source directory (defaults to Downloads). Can be a root name (${roots}), a root subfolder, or a full path.`,
                         },
                     },
+                    required: ["filename"],
                 },
-            ],
+            },
+            {
+                name: "move_file",
+                description: "Move a specific file by name from Downloads to Documents or another location (removes from original location)",
+                outputSchema: OUTPUT_SCHEMAS.moves,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        ...conflictOption,
+                        ...renameOption,
+                        filename: {
+                            type: "string",
+                            description: "Name of the file to move (e.g., 'report.pdf', 'image.png')",
+                        },
+                        destination_folder: {
+                            type: "string",
+                            description: "Optional: Subfolder in Documents where the file should go. If not specified, moves to Documents root.",
+                        },
+                        source: {
+                            type: "string",
+                            description: `Optional: Source directory (defaults to Downloads). Can be a root name (${roots}), a root subfolder, or a full path.`,
+                        },
+                    },
+                    required: ["filename"],
+                },
+            },
+            {
+                name: "list_files",
+                description: "List files in a directory, sorted by most recent first. Can filter by file type.",
+                outputSchema: OUTPUT_SCHEMAS.files,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        directory: {
+                            type: "string",
+                            description: `Optional: Directory to list (defaults to Downloads). Can be a root name (${roots}), a subfolder like 'documents/Projects', or a full path.`,
+                        },
+                        file_type: {
+                            type: "string",
+                            description: "Optional: Filter by file extension (e.g., 'pdf', 'svg', 'png')",
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of files to show (default: 20)",
+                        },
+                    },
+                },
+            },
+            {
+                name: "list_archives",
+                description: `List all archives in the Downloads directory with their detected format, sorted by date (newest first). Supported formats: ${formats}.`,
+                outputSchema: OUTPUT_SCHEMAS.archives,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of files to show (default: 10)",
+                        },
+                    },
+                },
+            },
+            {
+                name: "extract_archive",
+                description: `Extract an archive from the Downloads directory. The format is detected from the file contents (${formats}). Extracts to a folder named after the archive in Downloads by default.`,
+                outputSchema: OUTPUT_SCHEMAS.extraction,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filename: {
+                            type: "string",
+                            description: "Name of the archive in Downloads (e.g., 'icons.tar.gz')",
+                        },
+                        destination: {
+                            type: "string",
+                            description: `Optional: Where to extract files (defaults to Downloads). Use a root name (${roots}), a root subfolder like 'documents/Projects', or a specific path.`,
+                        },
+                        ...extractionOptions,
+                    },
+                    required: ["filename"],
+                },
+            },
+            {
+                name: "list_archive_entries",
+                description: "Show what is inside an archive in Downloads without extracting it: each entry's path, compressed and uncompressed size, modified time, CRC and whether it is a folder, plus counts per file type",
+                outputSchema: OUTPUT_SCHEMAS.archiveEntries,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filename: {
+                            type: "string",
+                            description: "Name of the archive in Downloads (e.g., 'icons.zip')",
+                        },
+                        extensions: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Optional: Only show entries with these extensions (e.g., ['svg', 'png'])",
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of entries to show (default: 100). Counts always cover the whole archive.",
+                        },
+                    },
+                    required: ["filename"],
+                },
+            },
+            {
+                name: "organize_files",
+                description: "Find files of an asset type (a profile such as icons, fonts or images, or a list of extensions) anywhere under a folder and move them into a folder in Documents. What happens when a name is already taken is set by on_conflict.",
+                outputSchema: OUTPUT_SCHEMAS.moves,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        ...conflictOption,
+                        ...optimizeOption,
+                        ...renameOption,
+                        ...structureOptions,
+                        ...assetTypeOptions,
+                        source: {
+                            type: "string",
+                            description: `Optional: Folder to search (defaults to Downloads). Can be a root name (${roots}), a root subfolder, or a full path.`,
+                        },
+                        destination_folder: {
+                            type: "string",
+                            description: `Optional: Subfolder in Documents where the files should go (e.g., 'Fonts'), or a root-prefixed folder like 'assets/Fonts' (roots: ${roots}). Defaults to the Documents root.`,
+                        },
+                        latest_only: {
+                            type: "boolean",
+                            description: "Optional: Move only the most recently modified matching file (default: false)",
+                        },
+                    },
+                },
+            },
+            {
+                name: "unzip_and_organize",
+                description: "Extract only the files of an asset type (a profile such as icons, fonts or images, or a list of extensions) from an archive in Downloads and move them into a folder in Documents",
+                outputSchema: OUTPUT_SCHEMAS.unzipAndMove,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...assetTypeOptions,
+                        filename: {
+                            type: "string",
+                            description: "Optional: Name of the archive in Downloads (defaults to the most recent archive)",
+                        },
+                        destination_folder: {
+                            type: "string",
+                            description: "Subfolder in Documents where the files should go (e.g., 'Fonts', 'Icons')",
+                        },
+                        ...extractionOptions,
+                        ...conflictOption,
+                        ...optimizeOption,
+                        ...renameOption,
+                        ...structureOptions,
+                        ...cleanupOption,
+                    },
+                    required: ["destination_folder"],
+                },
+            },
+            {
+                name: "sort_downloads",
+                description: `Sort files in Downloads into folders using the rules from the config file (${this.config.rules.length} configured: ${this.config.rules.map((rule) => rule.name).join(", ") || "none"}). Rules match on extension, file name, size, age or the archive a file was extracted from. Use dry_run to preview the moves first.`,
+                outputSchema: OUTPUT_SCHEMAS.sort,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        dry_run: {
+                            type: "boolean",
+                            description: "Optional: Only show where each file would go, without moving anything (default: false)",
+                        },
+                        rules: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Optional: Names of the rules to apply (default: all rules)",
+                        },
+                        ...conflictOption,
+                    },
+                },
+            },
+            {
+                name: "find_duplicates",
+                description: "Find files with identical contents across Downloads, Documents or other roots and report each duplicate set with the space it wastes. Optionally delete the extra copies or replace them with hard links, keeping one file per set. Deleted and linked files can be restored with undo_operation.",
+                outputSchema: OUTPUT_SCHEMAS.duplicates,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        locations: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: `Optional: Folders to scan, as root names (${roots}), root subfolders, or full paths (default: ['downloads', 'documents'])`,
+                        },
+                        ...assetTypeOptions,
+                        min_size: {
+                            type: ["number", "string"],
+                            description: "Optional: Ignore files smaller than this, in bytes or like '100 KB' (default: 1, so empty files are ignored)",
+                        },
+                        action: {
+                            type: "string",
+                            enum: DUPLICATE_ACTIONS,
+                            description: "Optional: report (default) only lists duplicates; delete removes the extra copies; hardlink replaces them with hard links to the kept file (same disk only)",
+                        },
+                        keep: {
+                            type: "string",
+                            enum: KEEP_CHOICES,
+                            description: "Optional: Which copy of each set to keep: oldest (default), newest, or shortest_path",
+                        },
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of duplicate sets to show, largest waste first (default: 20). Actions always cover every set.",
+                        },
+                    },
+                },
+            },
+            {
+                name: "cleanup_downloads",
+                description: "Find extraction folders left in Downloads next to the archive they came from, and report, delete or trash them. Each file is checked against the archive: only files still identical to their archive entry are deleted, so nothing is lost that can't be extracted again; trash moves the whole folder to the trash. Deletions can't be undone with undo_operation (extract the archive again instead); trashed folders can.",
+                outputSchema: OUTPUT_SCHEMAS.leftovers,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        action: {
+                            type: "string",
+                            enum: LEFTOVER_ACTIONS,
+                            description: "Optional: report (default) lists the leftover folders; delete removes the files in them that are still in the archive, then empty folders (this can't be undone, but the files can be extracted again); trash moves each folder to the trash (undo_operation can bring it back)",
+                        },
+                        folders: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Optional: Only these folders (names in Downloads, e.g. ['icons'])",
+                        },
+                        ...dryRunOption,
+                    },
+                },
+            },
+            {
+                name: "list_operations",
+                description: "List recent changes made by this server's tools (moves, copies, extractions, created folders and zips), newest first, with the operation number needed to undo one",
+                outputSchema: OUTPUT_SCHEMAS.operations,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of operations to show (default: 10)",
+                        },
+                        id: {
+                            type: "number",
+                            description: "Optional: Show every action of this operation instead of the list",
+                        },
+                    },
+                },
+            },
+            {
+                name: "watch_history",
+                description: `Show what the Downloads watcher did with new archives, newest first: which pipeline ran, the tool's outcome and the operation number to undo it. The watcher is ${this.config.watch.enabled ? "running" : "turned off (enable it under \"watch\" in the config file)"}.`,
+                outputSchema: OUTPUT_SCHEMAS.watchHistory,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        limit: {
+                            type: "number",
+                            description: "Optional: Maximum number of entries to show (default: 20)",
+                        },
+                        status: {
+                            type: "string",
+                            enum: ["done", "failed", "unmatched"],
+                            description: "Optional: Only show entries with this outcome",
+                        },
+                    },
+                },
+            },
+            {
+                name: "undo_operation",
+                description: "Reverse a recorded operation: move files back, delete copies, extracted files and created zips, and remove folders it created if they are empty. Files changed since the operation are skipped unless force is set.",
+                outputSchema: OUTPUT_SCHEMAS.undo,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "number",
+                            description: "Optional: Operation number from list_operations (defaults to the most recent operation with something left to undo)",
+                        },
+                        force: {
+                            type: "boolean",
+                            description: "Optional: Also undo files that were modified after the operation (default: false)",
+                        },
+                        ...dryRunOption,
+                    },
+                },
+            },
+            {
+                name: "undo_last_operation",
+                description: "Reverse the most recent operation with something left to undo (deletions can't be undone, so operations with only those left are passed over). Same as undo_operation without an id.",
+                outputSchema: OUTPUT_SCHEMAS.undo,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        force: {
+                            type: "boolean",
+                            description: "Optional: Also undo files that were modified after the operation (default: false)",
+                        },
+                        ...dryRunOption,
+                    },
+                },
+            },
+            {
+                name: "create_zip",
+                description: "Create a zip archive from a folder, or from selected files and glob patterns within it. The zip is written to Documents by default and never overwrites an existing file; a numbered name is used instead.",
+                outputSchema: OUTPUT_SCHEMAS.zip,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        ...dryRunOption,
+                        source_folder: {
+                            type: "string",
+                            description: `Folder to zip, or to pick files from (defaults to Documents). Can be a root name (${roots}), a root subfolder like 'documents/ClientIcons', or a full path.`,
+                        },
+                        files: {
+                            type: "array",
+                            items: { type: "string" },
+                            description: "Optional: Files, subfolders or glob patterns relative to source_folder (e.g., ['logo.svg', 'icons', '**/*.svg']). If omitted, the whole folder is zipped.",
+                        },
+                        output_name: {
+                            type: "string",
+                            description: "Optional: Name of the zip to create (defaults to the source folder's name). '.zip' is added if missing.",
+                        },
+                        destination_folder: {
+                            type: "string",
+                            description: `Optional: Where to write the zip (defaults to Documents). Can be a root name (${roots}), a root subfolder, or a full path.`,
+                        },
+                        compression_level: {
+                            type: "number",
+                            description: "Optional: 0 (store only) to 9 (smallest) (default: 6)",
+                        },
+                        flatten: {
+                            type: "boolean",
+                            description: "Optional: Put every file at the top of the zip instead of keeping its folder path (default: false). Clashing names get a numbered suffix.",
+                        },
+                        password: {
+                            type: "string",
+                            description: "Optional: Encrypt the zip with this password. Never included in tool output.",
+                        },
+                        encryption: {
+                            type: "string",
+                            enum: Object.keys(ENCRYPTION_METHODS),
+                            description: "Optional: Encryption used with a password (default: aes256). Use 'zipcrypto' if the recipient will open the zip with Windows Explorer, which can't read AES zips.",
+                        },
+                    },
+                },
+            },
+            {
+                name: "extract_latest_archive",
+                description: `Extract the most recently downloaded archive of any supported format (${formats}) from Downloads`,
+                outputSchema: OUTPUT_SCHEMAS.extraction,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        destination: {
+                            type: "string",
+                            description: `Optional: Where to extract files (defaults to Downloads). Use a root name (${roots}), a root subfolder like 'documents/Projects', or a specific path.`,
+                        },
+                        ...extractionOptions,
+                    },
+                },
+            },
+            // Configured pipelines; the constructor makes sure none has a built-in tool's name
+            ...pipelines.map((pipeline) => ({
+                name: pipeline.name,
+                description: `${pipeline.description} (pipeline: ${describeSteps(pipeline)})`,
+                outputSchema: OUTPUT_SCHEMAS.pipeline,
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        filename: {
+                            type: "string",
+                            description: "Optional: The file for the select step to pick, relative to the folder it selects from, instead of its usual selection",
+                        },
+                        password: {
+                            type: "string",
+                            description: "Optional: Password for encrypted archives. Never included in tool output.",
+                        },
+                        ...dryRunOption,
+                    },
+                },
+            })),
+        ];
+    }
+
+    setupHandlers() {
+        // List available tools
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+            tools: this.toolDefinitions(),
+        }));
+
+        // The roots as file:// resources
+        this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+            resources: await this.listResources(),
+        }));
+
+        this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+            resourceTemplates: rootTemplates(this.roots),
         }));
 
+        this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+            const filePath = await this.resolveResource(request.params.uri);
+            return { contents: await readResource(filePath) };
+        });
+
+        this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+            const { uri } = request.params;
+            const filePath = await this.resolveResource(uri);
+            await this.watcher.add(uri, filePath, () => this.server.sendResourceUpdated({ uri }).catch(() => {}));
+            return {};
+        });
+
+        this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+            this.watcher.remove(request.params.uri);
+            return {};
+        });
+
         // Handle tool calls
         this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            try {
-                switch (request.params.name) {
-                    case "unzip_file":
-                        return await this.handleUnzip(request.params.arguments);
-                    case "move_svg_files":
-                        return await this.handleMoveSvg(request.params.arguments);
-                    case "list_zip_files":
-                        return await this.handleListZip(request.params.arguments);
-                    case "list_svg_files":
-                        return await this.handleListSvg(request.params.arguments);
-                    case "unzip_and_move_svgs":
-                        return await this.handleUnzipAndMoveSvgs(request.params.arguments);
-                    case "list_recent_downloads":
-                        return await this.handleListRecentDownloads(request.params.arguments);
-                    case "unzip_latest":
-                        return await this.handleUnzipLatest(request.params.arguments);
-                    case "unzip_latest_and_move_svgs":
-                        return await this.handleUnzipLatestAndMoveSvgs(request.params.arguments);
-                    case "create_directory":
-                        return await this.handleCreateDirectory(request.params.arguments);
-                    case "move_latest_svg":
-                        return await this.handleMoveLatestSvg(request.params.arguments);
-                    case "copy_file":
-                        return await this.handleCopyFile(request.params.arguments);
-                    case "move_file":
-                        return await this.handleMoveFile(request.params.arguments);
-                    case "list_files":
-                        return await this.handleListFiles(request.params.arguments);
-                    default:
-                        throw new Error(`Unknown tool: ${request.params.name}`);
+            return await this.runTool(request.params.name, request.params.arguments || {});
+        });
+    }
+
+    /**
+     * Run a tool and journal what it changed, turning failures into error
+     * results. Used for client calls and by the Downloads watcher.
+     */
+    async runTool(name, args) {
+        // Everything a call changes is journaled, even if it fails part way
+        const run = this.journal.begin(name, args);
+        try {
+            const result = await this.callTool(name, args, run);
+            const operationId = await this.journal.finish(run);
+            if (operationId) {
+                // Deleted extracted files are only listed; nothing is kept to restore them from
+                const undoable = run.actions.some((action) => action.type !== "delete");
+                result.content[0].text += `\n\nRecorded as operation #${operationId}${undoable ? "; undo_operation can reverse it" : ""}.`;
+                result.structuredContent.operationId = operationId;
+            }
+            return result;
+        } catch (error) {
+            await this.journal.finish(run, error);
+            const result = {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+            // Errors such as path policy denials carry machine-readable details
+            if (error.details) {
+                result.structuredContent = { error: error.details };
+            }
+            return result;
+        }
+    }
+
+    /**
+     * Dispatch a tool call. Handlers that change the filesystem get the journal
+     * run to record their actions in.
+     */
+    async callTool(name, args, run) {
+        switch (name) {
+            case "unzip_file":
+            case "extract_archive":
+                return await this.handleExtractArchive(args, run);
+            case "move_svg_files":
+                return await this.handleMoveSvg(args, run);
+            case "list_zip_files":
+                return await this.handleListZip(args);
+            case "list_svg_files":
+                return await this.handleListSvg(args);
+            case "inspect_svg":
+                return await this.handleInspectSvg(args);
+            case "unzip_and_move_svgs":
+                return await this.handleUnzipAndMoveSvgs(args, run);
+            case "list_recent_downloads":
+                return await this.handleListRecentDownloads(args);
+            case "unzip_latest":
+                return await this.handleUnzipLatest(args, run);
+            case "unzip_latest_and_move_svgs":
+                return await this.handleUnzipLatestAndMoveSvgs(args, run);
+            case "create_directory":
+                return await this.handleCreateDirectory(args, run);
+            case "move_latest_svg":
+                return await this.handleMoveLatestSvg(args, run);
+            case "copy_file":
+                return await this.handleCopyFile(args, run);
+            case "move_file":
+                return await this.handleMoveFile(args, run);
+            case "list_files":
+                return await this.handleListFiles(args);
+            case "list_archives":
+                return await this.handleListArchives(args);
+            case "extract_latest_archive":
+                return await this.handleExtractLatestArchive(args, run);
+            case "list_archive_entries":
+                return await this.handleListArchiveEntries(args);
+            case "create_zip":
+                return await this.handleCreateZip(args, run);
+            case "sort_downloads":
+                return await this.handleSortDownloads(args, run);
+            case "find_duplicates":
+                return await this.handleFindDuplicates(args, run);
+            case "organize_files":
+                return await this.handleOrganizeFiles(args, run);
+            case "unzip_and_organize":
+                return await this.handleUnzipAndOrganize(args, run);
+            case "cleanup_downloads":
+                return await this.handleCleanupDownloads(args, run);
+            case "list_operations":
+                return await this.handleListOperations(args);
+            case "watch_history":
+                return await this.handleWatchHistory(args);
+            case "undo_operation":
+            case "undo_last_operation":
+                return await this.handleUndoOperation(args);
+            default: {
+                // Built-in tools come first, so a pipeline can't stand in for one
+                const pipeline = this.pipelines.find((candidate) => candidate.name === name);
+                if (pipeline) {
+                    return await this.handlePipeline(pipeline, args, run);
                 }
-            } catch (error) {
-                return {
-                    content: [
-                        {
-                            type: "text",
-                            text: `Error: ${error.message}`,
-                        },
-                    ],
-                    isError: true,
-                };
+                throw new Error(`Unknown tool: ${name}`);
             }
-        });
+        }
     }
 
-    async handleUnzip(args) {
+    async handleExtractArchive(args, run) {
         const filename = args.filename;
         if (!filename) {
             throw new Error("filename is required");
         }
 
-        const zipPath = path.join(DOWNLOADS_DIR, filename);
+        const archivePath = await this.paths.resolveWithin(this.roots.downloads, filename);
 
         // Check if file exists
         try {
-            await fs.access(zipPath);
+            await fs.access(archivePath);
         } catch {
-            throw new Error(`Zip file not found: ${filename}`);
+            throw new Error(`Archive not found: ${filename}`);
         }
 
         // Determine destination
-        let destDir = DOWNLOADS_DIR;
-        if (args.destination) {
-            const dest = args.destination.toLowerCase();
-            if (dest === "downloads") {
-                destDir = DOWNLOADS_DIR;
-            } else if (dest === "documents") {
-                destDir = DOCUMENTS_DIR;
-            } else {
-                destDir = path.resolve(args.destination);
-            }
+        const destDir = await this.paths.resolve(args.destination, "downloads");
+
+        // Extract archive (format is detected from the file contents)
+        const result = await extractArchiveFile(archivePath, destDir, {
+            limits: this.config.extraction,
+            overwrite: Boolean(args.overwrite),
+            filter: createEntryFilter({ include: args.include, exclude: args.exclude }),
+            password: args.password,
+            maxDepth: this.nestingDepth(args),
+            dryRun: Boolean(args.dry_run),
+        });
+        if (!args.dry_run) {
+            await this.journalExtraction(run, result);
         }
 
-        // Extract zip
-        const zip = new AdmZip(zipPath);
-        const extractPath = path.join(destDir, path.basename(filename, ".zip"));
-
-        await fs.mkdir(extractPath, { recursive: true });
-        zip.extractAllTo(extractPath, true);
-
-        const entries = zip.getEntries();
-        const fileList = entries.map((entry) => entry.entryName).join("\n");
+        const structuredContent = { archive: filename, dryRun: Boolean(args.dry_run), ...extractionResult(result) };
 
-        return {
-            content: [
-                {
-                    type: "text",
-                    text: `Successfully unzipped ${filename} to ${extractPath}\n\nExtracted ${entries.length} files:\n${fileList}`,
+        if (args.dry_run) {
+            const operations = result.extracted.map((file) => extractOperation(filename, file));
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${formatPlan(operations)}${this.dryRunNestingNote(args)}${formatFilteredOut(result.filteredOut)}${formatRejected(result.rejected)}`,
+                    },
+                ],
+                structuredContent,
+            };
+        }
+
+        const fileList = result.extracted.map(describeExtracted).join("\n");
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Successfully extracted ${filename} (${result.format}) to ${result.extractPath}\n\nExtracted ${result.extracted.length} of ${result.totalEntries} entries:\n${fileList}${formatNested(result)}${formatFilteredOut(result.filteredOut)}${formatRejected(result.rejected)}`,
+                },
+            ],
+            structuredContent,
+        };
+    }
+
+    async handleListArchiveEntries(args) {
+        const filename = args.filename;
+        if (!filename) {
+            throw new Error("filename is required");
+        }
+
+        const archivePath = await this.paths.resolveWithin(this.roots.downloads, filename);
+
+        try {
+            await fs.access(archivePath);
+        } catch {
+            throw new Error(`Archive not found: ${filename}`);
+        }
+
+        const limit = args.limit || 100;
+        const extensions = (args.extensions || []).map((ext) => ext.toLowerCase().replace(/^\./, ""));
+
+        const { format, entries } = await listArchiveEntries(archivePath);
+
+        const matching = extensions.length > 0
+            ? entries.filter((entry) => entry.type !== "directory" && extensions.includes(extensionOf(entry.name)))
+            : entries;
+        const files = matching.filter((entry) => entry.type !== "directory");
+        const folderCount = matching.length - files.length;
+        const totalSize = files.reduce((total, entry) => total + entry.size, 0);
+
+        const typeMsg = extensions.length > 0 ? ` (filtered to ${extensions.map((ext) => `.${ext}`).join(", ")})` : "";
+        const encryptedCount = entries.filter((entry) => entry.encrypted).length;
+        const encryptedMsg = encryptedCount > 0 ? `\nPassword-protected: ${encryptedCount} encrypted entr${encryptedCount === 1 ? "y" : "ies"}; a password is needed to extract them` : "";
+        const header = `Archive ${filename} (${format})${typeMsg}: ${files.length} file(s), ${folderCount} folder(s), ${formatSize(totalSize)} uncompressed${encryptedMsg}`;
+
+        const limitedEntries = matching.slice(0, limit);
+        const structuredContent = {
+            archive: filename,
+            format,
+            fileCount: files.length,
+            folderCount,
+            totalSize,
+            encryptedCount,
+            total: matching.length,
+            entries: limitedEntries.map((entry) => compact({
+                name: entry.name,
+                type: entry.type,
+                size: entry.size,
+                compressedSize: entry.compressedSize,
+                modified: entry.mtime?.toISOString(),
+                crc32: entry.crc32?.toString(16).padStart(8, "0"),
+                encrypted: Boolean(entry.encrypted),
+            })),
+        };
+
+        if (matching.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${header}\n\nNo matching entries.`,
+                    },
+                ],
+                structuredContent,
+            };
+        }
+
+        const entryList = limitedEntries.map((entry) => {
+            const badge = entry.type === "directory" ? " [DIR]" : entry.type !== "file" ? ` [${entry.type.toUpperCase()}]` : "";
+            const compressed = entry.compressedSize == null ? "n/a" : formatSize(entry.compressedSize);
+            const crc = entry.crc32 == null ? "n/a" : entry.crc32.toString(16).padStart(8, "0");
+            const modified = entry.mtime ? entry.mtime.toLocaleString() : "unknown";
+            const encrypted = entry.encrypted ? " | Encrypted" : "";
+            return `${entry.name}${badge}\n  Size: ${formatSize(entry.size)} | Compressed: ${compressed} | Modified: ${modified} | CRC32: ${crc}${encrypted}`;
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${header}\nBy type: ${summarizeByExtension(files.map((entry) => entry.name)) || "none"}\n\nShowing ${limitedEntries.length} of ${matching.length} entries:\n\n${entryList.join("\n\n")}`,
                 },
             ],
+            structuredContent,
         };
     }
 
-    async handleMoveSvg(args) {
-        const sourceDir = args.source
-            ? path.resolve(args.source)
-            : DOWNLOADS_DIR;
+    async handleMoveSvg(args, run) {
+        return await this.handleOrganizeFiles({ ...args, destination_folder: args.subfolder, profile: "svg" }, run);
+    }
+
+    async handleListZip(args) {
+        const limit = args?.limit || 10;
+        const zipFiles = await this.findArchives(["zip"]);
+
+        if (zipFiles.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `No zip files found in ${this.roots.downloads}`,
+                    },
+                ],
+                structuredContent: { directory: this.roots.downloads, total: 0, archives: [] },
+            };
+        }
+
+        // Limit results
+        const limitedFiles = zipFiles.slice(0, limit);
+
+        const fileList = limitedFiles.map((file) => {
+            const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
+            const date = file.modified.toLocaleString();
+            return `${file.name} (${sizeMB} MB) - ${date}`;
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Found ${zipFiles.length} zip file(s) in Downloads (showing ${limitedFiles.length} most recent):\n\n${fileList.join("\n")}`,
+                },
+            ],
+            structuredContent: {
+                directory: this.roots.downloads,
+                total: zipFiles.length,
+                archives: limitedFiles.map((file) => ({ ...file, modified: file.modified.toISOString() })),
+            },
+        };
+    }
+
+    async handleListArchives(args) {
+        const limit = args?.limit || 10;
+        const archives = await this.findArchives();
+
+        if (archives.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `No archives found in ${this.roots.downloads}`,
+                    },
+                ],
+                structuredContent: { directory: this.roots.downloads, total: 0, archives: [] },
+            };
+        }
+
+        const limitedFiles = archives.slice(0, limit);
+
+        const fileList = limitedFiles.map((file) => {
+            const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
+            const date = file.modified.toLocaleString();
+            const note = file.supported ? "" : " - not supported";
+            return `${file.name} [${file.format}] (${sizeMB} MB) - ${date}${note}`;
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Found ${archives.length} archive(s) in Downloads (showing ${limitedFiles.length} most recent):\n\n${fileList.join("\n")}`,
+                },
+            ],
+            structuredContent: {
+                directory: this.roots.downloads,
+                total: archives.length,
+                archives: limitedFiles.map((file) => ({ ...file, modified: file.modified.toISOString() })),
+            },
+        };
+    }
+
+    async handleListSvg(args) {
+        const searchDir = await this.paths.resolve(args.directory, "downloads");
+
+        try {
+            await fs.access(searchDir);
+        } catch {
+            throw new Error(`Directory not found: ${searchDir}`);
+        }
+
+        const { label, extensions } = resolveAssetType(this.config.assetProfiles, { profile: "svg" });
+        const svgFiles = await this.findFiles(searchDir, extensions, { withStats: true });
+        const structuredContent = {
+            directory: searchDir,
+            total: svgFiles.length,
+            files: svgFiles.map((file) => fileResult(file.path, file, searchDir)),
+        };
+
+        if (svgFiles.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `No ${label} files found in ${searchDir}`,
+                    },
+                ],
+                structuredContent,
+            };
+        }
+
+        const relativePaths = svgFiles.map((f) =>
+            path.relative(searchDir, f.path)
+        );
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Found ${svgFiles.length} ${label} file(s) in ${searchDir}:\n\n${relativePaths.join("\n")}`,
+                },
+            ],
+            structuredContent,
+        };
+    }
+
+    async handleInspectSvg(args) {
+        const target = await this.paths.resolve(args.location, "downloads");
+        const stats = await fs.stat(target).catch(() => null);
+        if (!stats) {
+            throw new Error(`Not found: ${target}`);
+        }
+
+        const { label, extensions } = resolveAssetType(this.config.assetProfiles, { profile: "svg" });
+        const files = stats.isDirectory() ? await this.findFiles(target, extensions) : [target];
+        const baseDir = stats.isDirectory() ? target : path.dirname(target);
+        if (files.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `No ${label} files found in ${target}`,
+                    },
+                ],
+                structuredContent: { location: target, total: 0, counts: { malformed: 0, unsafe: 0, withRasterImages: 0, withWarnings: 0 }, files: [] },
+            };
+        }
+
+        const results = [];
+        for (const file of files) {
+            const { size } = await fs.stat(file);
+            const report = size > MAX_INSPECT_BYTES
+                ? { malformed: false, unsafe: false, embeddedImages: 0, linkedImages: 0, warnings: [], skipped: `too large to inspect (${formatSize(size)})` }
+                : inspectSvg(await fs.readFile(file, "utf8"));
+            results.push({ path: file, name: path.relative(baseDir, file), report });
+        }
+
+        const count = (test) => results.filter(({ report }) => test(report)).length;
+        const hasProblem = (report) => report.malformed || report.unsafe || report.embeddedImages > 0 || report.linkedImages > 0 || report.warnings.length > 0 || Boolean(report.skipped);
+        const counts = {
+            malformed: count((r) => r.malformed),
+            unsafe: count((r) => r.unsafe),
+            withRasterImages: count((r) => r.embeddedImages > 0 || r.linkedImages > 0),
+            withWarnings: count((r) => r.warnings.length > 0),
+        };
+        const summary = [
+            `${counts.malformed} malformed`,
+            `${counts.unsafe} unsafe (scripts or external references)`,
+            `${counts.withRasterImages} with raster images`,
+            `${counts.withWarnings} with warnings`,
+        ].join(", ");
+
+        const shown = args.problems_only ? results.filter(({ report }) => hasProblem(report)) : results;
+        const limit = args.limit || 50;
+        const sections = shown.slice(0, limit).map(({ name, report }) => {
+            const lines = report.skipped ? [report.skipped] : describeInspection(report);
+            return `${name}\n${lines.map((line) => `  ${line}`).join("\n")}`;
+        });
+        const moreText = shown.length > limit ? `\n\n... and ${shown.length - limit} more file(s)` : "";
+        const sectionsText = sections.length > 0 ? `\n\n${sections.join("\n\n")}${moreText}` : "";
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Inspected ${results.length} ${label} file(s) in ${target}: ${summary}.${sectionsText}`,
+                },
+            ],
+            structuredContent: {
+                location: target,
+                total: results.length,
+                counts,
+                files: shown.slice(0, limit).map(({ path: filePath, name, report }) => compact({ path: filePath, name, ...report })),
+            },
+        };
+    }
+
+    /**
+     * Recursively collect files under `dir` ending in `extensions` (one
+     * extension or a list; "" matches every file). With `withStats`, each
+     * result is `{ path, size, mtimeMs, dev, ino }` instead of a path.
+     */
+    async findFiles(dir, extensions, { withStats = false } = {}) {
+        const wanted = (Array.isArray(extensions) ? extensions : [extensions]).map((ext) => ext.toLowerCase());
+        const results = [];
+
+        async function walk(currentDir) {
+            const entries = await fs.readdir(currentDir, { withFileTypes: true });
+
+            for (const entry of entries) {
+                const fullPath = path.join(currentDir, entry.name);
+
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() && wanted.some((ext) => entry.name.toLowerCase().endsWith(ext))) {
+                    if (withStats) {
+                        const stats = await fs.stat(fullPath);
+                        results.push({ path: fullPath, size: stats.size, mtimeMs: stats.mtimeMs, dev: stats.dev, ino: stats.ino });
+                    } else {
+                        results.push(fullPath);
+                    }
+                }
+            }
+        }
+
+        await walk(dir);
+        return results;
+    }
+
+    async handleCleanupDownloads(args, run) {
+        const action = args.action || "report";
+        if (!LEFTOVER_ACTIONS.includes(action)) {
+            throw new Error(`action must be one of: ${LEFTOVER_ACTIONS.join(", ")}`);
+        }
+        const dryRun = Boolean(args.dry_run) || action === "report";
+
+        let leftovers = await findLeftoverFolders(this.roots.downloads);
+        if (args.folders?.length > 0) {
+            const wanted = new Set(args.folders.map((name) => name.replace(/[\\/]+$/, "")));
+            leftovers = leftovers.filter((leftover) => wanted.has(path.basename(leftover.folder)));
+        }
+        for (const leftover of leftovers) {
+            Object.assign(leftover, await compareWithArchive(leftover.folder, leftover.archive));
+        }
+
+        if (leftovers.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `No leftover extraction folders found in ${this.roots.downloads}.`,
+                    },
+                ],
+                structuredContent: { directory: this.roots.downloads, action, dryRun, total: 0, folders: [], freed: 0 },
+            };
+        }
+
+        const results = [];
+        for (const leftover of leftovers) {
+            const archived = leftover.files.filter((file) => file.status === "archived");
+            const result = {
+                folder: leftover.folder,
+                archive: leftover.archive,
+                format: leftover.format,
+                files: leftover.files.length,
+                size: leftover.size,
+                archived: archived.length,
+                modified: leftover.files.filter((file) => file.status === "modified").length,
+                extra: leftover.files.filter((file) => file.status === "extra").length,
+            };
+            if (action === "delete") {
+                result.deleted = archived.map((file) => file.path);
+                result.freed = archived.reduce((total, file) => total + file.size, 0);
+                if (!dryRun) {
+                    for (const file of archived) {
+                        await fs.rm(file.path);
+                        run.deletedExtracted(file.path, leftover.archive);
+                    }
+                    result.removed = await removeEmptyDirectories(leftover.folder);
+                } else {
+                    result.removed = archived.length === leftover.files.length;
+                }
+            } else if (action === "trash") {
+                result.freed = leftover.size;
+                if (!dryRun) {
+                    const trashed = await moveToTrash(leftover.folder);
+                    await run.trashed(leftover.folder, trashed);
+                    result.trashedTo = trashed.location;
+                }
+                result.removed = true;
+            }
+            results.push(result);
+        }
+
+        const freed = results.reduce((total, result) => total + (result.freed || 0), 0);
+        const lines = leftovers.map((leftover, index) => {
+            const result = results[index];
+            const outcome = action === "delete"
+                ? ` -> ${dryRun ? "would delete" : "deleted"} ${result.deleted.length} file(s)${result.removed ? " and the folder" : ", keeping the folder"}`
+                : action === "trash" ? ` -> ${dryRun ? "would send" : "sent"} to the trash` : "";
+            return `  ${describeLeftover(leftover)}${outcome}`;
+        });
+        const header = action === "report"
+            ? `Found ${leftovers.length} leftover extraction folder(s) in ${this.roots.downloads} (${formatSize(leftovers.reduce((total, leftover) => total + leftover.size, 0))}):`
+            : `${dryRun ? "Dry run: would clean up" : "Cleaned up"} ${leftovers.length} leftover extraction folder(s), ${dryRun ? "freeing" : "freed"} ${formatSize(freed)}:`;
+        const footer = action === "report"
+            ? "\n\nUse action 'delete' to remove the files still in their archive, or 'trash' to move the folders to the trash."
+            : action === "delete" && !dryRun ? "\n\nThe deletions are listed by list_operations but can't be reversed with undo_operation; extract the files from the archive again if needed." : "";
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${header}\n\n${lines.join("\n")}${footer}`,
+                },
+            ],
+            structuredContent: {
+                directory: this.roots.downloads,
+                action,
+                dryRun,
+                total: results.length,
+                folders: results.map(compact),
+                freed,
+            },
+        };
+    }
+
+    async handleListOperations(args) {
+        const operations = await this.journal.list();
+        const describeStatus = (op) => {
+            if (op.reverted.length === 0) {
+                return "";
+            }
+            return op.reverted.length === op.actions.length ? " [undone]" : ` [partly undone: ${op.reverted.length} of ${op.actions.length} actions]`;
+        };
+
+        if (args.id != null) {
+            const operation = operations.find((op) => op.id === args.id);
+            if (!operation) {
+                throw new Error(`Operation #${args.id} not found in the journal`);
+            }
+            const lines = operation.actions.map((action, index) => {
+                const target = action.type === "directory" ? action.path
+                    : action.source ? `${action.source} -> ${action.destination ?? "the Recycle Bin"}`
+                    : action.destination;
+                const undone = operation.reverted.includes(index) ? " [undone]" : "";
+                return `  ${action.type} ${target}${undone}`;
+            });
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Operation #${operation.id}: ${operation.tool} at ${new Date(operation.startedAt).toLocaleString()}${describeStatus(operation)}${operation.error ? `\nFailed part way: ${operation.error}` : ""}\n\n${lines.join("\n")}`,
+                    },
+                ],
+                structuredContent: {
+                    operation: compact({
+                        id: operation.id,
+                        tool: operation.tool,
+                        startedAt: operation.startedAt,
+                        error: operation.error,
+                        actions: operation.actions.map((action, index) => compact({
+                            type: action.type,
+                            source: action.source,
+                            destination: action.destination,
+                            path: action.path,
+                            size: action.size,
+                            undone: operation.reverted.includes(index),
+                        })),
+                    }),
+                },
+            };
+        }
+
+        const countActions = (op) => {
+            const counts = {};
+            for (const action of op.actions) {
+                counts[action.type] = (counts[action.type] || 0) + 1;
+            }
+            return counts;
+        };
+
+        if (operations.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: "No operations have been recorded yet.",
+                    },
+                ],
+                structuredContent: { total: 0, operations: [] },
+            };
+        }
+
+        const limit = args.limit || 10;
+        const lines = operations.slice(0, limit).map((op) => {
+            const counts = countActions(op);
+            const countText = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(", ");
+            return `#${op.id} ${op.tool} - ${new Date(op.startedAt).toLocaleString()} - ${countText}${describeStatus(op)}${op.error ? " [failed part way]" : ""}`;
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Recent operations (${Math.min(limit, operations.length)} of ${operations.length}):\n\n${lines.join("\n")}`,
+                },
+            ],
+            structuredContent: {
+                total: operations.length,
+                operations: operations.slice(0, limit).map((op) => compact({
+                    id: op.id,
+                    tool: op.tool,
+                    startedAt: op.startedAt,
+                    actions: countActions(op),
+                    actionCount: op.actions.length,
+                    undoneCount: op.reverted.length,
+                    error: op.error,
+                })),
+            },
+        };
+    }
+
+    async handleWatchHistory(args) {
+        const entries = (await this.history.list()).filter((entry) => !args.status || entry.status === args.status);
+        const limit = args.limit || 20;
+        const structured = {
+            watching: this.downloadsWatcher !== null,
+            directory: this.roots.downloads,
+            pipelines: this.watchPipelines.map((pipeline) => pipeline.name),
+            total: entries.length,
+            // Entries recorded before secrets were left out may still have them
+            entries: entries.slice(0, limit).map((entry) => (entry.args ? { ...entry, args: withoutSecrets(entry.args) } : entry)),
+        };
+        const state = this.downloadsWatcher
+            ? `Watching ${this.roots.downloads} with ${structured.pipelines.length} pipeline(s)${structured.pipelines.length > 0 ? `: ${structured.pipelines.join(", ")}` : ""}.`
+            : "The Downloads watcher is not running; set \"watch.enabled\" in the config file to start it.";
+
+        if (entries.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${state}\n\nNo ${args.status ? `${args.status} ` : ""}downloads have been processed yet.`,
+                    },
+                ],
+                structuredContent: structured,
+            };
+        }
+
+        const lines = structured.entries.map((entry) => {
+            const when = new Date(entry.at).toLocaleString();
+            const outcome = entry.status === "unmatched" ? "no pipeline matched"
+                : entry.status === "failed" ? `${entry.pipeline} (${entry.tool}) FAILED: ${entry.error}`
+                : `${entry.pipeline} (${entry.tool}): ${entry.summary}${entry.operationId ? ` [operation #${entry.operationId}]` : ""}`;
+            return `${when} - ${path.basename(entry.file)} - ${outcome}`;
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${state}\n\nProcessed downloads (${structured.entries.length} of ${entries.length}), newest first:\n\n${lines.join("\n")}`,
+                },
+            ],
+            structuredContent: structured,
+        };
+    }
+
+    async handleUndoOperation(args) {
+        const operations = await this.journal.list();
+        const operation = args.id != null
+            ? operations.find((op) => op.id === args.id)
+            : operations.find((op) => pendingActions(op).length > 0);
+        if (!operation) {
+            throw new Error(args.id != null ? `Operation #${args.id} not found in the journal` : "There is no operation left to undo");
+        }
+        if (operation.reverted.length === operation.actions.length) {
+            throw new Error(`Operation #${operation.id} has already been undone`);
+        }
+        if (pendingActions(operation).length === 0) {
+            throw new Error(`Operation #${operation.id} has nothing left that can be undone; its deletions can't be reversed`);
+        }
+
+        const dryRun = Boolean(args.dry_run);
+        const outcome = await undoOperation(operation, { force: Boolean(args.force), dryRun });
+        if (!dryRun) {
+            await this.journal.recordUndo(operation.id, outcome.reverted);
+        }
+
+        const heading = dryRun
+            ? `Dry run: undoing operation #${operation.id} (${operation.tool}) would take ${outcome.steps.length} step(s). Nothing was changed.`
+            : `Undid ${outcome.steps.length} action(s) of operation #${operation.id} (${operation.tool}).`;
+        const stepsText = outcome.steps.length > 0 ? `\n\n${outcome.steps.map((step) => `  ${step}`).join("\n")}` : "";
+        const skippedText = outcome.skipped.length > 0
+            ? `\n\nSkipped ${outcome.skipped.length} action(s):\n${outcome.skipped.map((skip) => `  [${skip.reason}] ${skip.message}`).join("\n")}`
+            : "";
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${heading}${stepsText}${skippedText}`,
+                },
+            ],
+            structuredContent: { id: operation.id, tool: operation.tool, dryRun, steps: outcome.steps, skipped: outcome.skipped },
+        };
+    }
+
+    /**
+     * Journal what an extraction wrote: the directories it created, then each file.
+     */
+    async journalExtraction(run, result) {
+        for (const dir of result.createdDirectories || []) {
+            run.createdDirectory(dir);
+        }
+        for (const file of result.extracted) {
+            await run.created(file.path, { replaced: file.overwrite });
+        }
+    }
+
+    /**
+     * The conflict strategy for a request: its on_conflict argument, or the
+     * configured default.
+     */
+    conflictStrategy(args) {
+        return checkConflictStrategy(args.on_conflict ?? this.config.conflicts.strategy);
+    }
+
+    /**
+     * Plan moving or copying `sourcePaths` into `destDir`: work out each
+     * file's name (keeping structure under `baseDir` and renaming as the
+     * request asks; `archiveOf` names the archive a file came from), then
+     * resolve name clashes, including with earlier files in the same batch,
+     * with the request's conflict strategy. `contents` holds the new contents
+     * of files that will be rewritten once placed (see applyTransfers).
+     */
+    async planTransfers(action, sourcePaths, destDir, args, { baseDir = null, archiveOf = () => null, contents = null } = {}) {
+        const strategy = this.conflictStrategy(args);
+        const renameFile = compileRename(args.rename);
+        const reserved = new Map();
+        const operations = [];
+        for (const [position, sourcePath] of sourcePaths.entries()) {
+            let filename = this.destinationName(sourcePath, baseDir, args);
+            if (renameFile) {
+                // Files still to be extracted in a dry run don't exist yet
+                const stats = await fs.stat(sourcePath).catch(() => null);
+                const context = { archive: archiveOf(sourcePath), index: position + 1, count: sourcePaths.length, date: stats?.mtime ?? new Date() };
+                filename = path.join(path.dirname(filename), renameFile(path.basename(filename), context));
+            }
+            const op = await planTransfer(action, sourcePath, destDir, { filename, strategy, reserved, contents });
+            if (op.action !== "skip" && path.basename(filename) !== path.basename(sourcePath)) {
+                op.originalName = path.basename(sourcePath);
+            }
+            if (op.action !== "skip") {
+                reserved.set(op.destination, sourcePath);
+            }
+            operations.push(op);
+        }
+        return operations;
+    }
+
+    /**
+     * Where a file goes under the destination: just its name, or with
+     * preserve_structure its path relative to `baseDir`, less the leading
+     * folders dropped by strip_components.
+     */
+    destinationName(sourcePath, baseDir, args) {
+        const strip = args.strip_components ?? 0;
+        if (!Number.isInteger(strip) || strip < 0) {
+            throw new Error("strip_components must be a whole number of 0 or more");
+        }
+        if (!baseDir || !(args.preserve_structure || strip > 0)) {
+            return path.basename(sourcePath);
+        }
+        const parts = path.relative(baseDir, sourcePath).split(path.sep);
+        return path.join(...parts.slice(Math.min(strip, parts.length - 1)));
+    }
+
+    /**
+     * Work out what optimising the SVGs among `filePaths` would do, without
+     * writing anything. Results carry the new contents as `output` when they
+     * differ. Files that don't exist yet, such as entries a dry-run extraction
+     * hasn't written, are left out.
+     */
+    async optimizeSvgFiles(filePaths, options) {
+        const results = [];
+        for (const filePath of filePaths.filter((f) => extensionOf(f) === "svg")) {
+            let source;
+            try {
+                source = await fs.readFile(filePath, "utf8");
+            } catch {
+                continue;
+            }
+            const before = Buffer.byteLength(source);
+            try {
+                const { output, changes } = optimizeSvg(source, options);
+                results.push({ path: filePath, before, after: Buffer.byteLength(output), changes, output: output !== source ? output : undefined });
+            } catch (error) {
+                results.push({ path: filePath, before, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * The new contents of optimised files, by path, for planTransfers and applyTransfers.
+     */
+    optimizedContents(optimized) {
+        return new Map((optimized || []).filter((result) => result.output !== undefined).map((result) => [result.path, result.output]));
+    }
+
+    /**
+     * Optimisation results for the files `operations` move or copy, under
+     * their new paths. Skipped files aren't optimised, so they're left out.
+     */
+    placedOptimization(optimized, operations) {
+        if (!optimized) {
+            return null;
+        }
+        const placed = new Map(operations.filter((op) => op.action !== "skip").map((op) => [op.source, op.destination]));
+        return optimized
+            .filter((result) => placed.has(result.path))
+            .map(({ output, ...result }) => ({ ...result, path: placed.get(result.path) }));
+    }
+
+    /**
+     * Carry out planned moves and copies, journaling each one. Skips are
+     * left as they are. Files with new `contents` (optimised SVGs) are
+     * rewritten once in place, so the originals are never changed and an
+     * undo restores them.
+     */
+    async applyTransfers(operations, run, { contents = null } = {}) {
+        for (const op of operations) {
+            if (op.action !== "move" && op.action !== "copy") {
+                continue;
+            }
+            run.createdDirectory(await fs.mkdir(path.dirname(op.destination), { recursive: true }));
+            // An overwritten file is backed up first, so an undo can put it back
+            const replaced = op.overwrite ? await run.backUp(op.destination) : {};
+            try {
+                if (op.action === "move") {
+                    await fs.rename(op.source, op.destination);
+                } else {
+                    await fs.copyFile(op.source, op.destination);
+                }
+            } catch (error) {
+                if (replaced.backup) {
+                    await fs.rm(replaced.backup, { force: true });
+                }
+                throw error;
+            }
+            if (op.action === "move") {
+                await run.moved(op.source, op.destination, { replaced: op.overwrite, ...replaced });
+            } else {
+                await run.copied(op.source, op.destination, { replaced: op.overwrite, ...replaced });
+            }
+            if (contents?.has(op.source)) {
+                await run.rewrite(op.destination, contents.get(op.source));
+            }
+        }
+    }
+
+    /**
+     * Tidy Downloads after an extraction's files have been moved out, as a
+     * request's `cleanup` argument asks: with `extraction_folder`, delete the
+     * extracted files left behind (never files the extraction didn't create)
+     * and the folders it created once empty; with `archive`, move the archive
+     * to the processed folder or the trash. `movedAway` holds the extracted
+     * files already moved out, which a dry run can't see.
+     */
+    async cleanUpExtraction(archivePath, extraction, options, { dryRun, run, movedAway = new Set() }) {
+        const result = { archive: archivePath, removedFiles: [], removedFolders: [], archiveAction: options.archive || "keep" };
+
+        if (options.extraction_folder) {
+            for (const file of extraction.extracted) {
+                if (file.overwrite || movedAway.has(file.path)) {
+                    continue;
+                }
+                // In a dry run the files aren't there yet
+                if (!dryRun) {
+                    if (!(await fs.stat(file.path).then((stats) => stats.isFile(), () => false))) {
+                        continue;
+                    }
+                    await fs.rm(file.path);
+                    await run.discarded(file.path);
+                }
+                result.removedFiles.push(file.path);
+            }
+            // A dry run creates nothing, but the real extraction would create its folder
+            const created = dryRun && !(await fs.stat(extraction.extractPath).then(() => true, () => false))
+                ? [extraction.extractPath]
+                : extraction.createdDirectories || [];
+            for (const dir of created) {
+                if (dryRun || await removeEmptyDirectories(dir)) {
+                    result.removedFolders.push(dir);
+                }
+            }
+        }
+
+        if (result.archiveAction === "processed") {
+            const processedDir = await this.paths.resolve(this.config.cleanup.processedFolder, "downloads");
+            // Never lose an archive to a name clash in the processed folder
+            const operations = await this.planTransfers("move", [archivePath], processedDir, { on_conflict: "rename" });
+            if (!dryRun) {
+                await this.applyTransfers(operations, run);
+            }
+            result.archiveDestination = operations[0].destination;
+        } else if (result.archiveAction === "trash" && !dryRun) {
+            const trashed = await moveToTrash(archivePath);
+            await run.trashed(archivePath, trashed);
+            result.archiveDestination = trashed.location;
+        }
+        return result;
+    }
+
+    /**
+     * Dry runs can't look inside nested archives without writing them out.
+     */
+    dryRunNestingNote(args) {
+        return args.recursive ? "\n\nNested archives are not opened in a dry run; any found would be expanded in place." : "";
+    }
+
+    /**
+     * Levels of nested archives to expand for an extraction request: none unless
+     * `recursive` is set, and never more than the configured maximum.
+     */
+    nestingDepth(args) {
+        if (!args.recursive) {
+            return 0;
+        }
+        const max = this.config.extraction.maxNestingDepth;
+        return Math.min(args.max_depth ?? max, max);
+    }
+
+    /**
+     * Find archives at the top level of Downloads, newest first.
+     *
+     * @param {string[]} [formatNames] - Only return these formats (e.g. ["zip"])
+     */
+    findArchives(formatNames) {
+        return findArchives(this.roots.downloads, formatNames);
+    }
+
+    async handleUnzipAndMoveSvgs(args, run) {
+        if (!args.filename) {
+            throw new Error("filename is required");
+        }
+        return await this.handleUnzipAndOrganize({ ...args, profile: "svg" }, run);
+    }
+
+    async handleUnzipAndOrganize(args, run) {
+        const destinationFolder = args.destination_folder;
+        if (!destinationFolder) {
+            throw new Error("destination_folder is required");
+        }
+
+        const { label, extensions } = resolveAssetType(this.config.assetProfiles, args);
+        // Reject bad move options before anything is extracted
+        this.conflictStrategy(args);
+        compileRename(args.rename);
+        checkCleanupOptions(args.cleanup);
+
+        let filename = args.filename;
+        if (!filename) {
+            const [latestArchive] = await this.findArchives(supportedFormatNames());
+            if (!latestArchive) {
+                throw new Error(`No archives found in Downloads (supported: ${supportedFormatNames().join(", ")})`);
+            }
+            filename = latestArchive.name;
+        }
+
+        // Step 1: Extract the archive
+        const archivePath = await this.paths.resolveWithin(this.roots.downloads, filename);
 
-        // Check if source exists
         try {
-            await fs.access(sourceDir);
+            await fs.access(archivePath);
         } catch {
-            throw new Error(`Source directory not found: ${sourceDir}`);
+            throw new Error(`Archive not found: ${filename}`);
         }
 
-        // Determine destination
-        let destDir = DOCUMENTS_DIR;
-        if (args.subfolder) {
-            destDir = path.join(DOCUMENTS_DIR, args.subfolder);
-            await fs.mkdir(destDir, { recursive: true });
+        // Only matching entries are written; the rest of the archive is never touched
+        const filter = createEntryFilter({ include: args.include, exclude: args.exclude, extensions });
+        const extraction = await extractArchiveFile(archivePath, this.roots.downloads, {
+            limits: this.config.extraction,
+            overwrite: Boolean(args.overwrite),
+            filter,
+            password: args.password,
+            maxDepth: this.nestingDepth(args),
+            dryRun: Boolean(args.dry_run),
+        });
+        if (!args.dry_run) {
+            await this.journalExtraction(run, extraction);
         }
+        const extractPath = extraction.extractPath;
+        // Files an earlier extraction already wrote are moved as they are on disk
+        const alreadyExtracted = extraction.rejected.filter((r) => r.reason === "already_exists" && filter(r.name));
+        const files = [...extraction.extracted, ...alreadyExtracted.map((r) => ({ name: r.name, path: r.path, archive: r.archive }))];
+        const alreadyText = alreadyExtracted.length > 0
+            ? `\n\n${alreadyExtracted.length} ${label} file(s) were already extracted to ${extractPath} and ${args.dry_run ? "would be" : "were"} moved as they are (pass overwrite to extract them afresh).`
+            : "";
+        const rejectedText = `${formatNested(extraction)}${formatRejected(extraction.rejected.filter((r) => !alreadyExtracted.includes(r)))}`;
+        const structuredResult = (operations, { cleanup, ...details } = {}) => compact({
+            archive: filename,
+            extraction: extractionResult(extraction),
+            ...transferResult(operations, { listName: "moved", dryRun: Boolean(args.dry_run), source: extractPath, ...details }),
+            cleanup: cleanup && compact(cleanup),
+        });
+        const cleanupText = (cleanup) => {
+            const text = cleanup ? describeCleanup(cleanup, args.dry_run) : "";
+            return text ? `\n\n${text}` : "";
+        };
 
-        // Find all SVG files recursively
-        const svgFiles = await this.findFiles(sourceDir, ".svg");
+        // Step 2: Collect the files that were extracted
+        if (files.length === 0 && !args.dry_run) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Successfully unzipped ${filename} (${extraction.extracted.length} of ${extraction.totalEntries} entries) to ${extractPath}\n\nBut no ${label} files were found in the archive.${rejectedText}`,
+                    },
+                ],
+                structuredContent: structuredResult([]),
+            };
+        }
 
-        if (svgFiles.length === 0) {
+        // Step 3: Resolve the destination folder in Documents
+        const destDir = await this.paths.resolve(destinationFolder, "documents");
+        // Files from nested archives are named after the innermost one
+        const fromArchive = new Map(files.map((file) => [file.path, file.archive]));
+        const archiveOf = (filePath) => fromArchive.get(filePath) || filename;
+
+        // Clean up SVGs first, so name clashes are judged on what will be moved; they're only written once moved
+        const optimized = args.optimize_svg ? await this.optimizeSvgFiles(files.map((file) => file.path), args.optimize_svg) : null;
+        const contents = this.optimizedContents(optimized);
+
+        if (args.dry_run) {
+            const extractOps = extraction.extracted.map((file) => extractOperation(filename, file));
+            const moveOps = await this.planTransfers("move", files.map((file) => file.path), destDir, args, { baseDir: extractPath, archiveOf, contents });
+            const placed = this.placedOptimization(optimized, moveOps);
+            // Entries that aren't on disk yet can't be hashed or dated
+            const uncompared = ["skip-if-identical", "keep-newer"].includes(this.conflictStrategy(args)) && extraction.extracted.some((file) => !file.overwrite);
+            const optimizeNote = optimized && optimized.length < files.filter((file) => extensionOf(file.path) === "svg").length
+                ? "\n\nSVG files not yet extracted would be optimised after extraction; their savings can't be previewed."
+                : "";
+            const compareNote = uncompared
+                ? "\n\nFiles not yet extracted can't be compared with existing ones, so their name clashes are shown as renames."
+                : "";
+            const movedAway = new Set(moveOps.filter((op) => op.action === "move").map((op) => op.source));
+            const cleanup = args.cleanup ? await this.cleanUpExtraction(archivePath, extraction, args.cleanup, { dryRun: true, run, movedAway }) : null;
             return {
                 content: [
                     {
                         type: "text",
-                        text: `No SVG files found in ${sourceDir}`,
+                        text: `${formatPlan([...extractOps, ...moveOps])}${alreadyText}${compareNote}${formatOptimization(placed || [])}${optimizeNote}${cleanupText(cleanup)}${this.dryRunNestingNote(args)}${rejectedText}`,
                     },
                 ],
+                structuredContent: structuredResult(moveOps, { destination: destDir, optimized: placed, cleanup }),
             };
         }
 
-        // Move each SVG file
-        const movedFiles = [];
-        for (const svgPath of svgFiles) {
-            const filename = path.basename(svgPath);
-            const destPath = path.join(destDir, filename);
+        // Step 4: Move each file, resolving name clashes
+        const operations = await this.planTransfers("move", files.map((file) => file.path), destDir, args, { baseDir: extractPath, archiveOf, contents });
+        await this.applyTransfers(operations, run, { contents });
+        const placed = this.placedOptimization(optimized, operations);
 
-            // Handle duplicate filenames
-            let finalDestPath = destPath;
-            let counter = 1;
-            while (true) {
-                try {
-                    await fs.access(finalDestPath);
-                    // File exists, try another name
-                    const ext = path.extname(filename);
-                    const base = path.basename(filename, ext);
-                    finalDestPath = path.join(destDir, `${base}_${counter}${ext}`);
-                    counter++;
-                } catch {
-                    // File doesn't exist, we can use this path
-                    break;
-                }
-            }
+        const movedFiles = operations
+            .filter((op) => op.action === "move")
+            .map((op) => (fromArchive.get(op.source) ? `${describeTransfer(op, destDir)} (from ${fromArchive.get(op.source)})` : describeTransfer(op, destDir)));
 
-            await fs.rename(svgPath, finalDestPath);
-            movedFiles.push(path.basename(finalDestPath));
-        }
+        // Step 5: Tidy up Downloads
+        const cleanup = args.cleanup ? await this.cleanUpExtraction(archivePath, extraction, args.cleanup, { dryRun: false, run }) : null;
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Successfully moved ${movedFiles.length} SVG file(s) from ${sourceDir} to ${destDir}\n\nMoved files:\n${movedFiles.join("\n")}`,
+                    text: `Success! 🎉\n\n1. Unzipped ${filename} (${extraction.extracted.length} of ${extraction.totalEntries} entries)\n2. Found ${files.length} ${label} file(s)\n3. Moved ${movedFiles.length} of them to ${destDir}${movedFiles.length > 0 ? `\n\nMoved files:\n${movedFiles.join("\n")}` : ""}${alreadyText}${formatSkipped(operations)}${formatOptimization(placed || [])}${cleanupText(cleanup)}${rejectedText}`,
                 },
             ],
+            structuredContent: structuredResult(operations, { destination: destDir, optimized: placed, cleanup }),
         };
     }
 
-    async handleListZip(args) {
+    async handleListRecentDownloads(args) {
         const limit = args?.limit || 10;
-        const files = await fs.readdir(DOWNLOADS_DIR);
-        const zipFiles = files.filter((f) => f.toLowerCase().endsWith(".zip"));
+        const fileType = (args?.file_type || "").toLowerCase().replace(/^\./, "");
 
-        if (zipFiles.length === 0) {
+        const entries = await fs.readdir(this.roots.downloads, { withFileTypes: true });
+        let fileDetails = [];
+
+        for (const entry of entries) {
+            if (entry.isFile()) {
+                try {
+                    const fullPath = path.join(this.roots.downloads, entry.name);
+                    const stats = await fs.stat(fullPath);
+                    const extension = path.extname(entry.name).toLowerCase().replace(/^\./, "");
+                    fileDetails.push({
+                        name: entry.name,
+                        path: fullPath,
+                        size: stats.size,
+                        modified: stats.mtime,
+                        extension,
+                    });
+                } catch {
+                    // Skip files that can't be stat'd
+                }
+            }
+        }
+
+        // Apply file type filter
+        if (fileType) {
+            fileDetails = fileDetails.filter((f) => f.extension === fileType);
+        }
+
+        if (fileDetails.length === 0) {
+            const typeMsg = fileType ? ` of type '.${fileType}'` : "";
             return {
                 content: [
                     {
                         type: "text",
-                        text: `No zip files found in ${DOWNLOADS_DIR}`,
+                        text: `No files${typeMsg} found in ${this.roots.downloads}`,
                     },
                 ],
+                structuredContent: { directory: this.roots.downloads, total: 0, files: [] },
             };
         }
 
-        // Get file details with timestamps
-        const fileDetails = await Promise.all(
-            zipFiles.map(async (file) => {
-                const filePath = path.join(DOWNLOADS_DIR, file);
-                const stats = await fs.stat(filePath);
-                return {
-                    name: file,
-                    size: stats.size,
-                    modified: stats.mtime,
-                };
-            })
-        );
-
         // Sort by modified date (newest first)
         fileDetails.sort((a, b) => b.modified - a.modified);
 
-        // Limit results
         const limitedFiles = fileDetails.slice(0, limit);
 
-        const fileList = limitedFiles.map((file) => {
-            const sizeMB = (file.size / (1024 * 1024)).toFixed(2);
-            const date = file.modified.toLocaleString();
-            return `${file.name} (${sizeMB} MB) - ${date}`;
+        const fileList = limitedFiles.map((file, index) => {
+            const displaySize = formatSize(file.size);
+            const dateStr = file.modified.toLocaleString();
+            const badge = index === 0 ? " [LATEST]" : "";
+            return `${file.name}${badge}\n  Size: ${displaySize} | Modified: ${dateStr}`;
         });
 
+        const typeMsg = fileType ? ` (filtered to .${fileType} files)` : "";
         return {
             content: [
                 {
                     type: "text",
-                    text: `Found ${zipFiles.length} zip file(s) in Downloads (showing ${limitedFiles.length} most recent):\n\n${fileList.join("\n")}`,
+                    text: `Recent downloads${typeMsg}\nShowing ${limitedFiles.length} of ${fileDetails.length} (sorted by most recent):\n\n${fileList.join("\n\n")}`,
                 },
             ],
+            structuredContent: {
+                directory: this.roots.downloads,
+                total: fileDetails.length,
+                files: limitedFiles.map((file) => fileResult(file.path, { size: file.size, mtimeMs: file.modified.getTime() })),
+            },
         };
     }
 
-    async handleListSvg(args) {
-        const searchDir = args.directory
-            ? path.resolve(args.directory)
-            : DOWNLOADS_DIR;
+    async handleUnzipLatest(args, run) {
+        // Find the most recent zip file in Downloads
+        const [latestZip] = await this.findArchives(["zip"]);
+        if (!latestZip) {
+            throw new Error("No zip files found in Downloads");
+        }
+
+        // Delegate to handleExtractArchive with the latest zip file
+        return await this.handleExtractArchive({ ...args, filename: latestZip.name }, run);
+    }
+
+    async handleExtractLatestArchive(args, run) {
+        const [latestArchive] = await this.findArchives(supportedFormatNames());
+        if (!latestArchive) {
+            throw new Error(`No archives found in Downloads (supported: ${supportedFormatNames().join(", ")})`);
+        }
+
+        return await this.handleExtractArchive({ ...args, filename: latestArchive.name }, run);
+    }
+
+    async handleUnzipLatestAndMoveSvgs(args, run) {
+        const destinationFolder = args?.destination_folder;
+        if (!destinationFolder) {
+            throw new Error("destination_folder is required");
+        }
+
+        // Find the most recent zip file in Downloads
+        const [latestZip] = await this.findArchives(["zip"]);
+        if (!latestZip) {
+            throw new Error("No zip files found in Downloads");
+        }
+
+        // Delegate to handleUnzipAndMoveSvgs with the latest zip file
+        return await this.handleUnzipAndMoveSvgs({ ...args, filename: latestZip.name }, run);
+    }
+
+    async handleCreateDirectory(args, run) {
+        const name = args.name;
+        if (!name) {
+            throw new Error("name is required");
+        }
+
+        const baseDir = await this.paths.resolve(args.location, "documents");
+
+        const newDir = await this.paths.resolveWithin(baseDir, name);
 
         try {
-            await fs.access(searchDir);
+            await fs.access(newDir);
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Directory already exists: ${newDir}`,
+                    },
+                ],
+                structuredContent: { path: newDir, dryRun: Boolean(args.dry_run), created: false },
+            };
         } catch {
-            throw new Error(`Directory not found: ${searchDir}`);
+            // Directory doesn't exist, create it
         }
 
-        const svgFiles = await this.findFiles(searchDir, ".svg");
-
-        if (svgFiles.length === 0) {
+        if (args.dry_run) {
             return {
                 content: [
                     {
                         type: "text",
-                        text: `No SVG files found in ${searchDir}`,
+                        text: formatPlan([{ action: "create_directory", source: null, destination: newDir, renamed: false, overwrite: false }]),
                     },
                 ],
+                structuredContent: { path: newDir, dryRun: true, created: true },
             };
         }
 
-        const relativePaths = svgFiles.map((f) =>
-            path.relative(searchDir, f)
-        );
+        run.createdDirectory(await fs.mkdir(newDir, { recursive: true }));
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Found ${svgFiles.length} SVG file(s) in ${searchDir}:\n\n${relativePaths.join("\n")}`,
+                    text: `Successfully created directory: ${newDir}`,
                 },
             ],
+            structuredContent: { path: newDir, dryRun: false, created: true },
         };
     }
 
-    async findFiles(dir, extension) {
-        const results = [];
-
-        async function walk(currentDir) {
-            const entries = await fs.readdir(currentDir, { withFileTypes: true });
-
-            for (const entry of entries) {
-                const fullPath = path.join(currentDir, entry.name);
-
-                if (entry.isDirectory()) {
-                    await walk(fullPath);
-                } else if (entry.isFile() && entry.name.toLowerCase().endsWith(extension)) {
-                    results.push(fullPath);
-                }
-            }
-        }
-
-        await walk(dir);
-        return results;
-    }
-
-    async handleUnzipAndMoveSvgs(args) {
-        const filename = args.filename;
-        const destinationFolder = args.destination_folder;
-
-        if (!filename) {
-            throw new Error("filename is required");
-        }
-        if (!destinationFolder) {
+    async handleMoveLatestSvg(args, run) {
+        if (!args.destination_folder) {
             throw new Error("destination_folder is required");
         }
+        return await this.handleOrganizeFiles({ ...args, profile: "svg", latest_only: true }, run);
+    }
 
-        // Step 1: Unzip the file
-        const zipPath = path.join(DOWNLOADS_DIR, filename);
+    async handleOrganizeFiles(args, run) {
+        const { label, extensions } = resolveAssetType(this.config.assetProfiles, args);
+        const sourceDir = await this.paths.resolve(args.source, "downloads");
 
+        // Check if source exists
         try {
-            await fs.access(zipPath);
+            await fs.access(sourceDir);
         } catch {
-            throw new Error(`Zip file not found: ${filename}`);
+            throw new Error(`Source directory not found: ${sourceDir}`);
         }
 
-        const zip = new AdmZip(zipPath);
-        const extractPath = path.join(DOWNLOADS_DIR, path.basename(filename, ".zip"));
-
-        await fs.mkdir(extractPath, { recursive: true });
-        zip.extractAllTo(extractPath, true);
-
-        const entries = zip.getEntries();
+        // Find all matching files recursively
+        let files = await this.findFiles(sourceDir, extensions);
 
-        // Step 2: Find all SVG files in the extracted folder
-        const svgFiles = await this.findFiles(extractPath, ".svg");
-
-        if (svgFiles.length === 0) {
+        if (files.length === 0) {
             return {
                 content: [
                     {
                         type: "text",
-                        text: `Successfully unzipped ${filename} (${entries.length} files) to ${extractPath}\n\nBut no SVG files were found in the archive.`,
+                        text: `No ${label} files found in ${sourceDir}`,
                     },
                 ],
+                structuredContent: transferResult([], { listName: "moved", dryRun: Boolean(args.dry_run), source: sourceDir }),
             };
         }
 
-        // Step 3: Create destination folder in Documents
-        const destDir = path.join(DOCUMENTS_DIR, destinationFolder);
-        await fs.mkdir(destDir, { recursive: true });
+        if (args.latest_only) {
+            // Keep only the most recent file by modification time
+            const fileStats = await Promise.all(
+                files.map(async (filePath) => {
+                    const stats = await fs.stat(filePath);
+                    return { filePath, mtime: stats.mtime };
+                })
+            );
+            files = [fileStats.reduce((latest, current) =>
+                current.mtime > latest.mtime ? current : latest
+            ).filePath];
+        }
 
-        // Step 4: Move each SVG file
-        const movedFiles = [];
-        for (const svgPath of svgFiles) {
-            const filename = path.basename(svgPath);
-            const destPath = path.join(destDir, filename);
+        // Determine destination
+        const destDir = await this.paths.resolve(args.destination_folder, "documents");
+
+        // Clean up SVGs first, so name clashes are judged on what will be moved; they're only written once moved
+        const optimized = args.optimize_svg ? await this.optimizeSvgFiles(files, args.optimize_svg) : null;
+        const contents = this.optimizedContents(optimized);
+
+        // Plan each move, handling duplicate filenames
+        const operations = await this.planTransfers("move", files, destDir, args, { baseDir: sourceDir, contents });
+        const placed = this.placedOptimization(optimized, operations);
+        const optimizeText = formatOptimization(placed || []);
+        const structuredContent = transferResult(operations, { listName: "moved", dryRun: Boolean(args.dry_run), source: sourceDir, destination: destDir, optimized: placed });
+        if (args.dry_run) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${formatPlan(operations)}${optimizeText}`,
+                    },
+                ],
+                structuredContent,
+            };
+        }
 
-            // Handle duplicate filenames
-            let finalDestPath = destPath;
-            let counter = 1;
-            while (true) {
-                try {
-                    await fs.access(finalDestPath);
-                    const ext = path.extname(filename);
-                    const base = path.basename(filename, ext);
-                    finalDestPath = path.join(destDir, `${base}_${counter}${ext}`);
-                    counter++;
-                } catch {
-                    break;
-                }
-            }
+        await this.applyTransfers(operations, run, { contents });
+        const moved = operations.filter((op) => op.action === "move");
 
-            await fs.rename(svgPath, finalDestPath);
-            movedFiles.push(path.basename(finalDestPath));
+        if (args.latest_only) {
+            let text = moved.length > 0
+                ? `Successfully moved the latest ${label} file to ${moved[0].destination}\n\nFile: ${describeTransfer(moved[0], destDir)}`
+                : `The latest ${label} file was not moved.${formatSkipped(operations)}`;
+            text += optimizeText;
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text,
+                    },
+                ],
+                structuredContent,
+            };
         }
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Success! 🎉\n\n1. Unzipped ${args.filename} (${entries.length} total files)\n2. Found ${svgFiles.length} SVG file(s)\n3. Moved all SVGs to Documents\\${destinationFolder}\n\nMoved files:\n${movedFiles.join("\n")}`,
+                    text: `Successfully moved ${moved.length} ${label} file(s) from ${sourceDir} to ${destDir}${moved.length > 0 ? `\n\nMoved files:\n${moved.map((op) => describeTransfer(op, destDir)).join("\n")}` : ""}${formatSkipped(operations)}${optimizeText}`,
                 },
             ],
+            structuredContent,
         };
     }
 
-    async handleListRecentDownloads(args) {
-        const limit = args?.limit || 10;
-        const fileType = (args?.file_type || "").toLowerCase().replace(/^\./, "");
+    async handleCopyFile(args, run) {
+        const filename = args.filename;
+        if (!filename) {
+            throw new Error("filename is required");
+        }
 
-        const entries = await fs.readdir(DOWNLOADS_DIR, { withFileTypes: true });
-        let fileDetails = [];
+        // Determine source directory
+        const sourceDir = await this.paths.resolve(args.source, "downloads");
 
-        for (const entry of entries) {
-            if (entry.isFile()) {
-                try {
-                    const fullPath = path.join(DOWNLOADS_DIR, entry.name);
-                    const stats = await fs.stat(fullPath);
-                    const extension = path.extname(entry.name).toLowerCase().replace(/^\./, "");
-                    fileDetails.push({
-                        name: entry.name,
-                        size: stats.size,
-                        modified: stats.mtime,
-                        extension,
-                    });
-                } catch {
-                    // Skip files that can't be stat'd
-                }
+        let sourceFile = await this.paths.resolveWithin(sourceDir, filename);
+
+        try {
+            await fs.access(sourceFile);
+        } catch {
+            // Try to find the file recursively
+            const foundFiles = await this.findFiles(sourceDir, path.extname(filename));
+            const match = foundFiles.find((f) => path.basename(f) === filename);
+            if (match) {
+                sourceFile = match;
+            } else {
+                throw new Error(`File not found: ${filename} in ${sourceDir}`);
             }
         }
 
-        // Apply file type filter
-        if (fileType) {
-            fileDetails = fileDetails.filter((f) => f.extension === fileType);
-        }
+        // Determine destination
+        const destDir = await this.paths.resolve(args.destination_folder, "documents");
 
-        if (fileDetails.length === 0) {
-            const typeMsg = fileType ? ` of type '.${fileType}'` : "";
+        // Determine destination path
+        const [op] = await this.planTransfers("copy", [sourceFile], destDir, args);
+        const structuredContent = transferResult([op], { listName: "copied", dryRun: Boolean(args.dry_run), destination: destDir });
+
+        if (args.dry_run) {
             return {
                 content: [
                     {
                         type: "text",
-                        text: `No files${typeMsg} found in ${DOWNLOADS_DIR}`,
+                        text: formatPlan([op]),
                     },
                 ],
+                structuredContent,
             };
         }
 
-        // Sort by modified date (newest first)
-        fileDetails.sort((a, b) => b.modified - a.modified);
-
-        const limitedFiles = fileDetails.slice(0, limit);
-
-        const fileList = limitedFiles.map((file, index) => {
-            let displaySize;
-            if (file.size > 1024 * 1024) {
-                displaySize = `${(file.size / (1024 * 1024)).toFixed(2)} MB`;
-            } else if (file.size > 1024) {
-                displaySize = `${(file.size / 1024).toFixed(2)} KB`;
-            } else {
-                displaySize = `${file.size} bytes`;
-            }
-
-            const dateStr = file.modified.toLocaleString();
-            const badge = index === 0 ? " [LATEST]" : "";
-            return `${file.name}${badge}\n  Size: ${displaySize} | Modified: ${dateStr}`;
-        });
-
-        const typeMsg = fileType ? ` (filtered to .${fileType} files)` : "";
-        return {
-            content: [
-                {
-                    type: "text",
-                    text: `Recent downloads${typeMsg}\nShowing ${limitedFiles.length} of ${fileDetails.length} (sorted by most recent):\n\n${fileList.join("\n\n")}`,
-                },
-            ],
-        };
-    }
-
-    async handleUnzipLatest(args) {
-        // Find the most recent zip file in Downloads
-        const files = await fs.readdir(DOWNLOADS_DIR);
-        const zipFiles = files.filter((f) => f.toLowerCase().endsWith(".zip"));
-
-        if (zipFiles.length === 0) {
-            throw new Error("No zip files found in Downloads");
+        if (op.action === "skip") {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Nothing to do: ${path.basename(sourceFile)} was not copied.${formatSkipped([op])}`,
+                    },
+                ],
+                structuredContent,
+            };
         }
 
-        const fileDetails = await Promise.all(
-            zipFiles.map(async (file) => {
-                const filePath = path.join(DOWNLOADS_DIR, file);
-                const stats = await fs.stat(filePath);
-                return { name: file, mtime: stats.mtime };
-            })
-        );
-
-        fileDetails.sort((a, b) => b.mtime - a.mtime);
-        const latestZip = fileDetails[0].name;
+        await this.applyTransfers([op], run);
 
-        // Delegate to handleUnzip with the latest zip file
-        return await this.handleUnzip({ filename: latestZip, destination: args?.destination });
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Successfully copied ${path.basename(sourceFile)} to ${op.destination}${op.renamed || op.overwrite || op.originalName ? `\n\nFile: ${describeTransfer(op)}` : ""}`,
+                },
+            ],
+            structuredContent,
+        };
     }
 
-    async handleUnzipLatestAndMoveSvgs(args) {
-        const destinationFolder = args?.destination_folder;
-        if (!destinationFolder) {
-            throw new Error("destination_folder is required");
-        }
-
-        // Find the most recent zip file in Downloads
-        const files = await fs.readdir(DOWNLOADS_DIR);
-        const zipFiles = files.filter((f) => f.toLowerCase().endsWith(".zip"));
-
-        if (zipFiles.length === 0) {
-            throw new Error("No zip files found in Downloads");
+    async handleMoveFile(args, run) {
+        const filename = args.filename;
+        if (!filename) {
+            throw new Error("filename is required");
         }
 
-        const fileDetails = await Promise.all(
-            zipFiles.map(async (file) => {
-                const filePath = path.join(DOWNLOADS_DIR, file);
-                const stats = await fs.stat(filePath);
-                return { name: file, mtime: stats.mtime };
-            })
-        );
-
-        fileDetails.sort((a, b) => b.mtime - a.mtime);
-        const latestZip = fileDetails[0].name;
+        // Determine source directory
+        const sourceDir = await this.paths.resolve(args.source, "downloads");
 
-        // Delegate to handleUnzipAndMoveSvgs with the latest zip file
-        return await this.handleUnzipAndMoveSvgs({ filename: latestZip, destination_folder: destinationFolder });
-    }
+        let sourceFile = await this.paths.resolveWithin(sourceDir, filename);
 
-    async handleCreateDirectory(args) {
-        const name = args.name;
-        if (!name) {
-            throw new Error("name is required");
+        try {
+            await fs.access(sourceFile);
+        } catch {
+            // Try to find the file recursively
+            const foundFiles = await this.findFiles(sourceDir, path.extname(filename));
+            const match = foundFiles.find((f) => path.basename(f) === filename);
+            if (match) {
+                sourceFile = match;
+            } else {
+                throw new Error(`File not found: ${filename} in ${sourceDir}`);
+            }
         }
 
-        const location = (args.location || "documents").toLowerCase();
+        // Determine destination
+        const destDir = await this.paths.resolve(args.destination_folder, "documents");
 
-        let baseDir;
-        if (location === "documents") {
-            baseDir = DOCUMENTS_DIR;
-        } else if (location === "downloads") {
-            baseDir = DOWNLOADS_DIR;
-        } else {
-            baseDir = path.resolve(location);
-        }
+        // Determine destination path
+        const [op] = await this.planTransfers("move", [sourceFile], destDir, args);
+        const structuredContent = transferResult([op], { listName: "moved", dryRun: Boolean(args.dry_run), destination: destDir });
 
-        const newDir = path.join(baseDir, name);
+        if (args.dry_run) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: formatPlan([op]),
+                    },
+                ],
+                structuredContent,
+            };
+        }
 
-        try {
-            await fs.access(newDir);
+        if (op.action === "skip") {
             return {
                 content: [
                     {
                         type: "text",
-                        text: `Directory already exists: ${newDir}`,
+                        text: `Nothing to do: ${path.basename(sourceFile)} was not moved.${formatSkipped([op])}`,
                     },
                 ],
+                structuredContent,
             };
-        } catch {
-            // Directory doesn't exist, create it
         }
 
-        await fs.mkdir(newDir, { recursive: true });
+        await this.applyTransfers([op], run);
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Successfully created directory: ${newDir}`,
+                    text: `Successfully moved ${path.basename(sourceFile)} to ${op.destination}${op.renamed || op.overwrite || op.originalName ? `\n\nFile: ${describeTransfer(op)}` : ""}`,
                 },
             ],
+            structuredContent,
         };
     }
 
-    async handleMoveLatestSvg(args) {
-        const destinationFolder = args.destination_folder;
-        if (!destinationFolder) {
-            throw new Error("destination_folder is required");
+    async handleCreateZip(args, run) {
+        const sourceDir = await this.paths.resolve(args?.source_folder, "documents");
+        const sourceStats = await fs.stat(sourceDir).catch(() => null);
+        if (!sourceStats?.isDirectory()) {
+            throw new Error(`Source folder not found: ${sourceDir}`);
         }
 
-        const sourceDir = args.source
-            ? path.resolve(args.source)
-            : DOWNLOADS_DIR;
+        const level = args?.compression_level ?? 6;
+        if (!Number.isInteger(level) || level < 0 || level > 9) {
+            throw new Error("compression_level must be a whole number from 0 to 9");
+        }
 
-        try {
-            await fs.access(sourceDir);
-        } catch {
-            throw new Error(`Source directory not found: ${sourceDir}`);
+        const encryption = args?.encryption || "aes256";
+        if (!ENCRYPTION_METHODS[encryption]) {
+            throw new Error(`encryption must be one of: ${Object.keys(ENCRYPTION_METHODS).join(", ")}`);
+        }
+
+        const sourcePaths = await this.selectFiles(sourceDir, args?.files);
+        if (sourcePaths.length === 0) {
+            throw new Error(`No files to zip in ${sourceDir}`);
         }
 
-        // Find all SVG files
-        const svgFiles = await this.findFiles(sourceDir, ".svg");
+        const files = this.zipEntries(sourcePaths, () => sourceDir, { flatten: args?.flatten });
 
-        if (svgFiles.length === 0) {
+        let outputName = args?.output_name || path.basename(sourceDir);
+        if (!outputName.toLowerCase().endsWith(".zip")) {
+            outputName += ".zip";
+        }
+
+        const destDir = await this.paths.resolve(args?.destination_folder, "documents");
+        const outputPath = await availablePath(destDir, path.basename(outputName));
+
+        const entryList = files.map((file) => ({ source: file.sourcePath, name: file.name }));
+        if (args?.dry_run) {
+            const operations = [
+                { action: "create_zip", source: null, destination: outputPath, renamed: path.basename(outputPath) !== path.basename(outputName), overwrite: false },
+                ...files.map((file) => ({ action: "add", source: file.sourcePath, destination: `${path.basename(outputPath)}:${file.name}`, renamed: false, overwrite: false })),
+            ];
             return {
                 content: [
                     {
                         type: "text",
-                        text: `No SVG files found in ${sourceDir}`,
+                        text: formatPlan(operations),
                     },
                 ],
+                structuredContent: { path: outputPath, dryRun: true, entries: files.length, files: entryList },
             };
         }
 
-        // Get the most recent SVG file by modification time
-        const fileStats = await Promise.all(
-            svgFiles.map(async (filePath) => {
-                const stats = await fs.stat(filePath);
-                return { filePath, mtime: stats.mtime };
-            })
-        );
-        const latestSvg = fileStats.reduce((latest, current) =>
-            current.mtime > latest.mtime ? current : latest
-        ).filePath;
-
-        // Create destination folder in Documents
-        const destDir = path.join(DOCUMENTS_DIR, destinationFolder);
-        await fs.mkdir(destDir, { recursive: true });
-
-        // Determine destination path
-        const svgName = path.basename(latestSvg);
-        let finalDestPath = path.join(destDir, svgName);
-
-        // Handle duplicate filenames
-        let counter = 1;
-        while (true) {
-            try {
-                await fs.access(finalDestPath);
-                const ext = path.extname(svgName);
-                const base = path.basename(svgName, ext);
-                finalDestPath = path.join(destDir, `${base}_${counter}${ext}`);
-                counter++;
-            } catch {
-                break;
-            }
-        }
+        run.createdDirectory(await fs.mkdir(destDir, { recursive: true }));
 
-        // Move the file
-        await fs.rename(latestSvg, finalDestPath);
+        const { size, entries } = await createZip(outputPath, files, { level, password: args?.password, encryption });
+        await run.created(outputPath);
+        const originalSize = (await Promise.all(sourcePaths.map((f) => fs.stat(f)))).reduce((total, s) => total + s.size, 0);
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Successfully moved the latest SVG file to ${finalDestPath}\n\nFile: ${svgName}`,
+                    text: `Successfully created ${outputPath}\n\nFiles: ${entries} (${formatSize(originalSize)} -> ${formatSize(size)})\nStructure: ${args?.flatten ? "flattened" : "preserved"}${args?.password ? `\nPassword-protected: ${ENCRYPTION_METHODS[encryption]}` : ""}\nBy type: ${summarizeByExtension(files.map((f) => f.name))}`,
                 },
             ],
+            structuredContent: compact({
+                path: outputPath,
+                dryRun: false,
+                entries,
+                files: entryList,
+                originalSize,
+                size,
+                structure: args?.flatten ? "flattened" : "preserved",
+                encryption: args?.password ? encryption : null,
+            }),
         };
     }
 
-    async handleCopyFile(args) {
-        const filename = args.filename;
-        if (!filename) {
-            throw new Error("filename is required");
-        }
+    /**
+     * Entry names for zipping `sourcePaths`: each file's path relative to
+     * `baseOf(file)`, or with `flatten` just its name, numbered when it clashes.
+     */
+    zipEntries(sourcePaths, baseOf, { flatten = false } = {}) {
+        // Entry names always use forward slashes, whatever the platform
+        const usedNames = new Set();
+        return sourcePaths.map((sourcePath) => {
+            let name = path.relative(baseOf(sourcePath), sourcePath).split(path.sep).join("/");
+            if (flatten) {
+                const ext = path.extname(sourcePath);
+                const base = path.basename(sourcePath, ext);
+                name = path.basename(sourcePath);
+                for (let counter = 1; usedNames.has(name.toLowerCase()); counter++) {
+                    name = `${base}_${counter}${ext}`;
+                }
+            }
+            usedNames.add(name.toLowerCase());
+            return { sourcePath, name };
+        });
+    }
 
-        // Determine source directory
-        const sourceArg = (args.source || "downloads").toLowerCase();
-        let sourceDir;
-        if (sourceArg === "downloads") {
-            sourceDir = DOWNLOADS_DIR;
-        } else if (sourceArg === "documents") {
-            sourceDir = DOCUMENTS_DIR;
-        } else {
-            sourceDir = path.resolve(sourceArg);
+    /**
+     * Expand a list of files, folders and glob patterns relative to `sourceDir`
+     * into the files they refer to, without duplicates. No list means every file.
+     */
+    async selectFiles(sourceDir, patterns) {
+        const allFiles = await this.findFiles(sourceDir, "");
+        if (!patterns || patterns.length === 0) {
+            return allFiles;
         }
 
-        let sourceFile = path.join(sourceDir, filename);
-
-        try {
-            await fs.access(sourceFile);
-        } catch {
-            // Try to find the file recursively
-            const foundFiles = await this.findFiles(sourceDir, path.extname(filename));
-            const match = foundFiles.find((f) => path.basename(f) === filename);
-            if (match) {
-                sourceFile = match;
+        const selected = new Set();
+        for (const pattern of patterns) {
+            const target = await this.paths.resolveWithin(sourceDir, pattern);
+            const stats = await fs.stat(target).catch(() => null);
+
+            if (stats?.isFile()) {
+                selected.add(target);
+            } else if (stats?.isDirectory()) {
+                allFiles.filter((f) => isInside(target, f)).forEach((f) => selected.add(f));
+            } else if (/[*?[\]{}]/.test(pattern)) {
+                const matches = createEntryFilter({ include: pattern });
+                const found = allFiles.filter((f) => matches(path.relative(sourceDir, f).split(path.sep).join("/")));
+                if (found.length === 0) {
+                    throw new Error(`No files match ${pattern} in ${sourceDir}`);
+                }
+                found.forEach((f) => selected.add(f));
             } else {
-                throw new Error(`File not found: ${filename} in ${sourceDir}`);
+                throw new Error(`File not found: ${pattern} in ${sourceDir}`);
             }
         }
+        return [...selected];
+    }
 
-        // Determine destination
-        const destFolder = args.destination_folder || "";
-        let destDir;
-        if (destFolder) {
-            destDir = path.join(DOCUMENTS_DIR, destFolder);
-        } else {
-            destDir = DOCUMENTS_DIR;
+    async handleSortDownloads(args, run) {
+        const configured = this.config.rules;
+        if (configured.length === 0) {
+            throw new Error(`No sorting rules are configured. Add "rules" to ${this.config.configFile || "the config file"}.`);
         }
 
-        await fs.mkdir(destDir, { recursive: true });
+        let rules = configured;
+        if (args?.rules?.length > 0) {
+            const wanted = args.rules.map((name) => name.toLowerCase());
+            rules = configured.filter((rule) => wanted.includes(rule.name.toLowerCase()));
+            const unknown = args.rules.filter((name) => !configured.some((rule) => rule.name.toLowerCase() === name.toLowerCase()));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown rule(s): ${unknown.join(", ")} (configured: ${configured.map((rule) => rule.name).join(", ")})`);
+            }
+        }
 
-        // Determine destination path
-        const sourceName = path.basename(sourceFile);
-        let finalDestPath = path.join(destDir, sourceName);
+        const dryRun = Boolean(args?.dry_run);
+        const files = await this.collectDownloads();
+        const now = Date.now();
+        const strategy = this.conflictStrategy(args || {});
+        const reserved = new Map();
+        const moves = [];
+        const unmatched = [];
+
+        for (const file of files) {
+            const rule = findMatchingRule(rules, file, now);
+            if (!rule) {
+                unmatched.push(file);
+                continue;
+            }
 
-        // Handle duplicate filenames
-        let counter = 1;
-        while (true) {
-            try {
-                await fs.access(finalDestPath);
-                const ext = path.extname(sourceName);
-                const base = path.basename(sourceName, ext);
-                finalDestPath = path.join(destDir, `${base}_${counter}${ext}`);
-                counter++;
-            } catch {
-                break;
+            const destDir = await this.paths.resolve(renderDestination(rule.destination, file), "documents");
+            const op = await planTransfer("move", file.path, destDir, { strategy, reserved });
+            if (op.action !== "skip") {
+                reserved.set(op.destination, file.path);
             }
+            moves.push({ file, rule, op });
+        }
+
+        if (!dryRun) {
+            await this.applyTransfers(moves.map((move) => move.op), run);
         }
 
-        // Copy the file
-        await fs.copyFile(sourceFile, finalDestPath);
+        const describe = (file) => (file.archive ? `${path.relative(this.roots.downloads, file.path)} (from ${file.archive})` : file.name);
+        const describeMove = ({ file, rule, op }) => {
+            if (op.action === "skip") {
+                return `  ${describe(file)} [${rule.name}] left in place (${describeSkip(op)})`;
+            }
+            const flag = op.renamed ? " (renamed to avoid an existing file)" : op.overwrite ? " (replaced an existing file)" : "";
+            return `  ${describe(file)} -> ${op.destination} [${rule.name}]${flag}`;
+        };
+        const movedCount = moves.filter((move) => move.op.action === "move").length;
+        const summary = dryRun
+            ? `Dry run: ${moves.length} of ${files.length} file(s) in Downloads match a rule. Nothing was moved.`
+            : `Sorted ${movedCount} of ${files.length} file(s) in Downloads.`;
+        const movesText = moves.length > 0 ? `\n\n${dryRun ? "Planned moves" : "Results"}:\n${moves.map(describeMove).join("\n")}` : "";
+        const unmatchedText = unmatched.length > 0
+            ? `\n\nNo rule matched ${unmatched.length} file(s):\n${unmatched.slice(0, 20).map((f) => `  ${describe(f)}`).join("\n")}${unmatched.length > 20 ? `\n  ... and ${unmatched.length - 20} more` : ""}`
+            : "";
+
+        const moveResult = ({ file, rule, op }) => compact({ ...operationResult(op), rule: rule.name, archive: file.archive });
+        const transferred = moves.filter((move) => move.op.action === "move");
+        const skipped = moves.filter((move) => move.op.action === "skip");
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Successfully copied ${sourceName} to ${finalDestPath}`,
+                    text: `${summary}${movesText}${unmatchedText}`,
                 },
             ],
+            structuredContent: {
+                dryRun,
+                total: files.length,
+                moved: transferred.map(moveResult),
+                skipped: skipped.map(moveResult),
+                unmatched: unmatched.map((file) => compact({ ...fileResult(file.path, { size: file.size, mtimeMs: file.mtime.getTime() }, this.roots.downloads), archive: file.archive })),
+                counts: {
+                    moved: transferred.length,
+                    renamed: transferred.filter((move) => move.op.renamed).length,
+                    overwritten: transferred.filter((move) => move.op.overwrite).length,
+                    skipped: skipped.length,
+                    unmatched: unmatched.length,
+                },
+            },
         };
     }
 
-    async handleMoveFile(args) {
-        const filename = args.filename;
-        if (!filename) {
-            throw new Error("filename is required");
+    /**
+     * Files that sort_downloads considers: everything at the top of Downloads,
+     * plus the contents of extraction folders (a folder named after an archive
+     * that sits next to it), tagged with that archive's name.
+     */
+    async collectDownloads() {
+        const downloadsDir = this.roots.downloads;
+        const entries = await fs.readdir(downloadsDir, { withFileTypes: true });
+
+        const archivesByFolder = new Map();
+        for (const entry of entries) {
+            const folderName = stripArchiveExtension(entry.name);
+            if (entry.isFile() && folderName !== entry.name) {
+                archivesByFolder.set(folderName, entry.name);
+                archivesByFolder.set(`${folderName}_extracted`, entry.name);
+            }
         }
 
-        // Determine source directory
-        const sourceArg = (args.source || "downloads").toLowerCase();
-        let sourceDir;
-        if (sourceArg === "downloads") {
-            sourceDir = DOWNLOADS_DIR;
-        } else if (sourceArg === "documents") {
-            sourceDir = DOCUMENTS_DIR;
-        } else {
-            sourceDir = path.resolve(sourceArg);
+        const candidates = [];
+        for (const entry of entries) {
+            const fullPath = path.join(downloadsDir, entry.name);
+            if (entry.isFile() && !entry.name.startsWith(".")) {
+                candidates.push({ path: fullPath, archive: null });
+            } else if (entry.isDirectory() && archivesByFolder.has(entry.name)) {
+                const archive = archivesByFolder.get(entry.name);
+                for (const filePath of await this.findFiles(fullPath, "")) {
+                    if (!path.basename(filePath).startsWith(".")) {
+                        candidates.push({ path: filePath, archive });
+                    }
+                }
+            }
         }
 
-        let sourceFile = path.join(sourceDir, filename);
+        return await Promise.all(candidates.map(async (candidate) => {
+            const stats = await fs.stat(candidate.path);
+            return { ...candidate, name: path.basename(candidate.path), size: stats.size, mtime: stats.mtime };
+        }));
+    }
 
-        try {
-            await fs.access(sourceFile);
-        } catch {
-            // Try to find the file recursively
-            const foundFiles = await this.findFiles(sourceDir, path.extname(filename));
-            const match = foundFiles.find((f) => path.basename(f) === filename);
-            if (match) {
-                sourceFile = match;
-            } else {
-                throw new Error(`File not found: ${filename} in ${sourceDir}`);
-            }
+    async handleFindDuplicates(args, run) {
+        const action = args.action || "report";
+        if (!DUPLICATE_ACTIONS.includes(action)) {
+            throw new Error(`Unknown action "${action}" (expected one of: ${DUPLICATE_ACTIONS.join(", ")})`);
+        }
+        const keep = args.keep || "oldest";
+        if (!KEEP_CHOICES.includes(keep)) {
+            throw new Error(`Unknown keep choice "${keep}" (expected one of: ${KEEP_CHOICES.join(", ")})`);
         }
 
-        // Determine destination
-        const destFolder = args.destination_folder || "";
-        let destDir;
-        if (destFolder) {
-            destDir = path.join(DOCUMENTS_DIR, destFolder);
-        } else {
-            destDir = DOCUMENTS_DIR;
+        const locations = args.locations?.length > 0 ? args.locations : ["downloads", "documents"];
+        const requested = [];
+        for (const location of locations) {
+            requested.push(await this.paths.resolve(location, "documents"));
+        }
+        // A folder inside another scanned folder would be walked twice
+        const scanDirs = requested.filter((dir, index) =>
+            !requested.some((other, otherIndex) => otherIndex !== index && isInside(other, dir) && (other !== dir || otherIndex < index)));
+
+        const extensions = args.profile || args.extensions?.length > 0
+            ? resolveAssetType(this.config.assetProfiles, args).extensions
+            : "";
+        const files = [];
+        for (const dir of scanDirs) {
+            files.push(...(await this.findFiles(dir, extensions, { withStats: true })));
         }
 
-        await fs.mkdir(destDir, { recursive: true });
+        const minSize = args.min_size != null ? parseSize(args.min_size) : 1;
+        const groups = await findDuplicateGroups(files, { minSize });
+        const totalWasted = groups.reduce((sum, group) => sum + group.wasted, 0);
+        const duplicateFiles = groups.reduce((sum, group) => sum + group.files.length, 0);
+
+        const heading = `Scanned ${files.length} file(s) in ${scanDirs.join(", ")}.\n\n` + (groups.length > 0
+            ? `Found ${groups.length} duplicate set(s) covering ${duplicateFiles} file(s); keeping one copy of each would free ${formatSize(totalWasted)}.`
+            : "No duplicates found.");
+
+        const limit = args.limit || 20;
+        const describeGroup = (group) => {
+            const { kept, extras } = chooseKeeper(group, keep);
+            const lines = [`  ${group.files.length} copies of ${formatSize(group.size)} (${formatSize(group.wasted)} wasted):`, `    ${kept.path} (keep)`];
+            lines.push(...extras.map((file) => `    ${file.path}${file.dev === kept.dev && file.ino === kept.ino ? " (already a hard link)" : ""}`));
+            return lines.join("\n");
+        };
+        const groupsText = groups.length > 0
+            ? `\n\n${groups.slice(0, limit).map(describeGroup).join("\n\n")}${groups.length > limit ? `\n\n  ... and ${groups.length - limit} more set(s)` : ""}`
+            : "";
+        const structuredContent = {
+            locations: scanDirs,
+            scanned: files.length,
+            action,
+            dryRun: Boolean(args.dry_run),
+            wasted: totalWasted,
+            total: groups.length,
+            groups: groups.slice(0, limit).map((group) => {
+                const { kept, extras } = chooseKeeper(group, keep);
+                return { size: group.size, hash: group.hash, wasted: group.wasted, kept: kept.path, extras: extras.map((file) => file.path) };
+            }),
+        };
 
-        // Determine destination path
-        const sourceName = path.basename(sourceFile);
-        let finalDestPath = path.join(destDir, sourceName);
+        if (action === "report" || groups.length === 0) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${heading}${groupsText}`,
+                    },
+                ],
+                structuredContent,
+            };
+        }
+        // Extras already linked to the kept file take no space; links can't cross disks
+        const operations = [];
+        const notLinked = [];
+        for (const group of groups) {
+            const { kept, extras } = chooseKeeper(group, keep);
+            for (const file of extras) {
+                const sameFile = file.dev === kept.dev && file.ino === kept.ino;
+                if (action === "hardlink" && (sameFile || file.dev !== kept.dev)) {
+                    if (!sameFile) {
+                        notLinked.push({ path: file.path, message: `on a different disk from ${kept.path}` });
+                    }
+                    continue;
+                }
+                operations.push({ action, source: kept.path, destination: file.path, renamed: false, overwrite: false, kept, file });
+            }
+        }
+
+        structuredContent.operations = operations.map(operationResult);
+
+        if (args.dry_run) {
+            const notLinkedText = notLinked.length > 0 ? `\n\nCan't be hard-linked:\n${notLinked.map((failure) => `  ${failure.path}: ${failure.message}`).join("\n")}` : "";
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${heading}\n\n${formatPlan(operations)}${notLinkedText}`,
+                    },
+                ],
+                structuredContent: { ...structuredContent, failed: notLinked },
+            };
+        }
 
-        // Handle duplicate filenames
-        let counter = 1;
-        while (true) {
+        let freed = 0;
+        let done = 0;
+        const failed = [...notLinked];
+        const freedInodes = new Set();
+        for (const op of operations) {
+            const { kept, file } = op;
             try {
-                await fs.access(finalDestPath);
-                const ext = path.extname(sourceName);
-                const base = path.basename(sourceName, ext);
-                finalDestPath = path.join(destDir, `${base}_${counter}${ext}`);
-                counter++;
-            } catch {
-                break;
+                // Skip anything that changed since it was hashed
+                const current = await fs.stat(file.path);
+                if (current.size !== file.size || current.mtimeMs !== file.mtimeMs) {
+                    failed.push({ path: file.path, message: "changed since the scan" });
+                    continue;
+                }
+                if (action === "delete") {
+                    await fs.rm(file.path);
+                    await run.removedDuplicate(file.path, kept.path, { removedMtimeMs: file.mtimeMs });
+                } else {
+                    const tempPath = `${file.path}.linking`;
+                    await fs.link(kept.path, tempPath);
+                    await fs.rename(tempPath, file.path);
+                    await run.linked(file.path, kept.path, { replacedMtimeMs: file.mtimeMs });
+                }
+                done++;
+                const inode = `${file.dev}:${file.ino}`;
+                if (!(file.dev === kept.dev && file.ino === kept.ino) && !freedInodes.has(inode)) {
+                    freedInodes.add(inode);
+                    freed += file.size;
+                }
+            } catch (error) {
+                failed.push({ path: file.path, message: error.message });
             }
         }
 
-        // Move the file
-        await fs.rename(sourceFile, finalDestPath);
+        const summary = action === "delete"
+            ? `Deleted ${done} duplicate file(s), freeing ${formatSize(freed)}.`
+            : `Replaced ${done} duplicate file(s) with hard links, freeing ${formatSize(freed)}.`;
+        const failedText = failed.length > 0 ? `\n\nCould not process ${failed.length} file(s):\n${failed.map((failure) => `  ${failure.path}: ${failure.message}`).join("\n")}` : "";
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Successfully moved ${filename} to ${finalDestPath}`,
+                    text: `${heading}\n\n${summary}${failedText}`,
                 },
             ],
+            structuredContent: { ...structuredContent, processed: done, freed, failed },
         };
     }
 
@@ -1039,25 +2872,7 @@ class FileManagerServer {
         const fileType = (args?.file_type || "").toLowerCase().replace(/^\./, "");
 
         // Determine directory
-        const dirArg = (args?.directory || "downloads").toLowerCase();
-        let searchDir;
-        if (dirArg === "downloads") {
-            searchDir = DOWNLOADS_DIR;
-        } else if (dirArg === "documents") {
-            searchDir = DOCUMENTS_DIR;
-        } else if (dirArg.startsWith("documents/") || dirArg.startsWith("documents\\")) {
-            const subfolder = dirArg.includes("/")
-                ? dirArg.split("/").slice(1).join("/")
-                : dirArg.split("\\").slice(1).join("\\");
-            searchDir = path.join(DOCUMENTS_DIR, subfolder);
-        } else if (dirArg.startsWith("downloads/") || dirArg.startsWith("downloads\\")) {
-            const subfolder = dirArg.includes("/")
-                ? dirArg.split("/").slice(1).join("/")
-                : dirArg.split("\\").slice(1).join("\\");
-            searchDir = path.join(DOWNLOADS_DIR, subfolder);
-        } else {
-            searchDir = path.resolve(dirArg);
-        }
+        const searchDir = await this.paths.resolve(args?.directory, "downloads");
 
         try {
             await fs.access(searchDir);
@@ -1077,6 +2892,7 @@ class FileManagerServer {
                     const extension = path.extname(entry.name).toLowerCase().replace(/^\./, "");
                     fileDetails.push({
                         name: entry.name,
+                        path: fullPath,
                         size: stats.size,
                         modified: stats.mtime,
                         extension,
@@ -1101,6 +2917,7 @@ class FileManagerServer {
                         text: `No files${typeMsg} found in ${searchDir}`,
                     },
                 ],
+                structuredContent: { directory: searchDir, total: 0, files: [] },
             };
         }
 
@@ -1111,15 +2928,7 @@ class FileManagerServer {
         const limitedFiles = fileDetails.slice(0, limit);
 
         const fileList = limitedFiles.map((file, index) => {
-            let displaySize;
-            if (file.size > 1024 * 1024) {
-                displaySize = `${(file.size / (1024 * 1024)).toFixed(2)} MB`;
-            } else if (file.size > 1024) {
-                displaySize = `${(file.size / 1024).toFixed(2)} KB`;
-            } else {
-                displaySize = `${file.size} bytes`;
-            }
-
+            const displaySize = formatSize(file.size);
             const dateStr = file.modified.toLocaleString();
             const badge = index === 0 ? " [LATEST]" : "";
             return `${file.name}${badge}\n  Size: ${displaySize} | Modified: ${dateStr}`;
@@ -1133,15 +2942,414 @@ class FileManagerServer {
                     text: `Files in ${searchDir}${typeMsg}\nShowing ${limitedFiles.length} of ${fileDetails.length} (sorted by most recent):\n\n${fileList.join("\n\n")}`,
                 },
             ],
+            structuredContent: {
+                directory: searchDir,
+                total: fileDetails.length,
+                files: limitedFiles.map((file) => fileResult(file.path, { size: file.size, mtimeMs: file.modified.getTime() })),
+            },
+        };
+    }
+
+    /**
+     * Run a configured pipeline (see pipeline.js). Steps pass a list of files
+     * along, each as { path, base, archive }: `base` is the folder its
+     * structure is relative to and `archive` the archive it came from.
+     */
+    async handlePipeline(pipeline, args, run) {
+        const state = {
+            dryRun: Boolean(args.dry_run),
+            files: [],
+            extractions: [],
+            operations: [],
+            optimized: [],
+            contents: new Map(),
+            cleanup: [],
+            rename: null,
+        };
+        const steps = [];
+        for (const [index, step] of pipeline.steps.entries()) {
+            let description;
+            try {
+                description = await this.runPipelineStep(step, state, args, run, pipeline);
+            } catch (error) {
+                error.message = `Step ${index + 1} (${step.type}) failed: ${error.message}`;
+                throw error;
+            }
+            steps.push({ step: step.type, description, files: state.files.length });
+        }
+
+        const stepLines = steps.map((step, index) => `${index + 1}. ${step.description}`);
+        const rejectedText = state.extractions.map(({ extraction }) => `${formatNested(extraction)}${formatRejected(extraction.rejected)}`).join("");
+        const optimizeText = formatOptimization(state.optimized);
+        const transfers = state.operations.filter((op) => op.action === "move" || op.action === "copy" || op.action === "skip");
+        const fileLines = state.files.slice(0, 50).map((file) => `  ${file.path}`);
+        const moreFiles = state.files.length > 50 ? `\n  ... and ${state.files.length - 50} more` : "";
+        const text = state.dryRun
+            ? `Dry run of pipeline ${pipeline.name}:\n\n${stepLines.join("\n")}\n\n${formatPlan(state.operations)}${optimizeText}${this.dryRunNestingNote(args)}${rejectedText}`
+            : `Ran pipeline ${pipeline.name}:\n\n${stepLines.join("\n")}${fileLines.length > 0 ? `\n\nResult:\n${fileLines.join("\n")}${moreFiles}` : ""}${formatSkipped(transfers)}${optimizeText}${rejectedText}`;
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text,
+                },
+            ],
+            structuredContent: compact({
+                pipeline: pipeline.name,
+                dryRun: state.dryRun,
+                steps,
+                files: state.files.map((file) => file.path),
+                operations: state.operations.map(operationResult),
+                optimized: state.optimized.length > 0 ? state.optimized.map(compact) : null,
+                cleanup: state.cleanup.length > 0 ? state.cleanup.map(compact) : null,
+            }),
         };
     }
 
+    /**
+     * Run one pipeline step on `state.files`, returning a line describing what it did.
+     */
+    async runPipelineStep({ type, options, matches }, state, args, run, pipeline) {
+        const dryRun = state.dryRun;
+        const would = (done, planned) => (dryRun ? planned : done);
+
+        switch (type) {
+            case "select": {
+                const fromDir = await this.paths.resolve(options.from, "downloads");
+                let candidates = [];
+                if (args.filename) {
+                    const filePath = await this.paths.resolveWithin(fromDir, args.filename);
+                    const stats = await fs.stat(filePath).catch(() => null);
+                    if (!stats?.isFile()) {
+                        throw new Error(`File not found: ${args.filename} in ${fromDir}`);
+                    }
+                    candidates.push({ path: filePath, stats });
+                } else {
+                    for (const entry of await fs.readdir(fromDir, { withFileTypes: true })) {
+                        const filePath = path.join(fromDir, entry.name);
+                        const stats = entry.isFile() ? await fs.stat(filePath).catch(() => null) : null;
+                        if (stats && matches({ name: entry.name, size: stats.size, mtime: stats.mtime, archive: null })) {
+                            candidates.push({ path: filePath, stats });
+                        }
+                    }
+                }
+                if (options.archives) {
+                    const archives = [];
+                    for (const candidate of candidates) {
+                        const format = await detectArchiveFormat(candidate.path).catch(() => null);
+                        if (format && !format.unsupported) {
+                            archives.push(candidate);
+                        } else if (args.filename) {
+                            throw new Error(`${args.filename} is not a supported archive (supported: ${supportedFormatNames().join(", ")})`);
+                        }
+                    }
+                    candidates = archives;
+                }
+                candidates.sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs);
+                if (options.latest) {
+                    candidates = candidates.slice(0, options.latest);
+                }
+                if (candidates.length === 0) {
+                    throw new Error(`Nothing in ${fromDir} matches the ${pipeline.name} selection`);
+                }
+                state.files = candidates.map((candidate) => ({ path: candidate.path, base: fromDir, archive: null }));
+                const names = candidates.slice(0, 5).map((candidate) => path.basename(candidate.path)).join(", ");
+                return `Selected ${candidates.length} file(s) in ${fromDir}: ${names}${candidates.length > 5 ? ", ..." : ""}`;
+            }
+
+            case "extract": {
+                const extensions = options.profile || options.extensions ? resolveAssetType(this.config.assetProfiles, options).extensions : undefined;
+                const filter = createEntryFilter({ include: options.include, exclude: options.exclude, extensions });
+                const files = [];
+                for (const file of state.files) {
+                    const archiveName = path.basename(file.path);
+                    const extraction = await extractArchiveFile(file.path, path.dirname(file.path), {
+                        limits: this.config.extraction,
+                        overwrite: Boolean(options.overwrite),
+                        filter,
+                        password: args.password,
+                        maxDepth: this.nestingDepth(options),
+                        dryRun,
+                    });
+                    if (!dryRun) {
+                        await this.journalExtraction(run, extraction);
+                    }
+                    state.extractions.push({ archive: file.path, extraction });
+                    state.operations.push(...extraction.extracted.map((extracted) => extractOperation(archiveName, extracted)));
+                    files.push(...extraction.extracted.map((extracted) => ({ path: extracted.path, base: extraction.extractPath, archive: extracted.archive || archiveName })));
+                }
+                state.files = files;
+                return `${would("Extracted", "Would extract")} ${files.length} file(s) from ${state.extractions.length} archive(s)`;
+            }
+
+            case "filter": {
+                const extensions = options.profile || options.extensions ? resolveAssetType(this.config.assetProfiles, options).extensions : undefined;
+                const keep = createEntryFilter({ include: options.include, exclude: options.exclude, extensions });
+                const before = state.files.length;
+                if (keep) {
+                    state.files = state.files.filter((file) => keep(path.relative(file.base, file.path).split(path.sep).join("/")));
+                }
+                return `Kept ${state.files.length} of ${before} file(s)`;
+            }
+
+            case "transform": {
+                const optimized = await this.optimizeSvgFiles(state.files.map((file) => file.path), options.optimize_svg);
+                for (const result of optimized) {
+                    if (result.output === undefined) {
+                        continue;
+                    }
+                    // A dry run rewrites nothing, so later steps are told what the files would hold
+                    if (dryRun) {
+                        state.contents.set(result.path, result.output);
+                    } else {
+                        await run.rewrite(result.path, result.output);
+                    }
+                }
+                state.optimized.push(...optimized.map(({ output, ...result }) => result));
+                return `${would("Optimised", "Would optimise")} ${optimized.filter((result) => !result.error).length} SVG file(s)`;
+            }
+
+            case "rename":
+                state.rename = options;
+                return "Renaming files as they are placed by the next step";
+
+            case "move":
+            case "copy": {
+                if (state.files.length === 0) {
+                    state.rename = null;
+                    return `Nothing to ${type}`;
+                }
+                // Files can go to different folders ({archive}) and keep structure relative to different bases
+                const groups = new Map();
+                for (const file of state.files) {
+                    const stats = await fs.stat(file.path).catch(() => null);
+                    const folder = renderDestination(options.to, { name: path.basename(file.path), mtime: stats?.mtime ?? new Date(), archive: file.archive });
+                    const destDir = await this.paths.resolve(folder, "documents");
+                    const key = `${destDir}\0${file.base}`;
+                    if (!groups.has(key)) {
+                        groups.set(key, { destDir, base: file.base, files: [] });
+                    }
+                    groups.get(key).files.push(file);
+                }
+                const transferArgs = {
+                    rename: state.rename,
+                    on_conflict: options.on_conflict,
+                    preserve_structure: options.preserve_structure,
+                    strip_components: options.strip_components,
+                };
+                const files = [];
+                const operations = [];
+                for (const group of groups.values()) {
+                    const archives = new Map(group.files.map((file) => [file.path, file.archive]));
+                    const planned = await this.planTransfers(type, group.files.map((file) => file.path), group.destDir, transferArgs, { baseDir: group.base, archiveOf: (filePath) => archives.get(filePath), contents: state.contents });
+                    if (!dryRun) {
+                        await this.applyTransfers(planned, run);
+                    }
+                    operations.push(...planned);
+                    // Skipped files continue as the identical file already there
+                    files.push(...planned.map((op) => ({ path: op.destination, base: group.destDir, archive: archives.get(op.source) })));
+                }
+                state.operations.push(...operations);
+                state.files = files;
+                state.rename = null;
+                const done = operations.filter((op) => op.action !== "skip").length;
+                const folders = [...new Set([...groups.values()].map((group) => group.destDir))];
+                const skipped = operations.length - done;
+                return `${would(type === "move" ? "Moved" : "Copied", type === "move" ? "Would move" : "Would copy")} ${done} file(s) to ${folders.length === 1 ? folders[0] : `${folders.length} folders`}${skipped > 0 ? ` (${skipped} skipped)` : ""}`;
+            }
+
+            case "zip": {
+                if (state.files.length === 0) {
+                    return "Nothing to zip";
+                }
+                const [first] = state.files;
+                const stats = await fs.stat(first.path).catch(() => null);
+                const context = { name: path.basename(first.path), mtime: stats?.mtime ?? new Date(), archive: first.archive };
+                let outputName = renderDestination(options.name || "{archive}.zip", context);
+                if (!outputName.toLowerCase().endsWith(".zip")) {
+                    outputName += ".zip";
+                }
+                if (outputName === ".zip") {
+                    outputName = `${pipeline.name}.zip`;
+                }
+                const destDir = await this.paths.resolve(options.to ? renderDestination(options.to, context) : undefined, "documents");
+                const outputPath = await availablePath(destDir, path.basename(outputName));
+                const bases = new Map(state.files.map((file) => [file.path, file.base]));
+                const entries = this.zipEntries(state.files.map((file) => file.path), (filePath) => bases.get(filePath), { flatten: options.flatten });
+                state.operations.push({ action: "create_zip", source: null, destination: outputPath, renamed: path.basename(outputPath) !== path.basename(outputName), overwrite: false });
+                if (dryRun) {
+                    state.operations.push(...entries.map((entry) => ({ action: "add", source: entry.sourcePath, destination: `${path.basename(outputPath)}:${entry.name}`, renamed: false, overwrite: false })));
+                } else {
+                    run.createdDirectory(await fs.mkdir(destDir, { recursive: true }));
+                    await createZip(outputPath, entries, { level: options.compression_level ?? 6 });
+                    await run.created(outputPath);
+                }
+                state.files = [{ path: outputPath, base: destDir, archive: first.archive }];
+                return `${would("Zipped", "Would zip")} ${entries.length} file(s) into ${outputPath}`;
+            }
+
+            case "cleanup": {
+                const movedAway = new Set(state.operations.filter((op) => op.action === "move").map((op) => op.source));
+                const cleanupOptions = { extraction_folder: options.extraction_folder ?? true, archive: options.archive };
+                for (const { archive, extraction } of state.extractions) {
+                    state.cleanup.push(await this.cleanUpExtraction(archive, extraction, cleanupOptions, { dryRun, run, movedAway }));
+                }
+                const removed = new Set(state.cleanup.flatMap((result) => result.removedFiles));
+                state.files = state.files.filter((file) => !removed.has(file.path));
+                const lines = state.cleanup.map((result) => describeCleanup(result, dryRun)).filter(Boolean);
+                return lines.length > 0 ? lines.join("; ") : "Nothing to clean up";
+            }
+
+            default:
+                throw new Error(`Unknown pipeline step: ${type}`);
+        }
+    }
+
+    /**
+     * The resources worth listing: each root, and the files at the top of
+     * Downloads, newest first. Everything else is reached through the root
+     * listings or the URI templates.
+     */
+    async listResources() {
+        const resources = [];
+        for (const [name, root] of Object.entries(this.roots)) {
+            const stats = await fs.stat(root).catch(() => null);
+            if (stats?.isDirectory()) {
+                resources.push({ ...describeResource(root, stats, name), description: `The ${name} root (${root})` });
+            }
+        }
+
+        const entries = await fs.readdir(this.roots.downloads, { withFileTypes: true }).catch(() => []);
+        const downloads = [];
+        for (const entry of entries) {
+            if (!entry.isFile() || entry.name.startsWith(".")) {
+                continue;
+            }
+            const filePath = path.join(this.roots.downloads, entry.name);
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (stats) {
+                downloads.push({ resource: describeResource(filePath, stats), modified: stats.mtimeMs });
+            }
+        }
+        downloads.sort((a, b) => b.modified - a.modified);
+        resources.push(...downloads.slice(0, MAX_LISTED_DOWNLOADS).map((download) => download.resource));
+        return resources;
+    }
+
+    /**
+     * The path behind a resource URI, authorized against the roots. Failures
+     * become protocol errors, with path policy details attached.
+     */
+    async resolveResource(uri) {
+        let filePath;
+        try {
+            filePath = await this.paths.authorize(resourcePath(uri));
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message, error.details);
+        }
+        const exists = await fs.stat(filePath).then(() => true, () => false);
+        if (!exists) {
+            throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+        }
+        return filePath;
+    }
+
+    /**
+     * Send a logging notification from the Downloads watcher. Clients that
+     * haven't asked for logging, or have disconnected, simply miss it.
+     */
+    logWatch(level, data) {
+        this.server.sendLoggingMessage({ level, logger: "downloads-watcher", data }).catch(() => {});
+    }
+
+    /**
+     * Run the first matching pipeline on a finished download and record the outcome.
+     */
+    async processDownload(filePath) {
+        const name = path.basename(filePath);
+        let stats;
+        let format;
+        try {
+            stats = await fs.stat(filePath);
+            format = await detectArchiveFormat(filePath);
+        } catch {
+            return;   // Gone again
+        }
+        if (!format || format.unsupported) {
+            this.logWatch("debug", { message: `Ignored ${name}: not a supported archive`, file: filePath });
+            return;
+        }
+
+        const file = { name, size: stats.size, mtime: stats.mtime, archive: name };
+        const pipeline = this.watchPipelines.find((candidate) => candidate.matches(file));
+        if (!pipeline) {
+            await this.history.record({ file: filePath, size: stats.size, status: "unmatched" });
+            this.logWatch("info", { message: `No pipeline matches ${name}; left in Downloads`, file: filePath });
+            return;
+        }
+
+        const args = pipelineArgs(pipeline, file);
+        this.logWatch("info", { message: `Running "${pipeline.name}" (${pipeline.tool}) on ${name}`, file: filePath, pipeline: pipeline.name });
+        const result = await this.runTool(pipeline.tool, args);
+        const text = result.content[0].text;
+        const entry = await this.history.record(compact({
+            file: filePath,
+            size: stats.size,
+            pipeline: pipeline.name,
+            tool: pipeline.tool,
+            args: withoutSecrets(args),
+            status: result.isError ? "failed" : "done",
+            operationId: result.structuredContent?.operationId,
+            summary: result.isError ? null : text.split("\n")[0],
+            error: result.isError ? text.replace(/^Error: /, "") : null,
+        }));
+        this.logWatch(result.isError ? "warning" : "info", compact({
+            message: result.isError ? `"${pipeline.name}" failed on ${name}: ${entry.error}` : `"${pipeline.name}" processed ${name}: ${entry.summary}`,
+            file: filePath,
+            pipeline: pipeline.name,
+            historyId: entry.id,
+            operationId: entry.operationId,
+        }));
+    }
+
     async run() {
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
+        // New and removed downloads change the resource list
+        await this.watcher.add("list:downloads", this.roots.downloads, () => this.server.sendResourceListChanged().catch(() => {}), { renamesOnly: true })
+            .catch(() => {});
+        if (this.config.watch.enabled) {
+            this.downloadsWatcher = new DownloadsWatcher(this.roots.downloads, {
+                stableMs: this.config.watch.stableSeconds * 1000,
+                onReady: (filePath) => this.processDownload(filePath),
+                onError: (error) => {
+                    this.downloadsWatcher = null;
+                    console.error(`Stopped watching ${this.roots.downloads}: ${error.message}`);
+                    this.logWatch("error", { message: `Stopped watching ${this.roots.downloads}: ${error.message}` });
+                },
+            });
+            if (await this.downloadsWatcher.start()) {
+                console.error(`Watching ${this.roots.downloads} for new archives (${this.watchPipelines.length} pipeline(s))`);
+            }
+        }
         console.error("File Manager MCP server running on stdio");
     }
 }
 
-const server = new FileManagerServer();
-server.run().catch(console.error);
\ No newline at end of file
+function main() {
+    let server;
+    try {
+        server = new FileManagerServer();
+    } catch (error) {
+        // A config mistake: say what it is, without a stack trace
+        console.error(`File Manager MCP server not started: ${error.message}`);
+        process.exit(1);
+    }
+    server.run().catch(console.error);
+}
+
+// Only start when run directly, so tests can import the server
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main();
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import { pipeline } from "stream";
+import { createGunzip } from "zlib";
+
+/**
+ * Plain gzip reader. A .gz file holds a single compressed file, exposed as a
+ * one-entry archive.
+ */
+
+const FLAG_NAME = 0x08;
+const FLAG_EXTRA = 0x04;
+
+export function isGzip(header) {
+    return header.length >= 3 && header[0] === 0x1f && header[1] === 0x8b && header[2] === 0x08;
+}
+
+/**
+ * Read the original file name and modification time from the gzip header.
+ */
+function parseHeader(header) {
+    const flags = header[3];
+    const mtimeSeconds = header.readUInt32LE(4);
+    let name = null;
+
+    if (flags & FLAG_NAME) {
+        let offset = 10;
+        if (flags & FLAG_EXTRA) {
+            offset += 2 + header.readUInt16LE(10);
+        }
+        const end = header.indexOf(0, offset);
+        if (end > offset) {
+            name = header.toString("latin1", offset, end);
+        }
+    }
+
+    return { name, mtime: mtimeSeconds ? new Date(mtimeSeconds * 1000) : null };
+}
+
+/**
+ * The uncompressed size (mod 2^32) is stored in the last four bytes.
+ */
+async function readTrailerSize(filePath, fileSize) {
+    if (fileSize < 18) {
+        return 0;
+    }
+    const handle = await fs.open(filePath, "r");
+    try {
+        const trailer = Buffer.alloc(4);
+        await handle.read(trailer, 0, 4, fileSize - 4);
+        return trailer.readUInt32LE(0);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Open a gzip file as a single-entry archive. The entry is named after the
+ * archive minus ".gz", falling back to the name stored in the gzip header.
+ *
+ * @param {string} filePath
+ * @param {{ header: Buffer }} options - The first bytes of the file, as read during detection
+ */
+export async function openGzipArchive(filePath, { header }) {
+    const stats = await fs.stat(filePath);
+    const parsed = parseHeader(header);
+    const baseName = path.basename(filePath);
+    const name = baseName.toLowerCase().endsWith(".gz")
+        ? baseName.slice(0, -3)
+        : path.basename(parsed.name || `${baseName}.out`);
+
+    const entry = {
+        name,
+        type: "file",
+        size: await readTrailerSize(filePath, stats.size),
+        compressedSize: stats.size,
+        encrypted: false,
+        mtime: parsed.mtime || stats.mtime,
+        crc32: null,
+        open: async () => pipeline(createReadStream(filePath), createGunzip(), () => {}),
+    };
+
+    return {
+        format: "gzip",
+        indexedEntries: [entry],
+        async *entries() {
+            yield entry;
+        },
+        close: () => {},
+    };
+}
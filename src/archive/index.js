@@ -0,0 +1,249 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import { createGunzip } from "zlib";
+import { isGzip, openGzipArchive } from "./gzip.js";
+import { isTar, openTarArchive } from "./tar.js";
+import { isZip, openZipArchive } from "./zip.js";
+
+export { ArchivePasswordError } from "./zip-crypto.js";
+
+/**
+ * Archive format registry.
+ *
+ * Formats are detected from the file's leading bytes, not its extension. Each
+ * format opens into the same reader shape:
+ *
+ *   {
+ *     format: string,
+ *     indexedEntries: Entry[] | null,   // full entry list when the format has an index
+ *     hasPassword?: boolean,            // a password was supplied for encrypted entries
+ *     entries(): AsyncGenerator<Entry>,
+ *     close(): void,
+ *   }
+ *
+ * where an Entry is { name, type, size, compressedSize, encrypted, mtime, crc32, open() }
+ * and `type` is one of "file", "directory", "symlink", "hardlink" or "other".
+ *
+ * New formats are added with registerArchiveFormat().
+ */
+
+const HEADER_BYTES = 512;
+
+const formats = [];
+
+/**
+ * Register an archive format.
+ *
+ * @param {object} format
+ * @param {string} format.name - Format name reported to callers ("zip", "tar.gz", ...)
+ * @param {string[]} format.extensions - Conventional extensions, longest first, used to name extraction folders
+ * @param {(header: Buffer, filePath: string) => boolean | Promise<boolean>} format.detect - Inspect the leading bytes
+ * @param {(filePath: string, options: { header: Buffer, password?: string }) => Promise<object>} format.open - Open a reader
+ * @param {boolean} [format.singleFile] - The archive holds one file, extracted without a wrapper folder
+ * @param {boolean} [format.unsupported] - Recognised for reporting only; open() explains why it can't be read
+ */
+export function registerArchiveFormat(format) {
+    formats.push(format);
+}
+
+async function readHeader(filePath, length) {
+    const handle = await fs.open(filePath, "r");
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Decompress just enough of a gzip file to see what it contains.
+ */
+function peekGunzipped(filePath, length) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        let total = 0;
+        const source = createReadStream(filePath);
+        const gunzip = createGunzip();
+        const finish = () => {
+            source.destroy();
+            gunzip.destroy();
+            resolve(Buffer.concat(chunks).subarray(0, length));
+        };
+        gunzip.on("data", (chunk) => {
+            chunks.push(chunk);
+            total += chunk.length;
+            if (total >= length) {
+                finish();
+            }
+        });
+        gunzip.on("end", finish);
+        gunzip.on("error", finish);
+        source.on("error", finish);
+        source.pipe(gunzip);
+    });
+}
+
+registerArchiveFormat({
+    name: "zip",
+    extensions: [".zip"],
+    detect: isZip,
+    open: (filePath, options) => openZipArchive(filePath, options),
+});
+
+registerArchiveFormat({
+    name: "tar.gz",
+    extensions: [".tar.gz", ".tgz"],
+    detect: async (header, filePath) => isGzip(header) && isTar(await peekGunzipped(filePath, HEADER_BYTES)),
+    open: (filePath) => openTarArchive(filePath, { gzip: true }),
+});
+
+registerArchiveFormat({
+    name: "gzip",
+    extensions: [".gz"],
+    detect: isGzip,
+    open: (filePath, options) => openGzipArchive(filePath, options),
+    singleFile: true,
+});
+
+registerArchiveFormat({
+    name: "tar",
+    extensions: [".tar"],
+    detect: isTar,
+    open: (filePath) => openTarArchive(filePath),
+});
+
+// Recognised so callers get a clear message instead of "not an archive"
+registerArchiveFormat({
+    name: "7z",
+    extensions: [".7z"],
+    detect: (header) => header.length >= 6 && header.subarray(0, 6).equals(Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])),
+    open: async () => {
+        throw new Error("7z archives are recognised but not supported; extract them with 7-Zip first");
+    },
+    unsupported: true,
+});
+
+async function detect(filePath) {
+    const header = await readHeader(filePath, HEADER_BYTES);
+    for (const format of formats) {
+        if (await format.detect(header, filePath)) {
+            return { format, header };
+        }
+    }
+    return { format: null, header };
+}
+
+/**
+ * Work out an archive's format from its leading bytes.
+ *
+ * @returns {Promise<object | null>} The registered format, or null if the file isn't a known archive
+ */
+export async function detectArchiveFormat(filePath) {
+    return (await detect(filePath)).format;
+}
+
+/**
+ * Detect an archive's format and open a reader for it.
+ *
+ * @param {string} filePath
+ * @param {{ password?: string }} [options] - Password for encrypted entries
+ */
+export async function openArchive(filePath, { password } = {}) {
+    const { format, header } = await detect(filePath);
+    if (!format) {
+        throw new Error(`${path.basename(filePath)} is not a supported archive (supported: ${supportedFormatNames().join(", ")})`);
+    }
+    const archive = await format.open(filePath, { header, password });
+    return { ...archive, singleFile: Boolean(format.singleFile) };
+}
+
+/**
+ * Names of the formats that can actually be extracted.
+ */
+export function supportedFormatNames() {
+    return formats.filter((format) => !format.unsupported).map((format) => format.name);
+}
+
+/**
+ * Strip a known archive extension from a file name ("icons.tar.gz" -> "icons").
+ */
+export function stripArchiveExtension(filename) {
+    const base = path.basename(filename);
+    const lower = base.toLowerCase();
+    const extensions = formats.flatMap((format) => format.extensions).sort((a, b) => b.length - a.length);
+    const match = extensions.find((ext) => lower.endsWith(ext) && lower.length > ext.length);
+    return match ? base.slice(0, -match.length) : base;
+}
+
+/**
+ * Whether a file name ends in a known archive extension. Used to spot likely
+ * archives without reading them; detection still goes by content.
+ */
+export function hasArchiveExtension(filename) {
+    const lower = filename.toLowerCase();
+    return formats.some((format) => format.extensions.some((ext) => lower.endsWith(ext)));
+}
+
+/**
+ * Find the archives at the top level of a folder, newest first. Only files with
+ * a known archive extension are read, so documents that are zips inside
+ * (.docx, .xlsx, .jar, .apk) aren't taken for archives; the format itself is
+ * still detected from the contents.
+ *
+ * @param {string} directory
+ * @param {string[]} [formatNames] - Only return these formats (e.g. ["zip"])
+ * @returns {Promise<Array<{ name: string, path: string, format: string, supported: boolean, size: number, modified: Date }>>}
+ */
+export async function findArchives(directory, formatNames) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const archives = [];
+
+    for (const entry of entries) {
+        if (!entry.isFile() || !hasArchiveExtension(entry.name)) {
+            continue;
+        }
+        const filePath = path.join(directory, entry.name);
+        try {
+            const format = await detectArchiveFormat(filePath);
+            if (!format || (formatNames && !formatNames.includes(format.name))) {
+                continue;
+            }
+            const stats = await fs.stat(filePath);
+            archives.push({
+                name: entry.name,
+                path: filePath,
+                format: format.name,
+                supported: !format.unsupported,
+                size: stats.size,
+                modified: stats.mtime,
+            });
+        } catch {
+            // Skip files that can't be read
+        }
+    }
+
+    archives.sort((a, b) => b.modified - a.modified);
+    return archives;
+}
+
+/**
+ * Read an archive's entry metadata without extracting anything. Formats without
+ * an index (tar) are read through once, skipping over entry data.
+ *
+ * @returns {Promise<{ format: string, entries: Array<{ name: string, type: string, size: number, compressedSize: number | null, encrypted: boolean, mtime: Date | null, crc32: number | null }>}>}
+ */
+export async function listArchiveEntries(filePath) {
+    const archive = await openArchive(filePath);
+    try {
+        const entries = [];
+        for await (const { open, ...metadata } of archive.entries()) {
+            entries.push(metadata);
+        }
+        return { format: archive.format, entries };
+    } finally {
+        archive.close();
+    }
+}
@@ -0,0 +1,91 @@
+import { createReadStream } from "fs";
+import { pipeline, Readable } from "stream";
+import { createGunzip } from "zlib";
+import tar from "tar-stream";
+
+/**
+ * Streaming tar and tar.gz reader.
+ *
+ * Tar has no index, so entries are produced one at a time as the archive is
+ * read. An entry's data can only be opened before moving on to the next one.
+ */
+
+const TAR_MAGIC_OFFSET = 257;
+
+const TYPES = {
+    file: "file",
+    "contiguous-file": "file",
+    directory: "directory",
+    symlink: "symlink",
+    link: "hardlink",
+};
+
+/**
+ * Tar headers carry "ustar" at byte 257 (both POSIX and GNU variants).
+ */
+export function isTar(header) {
+    return header.length >= TAR_MAGIC_OFFSET + 5
+        && header.toString("latin1", TAR_MAGIC_OFFSET, TAR_MAGIC_OFFSET + 5) === "ustar";
+}
+
+function drain(stream) {
+    return new Promise((resolve, reject) => {
+        stream.on("end", resolve);
+        stream.on("error", reject);
+        stream.resume();
+    });
+}
+
+/**
+ * Open a tar archive, optionally gzip-compressed.
+ *
+ * @param {string} filePath
+ * @param {{ gzip?: boolean }} [options]
+ */
+export async function openTarArchive(filePath, { gzip = false } = {}) {
+    let source = null;
+
+    return {
+        format: gzip ? "tar.gz" : "tar",
+        indexedEntries: null,
+        async *entries() {
+            source = createReadStream(filePath);
+            const extract = tar.extract();
+            const stages = gzip ? [source, createGunzip(), extract] : [source, extract];
+            pipeline(...stages, (error) => {
+                if (error) {
+                    extract.destroy(error);
+                }
+            });
+
+            try {
+                for await (const stream of extract) {
+                    const { header } = stream;
+                    let opened = false;
+
+                    yield {
+                        name: header.type === "directory" && !header.name.endsWith("/") ? `${header.name}/` : header.name,
+                        type: TYPES[header.type] || "other",
+                        size: header.size ?? 0,
+                        compressedSize: null,
+                        encrypted: false,
+                        mtime: header.mtime,
+                        crc32: null,
+                        open: async () => {
+                            opened = true;
+                            return Readable.from(stream);
+                        },
+                    };
+
+                    // The next header can only be read once this entry's data is consumed
+                    if (!opened) {
+                        await drain(stream);
+                    }
+                }
+            } finally {
+                source.destroy();
+            }
+        },
+        close: () => source?.destroy(),
+    };
+}
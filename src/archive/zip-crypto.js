@@ -0,0 +1,262 @@
+import crypto from "crypto";
+import { Transform } from "stream";
+
+/**
+ * Decryption for password-protected zip entries.
+ *
+ * Two schemes are in common use: the original PKWARE "ZipCrypto" stream
+ * cipher, and WinZip's AES (AE-1/AE-2, compression method 99). Both are
+ * applied to the raw entry data before it is inflated. Entries using PKWARE's
+ * "strong encryption" are not supported.
+ *
+ * The password only ever lives in memory here; it is never part of an error
+ * message.
+ */
+
+/**
+ * Raised when an archive needs a password that wasn't supplied, or the
+ * supplied one doesn't fit.
+ */
+export class ArchivePasswordError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = "ArchivePasswordError";
+        this.details = details;
+    }
+}
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_STRONG_ENCRYPTION = 0x0040;
+
+const AES_COMPRESSION_METHOD = 99;
+const AES_EXTRA_FIELD = 0x9901;
+const AES_STRENGTHS = { 1: 16, 2: 24, 3: 32 };
+const AES_MAC_LENGTH = 10;
+const AES_VERIFIER_LENGTH = 2;
+const AES_BLOCK = 16;
+
+const ZIPCRYPTO_HEADER_LENGTH = 12;
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c;
+}
+
+function crc32Update(crc, byte) {
+    return CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+}
+
+function entryError(message, reason) {
+    return Object.assign(new Error(message), { reason });
+}
+
+/**
+ * Work out how an encrypted zip entry is protected. Returns `{ scheme, ... }`
+ * where scheme is "zipcrypto" or "aes", or `{ unsupported: message }`.
+ */
+export function describeEncryption(entry) {
+    if (!(entry.generalPurposeBitFlag & FLAG_ENCRYPTED)) {
+        return null;
+    }
+    if (entry.generalPurposeBitFlag & FLAG_STRONG_ENCRYPTION) {
+        return { unsupported: "entry uses PKWARE strong encryption, which is not supported" };
+    }
+
+    if (entry.compressionMethod === AES_COMPRESSION_METHOD) {
+        const field = entry.extraFields.find((extra) => extra.id === AES_EXTRA_FIELD);
+        if (!field || field.data.length < 7) {
+            return { unsupported: "entry is AES-encrypted but has no AES header" };
+        }
+        const keyLength = AES_STRENGTHS[field.data[4]];
+        if (!keyLength) {
+            return { unsupported: `unknown AES key strength ${field.data[4]}` };
+        }
+        return {
+            scheme: "aes",
+            keyLength,
+            // AE-2 stores no CRC; the authentication code covers the data instead
+            checkCrc: field.data.readUInt16LE(0) === 1,
+            compressionMethod: field.data.readUInt16LE(5),
+        };
+    }
+
+    return {
+        scheme: "zipcrypto",
+        checkCrc: true,
+        compressionMethod: entry.compressionMethod,
+        // With a data descriptor the CRC isn't known when the header is written,
+        // so the check byte comes from the modification time instead
+        checkBytes: entry.generalPurposeBitFlag & FLAG_DATA_DESCRIPTOR
+            ? [(entry.lastModFileTime >>> 8) & 0xff, entry.crc32 >>> 24]
+            : [entry.crc32 >>> 24],
+    };
+}
+
+/**
+ * Traditional PKWARE decryption. The first 12 bytes are an encrypted header
+ * whose last byte lets us reject most wrong passwords straight away.
+ */
+function createZipCryptoDecipher(password, encryption) {
+    const keys = [0x12345678, 0x23456789, 0x34567890];
+    const update = (byte) => {
+        keys[0] = crc32Update(keys[0], byte);
+        keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) | 0;
+        keys[2] = crc32Update(keys[2], keys[1] >>> 24);
+    };
+    for (const byte of Buffer.from(password, "utf8")) {
+        update(byte);
+    }
+
+    let headerRemaining = ZIPCRYPTO_HEADER_LENGTH;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const output = Buffer.allocUnsafe(chunk.length);
+            for (let i = 0; i < chunk.length; i++) {
+                const temp = (keys[2] | 2) & 0xffff;
+                const byte = chunk[i] ^ (((temp * (temp ^ 1)) >>> 8) & 0xff);
+                update(byte);
+                output[i] = byte;
+            }
+
+            let offset = 0;
+            if (headerRemaining > 0) {
+                offset = Math.min(headerRemaining, output.length);
+                headerRemaining -= offset;
+                if (headerRemaining === 0 && !encryption.checkBytes.includes(output[offset - 1])) {
+                    callback(entryError("the password is incorrect", "wrong_password"));
+                    return;
+                }
+            }
+            callback(null, output.subarray(offset));
+        },
+    });
+}
+
+/**
+ * WinZip AES decryption: PBKDF2-derived keys, AES in CTR mode with a
+ * little-endian counter, and an HMAC-SHA1 authentication code over the
+ * encrypted data. Laid out as salt | password verifier | data | auth code.
+ */
+function createAesDecipher(password, encryption, dataLength) {
+    const { keyLength } = encryption;
+    const saltLength = keyLength / 2;
+    const prefixLength = saltLength + AES_VERIFIER_LENGTH;
+    const cipherTextLength = dataLength - prefixLength - AES_MAC_LENGTH;
+
+    let prefix = Buffer.alloc(0);
+    let cipher = null;
+    let hmac = null;
+    let received = 0;
+    let counter = 1;
+    let keystream = Buffer.alloc(0);
+    const trailer = [];
+
+    function start() {
+        const salt = prefix.subarray(0, saltLength);
+        const derived = crypto.pbkdf2Sync(Buffer.from(password, "utf8"), salt, 1000, keyLength * 2 + AES_VERIFIER_LENGTH, "sha1");
+        if (!derived.subarray(keyLength * 2).equals(prefix.subarray(saltLength, prefixLength))) {
+            return entryError("the password is incorrect", "wrong_password");
+        }
+        cipher = crypto.createCipheriv(`aes-${keyLength * 8}-ecb`, derived.subarray(0, keyLength), null).setAutoPadding(false);
+        hmac = crypto.createHmac("sha1", derived.subarray(keyLength, keyLength * 2));
+        return null;
+    }
+
+    function decrypt(data) {
+        // Generate enough keystream for this chunk, one counter block at a time
+        while (keystream.length < data.length) {
+            const blocks = Math.ceil((data.length - keystream.length) / AES_BLOCK);
+            const counters = Buffer.alloc(blocks * AES_BLOCK);
+            for (let i = 0; i < blocks; i++, counter++) {
+                counters.writeUInt32LE(counter % 0x100000000, i * AES_BLOCK);
+                counters.writeUInt32LE(Math.floor(counter / 0x100000000), i * AES_BLOCK + 4);
+            }
+            keystream = Buffer.concat([keystream, cipher.update(counters)]);
+        }
+        const output = Buffer.allocUnsafe(data.length);
+        for (let i = 0; i < data.length; i++) {
+            output[i] = data[i] ^ keystream[i];
+        }
+        keystream = keystream.subarray(data.length);
+        return output;
+    }
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!cipher) {
+                prefix = Buffer.concat([prefix, chunk]);
+                if (prefix.length < prefixLength) {
+                    callback();
+                    return;
+                }
+                chunk = prefix.subarray(prefixLength);
+                const error = start();
+                if (error) {
+                    callback(error);
+                    return;
+                }
+            }
+
+            const dataPart = chunk.subarray(0, Math.max(0, cipherTextLength - received));
+            trailer.push(chunk.subarray(dataPart.length));
+            received += dataPart.length;
+            if (dataPart.length === 0) {
+                callback();
+                return;
+            }
+            hmac.update(dataPart);
+            callback(null, decrypt(dataPart));
+        },
+        flush(callback) {
+            const expected = Buffer.concat(trailer);
+            if (!hmac || !hmac.digest().subarray(0, AES_MAC_LENGTH).equals(expected)) {
+                callback(entryError("entry failed its AES authentication check (wrong password or corrupt data)", "auth_failed"));
+                return;
+            }
+            callback();
+        },
+    });
+}
+
+/**
+ * Decrypt an entry's raw data stream.
+ *
+ * @param {object} encryption - From describeEncryption()
+ * @param {string} password
+ * @param {number} dataLength - Size of the raw (encrypted) entry data
+ * @returns {Transform}
+ */
+export function createDecipher(encryption, password, dataLength) {
+    return encryption.scheme === "aes"
+        ? createAesDecipher(password, encryption, dataLength)
+        : createZipCryptoDecipher(password, encryption);
+}
+
+/**
+ * Pass-through stream that fails if the data doesn't match the expected CRC-32.
+ * Decrypted data is otherwise unverified, since a wrong ZipCrypto password
+ * slips past the header check one time in 256.
+ */
+export function createCrcCheck(expected) {
+    let crc = -1;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            for (let i = 0; i < chunk.length; i++) {
+                crc = crc32Update(crc, chunk[i]);
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (((crc ^ -1) >>> 0) !== expected >>> 0) {
+                callback(entryError("entry failed its CRC check (wrong password or corrupt data)", "crc_mismatch"));
+                return;
+            }
+            callback();
+        },
+    });
+}
@@ -0,0 +1,128 @@
+import { pipeline } from "stream";
+import { createInflateRaw } from "zlib";
+import yauzl from "yauzl";
+import { ArchivePasswordError, createCrcCheck, createDecipher, describeEncryption } from "./zip-crypto.js";
+
+/**
+ * Streaming zip reader.
+ *
+ * Only the central directory is held in memory; entry data is streamed from
+ * disk one entry at a time, so archive size doesn't affect memory use.
+ * Encrypted entries are decrypted with the password given when the archive
+ * was opened (see zip-crypto.js).
+ */
+
+// Unix file type bits stored in the high word of a zip entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function readAllEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zipfile.on("entry", (entry) => {
+            entries.push(entry);
+            zipfile.readEntry();
+        });
+        zipfile.once("end", () => resolve(entries));
+        zipfile.once("error", reject);
+        zipfile.readEntry();
+    });
+}
+
+function entryType(name, entry) {
+    if (name.endsWith("/")) {
+        return "directory";
+    }
+    const mode = entry.externalFileAttributes >>> 16;
+    return (mode & S_IFMT) === S_IFLNK ? "symlink" : "file";
+}
+
+function entryError(message, reason) {
+    return Object.assign(new Error(message), { reason });
+}
+
+/**
+ * Stream an encrypted entry: raw data, then decryption, inflation and a CRC
+ * check where the scheme keeps one.
+ */
+async function openEncrypted(zipfile, entry, name, encryption, password) {
+    if (encryption.unsupported) {
+        throw entryError(encryption.unsupported, "unsupported_encryption");
+    }
+    if (!password) {
+        throw new ArchivePasswordError(`${name} is encrypted; a password is required to extract it`, { type: "password_required" });
+    }
+    if (encryption.compressionMethod !== 0 && encryption.compressionMethod !== 8) {
+        throw entryError(`unsupported compression method ${encryption.compressionMethod}`, "unsupported_compression");
+    }
+
+    const raw = await zipfile.openReadStreamPromise(entry, { decodeFileData: false });
+    const stages = [raw, createDecipher(encryption, password, entry.compressedSize)];
+    if (encryption.compressionMethod === 8) {
+        stages.push(createInflateRaw());
+    }
+    if (encryption.checkCrc) {
+        stages.push(createCrcCheck(entry.crc32));
+    }
+    return pipeline(...stages, () => {});
+}
+
+function normalizeEntry(entry, zipfile, password) {
+    // Names are decoded here rather than by yauzl, which would abort the whole
+    // archive on the first unsafe name instead of letting us report it
+    const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+    const encryption = describeEncryption(entry);
+
+    return {
+        name,
+        type: entryType(name, entry),
+        size: entry.uncompressedSize,
+        compressedSize: entry.compressedSize,
+        encrypted: Boolean(encryption),
+        mtime: entry.getLastModDate(),
+        crc32: entry.crc32,
+        open: () => (encryption
+            ? openEncrypted(zipfile, entry, name, encryption, password)
+            : zipfile.openReadStreamPromise(entry)),
+    };
+}
+
+/**
+ * Open a zip archive for streaming reads. The central directory gives the
+ * full entry list up front, exposed as `indexedEntries`.
+ *
+ * @param {string} zipPath
+ * @param {{ password?: string }} [options] - Password for encrypted entries
+ */
+export async function openZipArchive(zipPath, { password } = {}) {
+    const zipfile = await yauzl.openPromise(zipPath, {
+        lazyEntries: true,
+        autoClose: false,
+        decodeStrings: false,
+    });
+
+    try {
+        const entries = (await readAllEntries(zipfile)).map((entry) => normalizeEntry(entry, zipfile, password));
+        return {
+            format: "zip",
+            indexedEntries: entries,
+            hasPassword: Boolean(password),
+            async *entries() {
+                yield* entries;
+            },
+            close: () => zipfile.close(),
+        };
+    } catch (error) {
+        zipfile.close();
+        throw error;
+    }
+}
+
+/**
+ * Zip files start with a local file header, or an end-of-central-directory
+ * record when empty.
+ */
+export function isZip(header) {
+    return header.length >= 4 && header[0] === 0x50 && header[1] === 0x4b
+        && ((header[2] === 0x03 && header[3] === 0x04) || (header[2] === 0x05 && header[3] === 0x06));
+}
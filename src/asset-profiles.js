@@ -0,0 +1,74 @@
+/**
+ * Asset profiles: named sets of file extensions the organizer tools work on.
+ *
+ * Built-in profiles cover the asset types we handle most; the config file can
+ * add new ones or replace these under "assetProfiles":
+ *
+ *   "assetProfiles": {
+ *     "brand": { "label": "brand asset", "extensions": ["svg", "png", "pdf"] },
+ *     "video": ["mp4", "webm"]
+ *   }
+ *
+ * `label` is used in tool output ("Moved 3 brand asset file(s)").
+ */
+
+export const DEFAULT_ASSET_PROFILES = {
+    svg: { label: "SVG", extensions: [".svg"] },
+    icons: { label: "icon", extensions: [".svg", ".ico", ".icns"] },
+    images: { label: "image", extensions: [".png", ".jpg", ".jpeg", ".gif", ".webp", ".avif", ".svg", ".bmp", ".tif", ".tiff"] },
+    fonts: { label: "font", extensions: [".ttf", ".otf", ".woff", ".woff2", ".eot"] },
+    lottie: { label: "Lottie", extensions: [".json", ".lottie"] },
+    documents: { label: "document", extensions: [".pdf", ".doc", ".docx", ".xls", ".xlsx", ".ppt", ".pptx", ".txt", ".md"] },
+};
+
+/**
+ * Normalise extensions to lowercase with a leading dot ("PNG" -> ".png").
+ */
+export function normalizeExtensions(extensions) {
+    return extensions
+        .map((ext) => String(ext).trim().toLowerCase())
+        .filter(Boolean)
+        .map((ext) => (ext.startsWith(".") ? ext : `.${ext}`));
+}
+
+/**
+ * Merge profiles from the config file over the built-in ones. A profile may be
+ * given as an extension list or as `{ label, extensions }`.
+ */
+export function loadAssetProfiles(configured = {}) {
+    const profiles = { ...DEFAULT_ASSET_PROFILES };
+    for (const [name, value] of Object.entries(configured)) {
+        const extensions = Array.isArray(value) ? value : value?.extensions;
+        if (!Array.isArray(extensions) || extensions.length === 0) {
+            throw new Error(`Asset profile "${name}" needs a non-empty list of extensions`);
+        }
+        profiles[name.toLowerCase()] = {
+            label: (!Array.isArray(value) && value.label) || name,
+            extensions: normalizeExtensions(extensions),
+        };
+    }
+    return profiles;
+}
+
+/**
+ * Work out which file types a request is about, from an explicit extension
+ * list or a profile name. Extensions win when both are given.
+ *
+ * @param {object} profiles - From loadAssetProfiles()
+ * @param {{ profile?: string, extensions?: string[] }} selection
+ * @returns {{ label: string, extensions: string[] }}
+ */
+export function resolveAssetType(profiles, { profile, extensions }) {
+    if (extensions && extensions.length > 0) {
+        const normalized = normalizeExtensions(extensions);
+        return { label: normalized.join("/"), extensions: normalized };
+    }
+    if (!profile) {
+        throw new Error(`Specify extensions or a profile (${Object.keys(profiles).join(", ")})`);
+    }
+    const match = profiles[profile.toLowerCase()];
+    if (!match) {
+        throw new Error(`Unknown asset profile "${profile}" (available: ${Object.keys(profiles).join(", ")})`);
+    }
+    return match;
+}
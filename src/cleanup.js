@@ -0,0 +1,145 @@
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { Writable } from "stream";
+import { pipeline } from "stream/promises";
+import { detectArchiveFormat, listArchiveEntries } from "./archive/index.js";
+import { createCrcCheck } from "./archive/zip-crypto.js";
+import { extractionFolderName } from "./extract.js";
+import { formatSize } from "./format.js";
+
+/**
+ * Tidying Downloads after archives have been extracted.
+ *
+ * An extraction folder is a leftover when the archive it was extracted from
+ * is still next to it: everything that came out of the archive can be had
+ * again. Each file in such a folder is
+ *   archived - still the same as its entry (size, and CRC-32 where the archive records one)
+ *   modified - has an entry, but the file was changed since
+ *   extra    - no entry in the archive (added later, or from a nested archive)
+ * and only archived files are ever deleted.
+ */
+
+// What the unzip tools can do with the archive once its files are moved out
+export const ARCHIVE_CLEANUP = ["keep", "processed", "trash"];
+
+// What cleanup_downloads can do with leftover folders
+export const LEFTOVER_ACTIONS = ["report", "delete", "trash"];
+
+/**
+ * Check a tool's `cleanup` argument.
+ */
+export function checkCleanupOptions(options) {
+    if (options?.archive !== undefined && !ARCHIVE_CLEANUP.includes(options.archive)) {
+        throw new Error(`Unknown archive cleanup "${options.archive}" (expected one of: ${ARCHIVE_CLEANUP.join(", ")})`);
+    }
+    return options;
+}
+
+function entryPath(name) {
+    return name.replace(/\\/g, "/").replace(/^(\.\/)+/, "").replace(/\/+$/, "");
+}
+
+async function sameCrc(filePath, crc32) {
+    try {
+        await pipeline(createReadStream(filePath), createCrcCheck(crc32), new Writable({ write: (chunk, encoding, callback) => callback() }));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function walkFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...(await walkFiles(entryPath)));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Find folders at the top of `directory` that are the extraction folder of an
+ * archive still there.
+ *
+ * @returns {Promise<Array<{ folder: string, archive: string, format: string }>>}
+ */
+export async function findLeftoverFolders(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const folders = new Set(entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name));
+    const leftovers = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !folders.has(extractionFolderName(entry.name))) {
+            continue;
+        }
+        const archivePath = path.join(directory, entry.name);
+        const format = await detectArchiveFormat(archivePath).catch(() => null);
+        if (format && !format.unsupported && !format.singleFile) {
+            leftovers.push({ folder: path.join(directory, extractionFolderName(entry.name)), archive: archivePath, format: format.name });
+        }
+    }
+    return leftovers.sort((a, b) => a.folder.localeCompare(b.folder));
+}
+
+/**
+ * Sort the files of an extraction folder into archived, modified and extra
+ * (see above).
+ *
+ * @returns {Promise<{ files: Array<{ path: string, size: number, status: string }>, size: number }>}
+ */
+export async function compareWithArchive(folder, archivePath) {
+    const { entries } = await listArchiveEntries(archivePath);
+    const byName = new Map(entries.filter((entry) => entry.type === "file").map((entry) => [entryPath(entry.name), entry]));
+    const files = [];
+    for (const filePath of await walkFiles(folder)) {
+        const stats = await fs.stat(filePath);
+        const entry = byName.get(path.relative(folder, filePath).split(path.sep).join("/"));
+        let status = "extra";
+        if (entry) {
+            const unchanged = entry.size === stats.size && (entry.crc32 == null || (await sameCrc(filePath, entry.crc32)));
+            status = unchanged ? "archived" : "modified";
+        }
+        files.push({ path: filePath, size: stats.size, status });
+    }
+    return { files, size: files.reduce((total, file) => total + file.size, 0) };
+}
+
+/**
+ * Describe what cleaning up after an extraction did (or would do), for tool output.
+ *
+ * @param {{ archive: string, removedFiles: string[], removedFolders: string[], archiveAction: string, archiveDestination?: string }} result
+ */
+export function describeCleanup(result, dryRun = false) {
+    const parts = [];
+    const removed = [
+        result.removedFiles.length > 0 ? `${result.removedFiles.length} leftover extracted file(s)` : "",
+        result.removedFolders.length > 0 ? `the folder(s) ${result.removedFolders.map((dir) => path.basename(dir)).join(", ")}` : "",
+    ].filter(Boolean);
+    if (removed.length > 0) {
+        parts.push(`${dryRun ? "would remove" : "removed"} ${removed.join(" and ")}`);
+    }
+    if (result.archiveAction === "processed") {
+        parts.push(`${dryRun ? "would move" : "moved"} ${path.basename(result.archive)} to ${result.archiveDestination}`);
+    } else if (result.archiveAction === "trash") {
+        parts.push(`${dryRun ? "would send" : "sent"} ${path.basename(result.archive)} to the trash`);
+    }
+    return parts.length > 0 ? `Cleanup: ${parts.join("; ")}` : "";
+}
+
+/**
+ * One line about a leftover folder, e.g.
+ * "icons/ (from icons.zip): 12 file(s), 3.4 MB - 10 still in the archive, 1 modified, 1 not from the archive".
+ */
+export function describeLeftover(leftover) {
+    const counts = ["archived", "modified", "extra"].map((status) => leftover.files.filter((file) => file.status === status).length);
+    const details = [
+        `${counts[0]} still in the archive`,
+        counts[1] > 0 ? `${counts[1]} modified` : "",
+        counts[2] > 0 ? `${counts[2]} not from the archive` : "",
+    ].filter(Boolean);
+    return `${path.basename(leftover.folder)}/ (from ${path.basename(leftover.archive)}): ${leftover.files.length} file(s), ${formatSize(leftover.size)} - ${details.join(", ")}`;
+}
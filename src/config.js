@@ -0,0 +1,234 @@
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import os from "os";
+import { loadAssetProfiles } from "./asset-profiles.js";
+import { checkConflictStrategy } from "./conflicts.js";
+import { compileRules } from "./rules.js";
+
+/**
+ * Server configuration.
+ *
+ * Settings are merged from (lowest to highest precedence):
+ *   1. Built-in defaults
+ *   2. A JSON config file (--config <file>, FILE_MANAGER_CONFIG, or ~/.file-manager-mcp/config.json)
+ *   3. Environment variables (FILE_MANAGER_ROOTS, FILE_MANAGER_ROOT_<NAME>)
+ *   4. Command line arguments (--root <name>=<path>, repeatable)
+ *
+ * Example config file:
+ *   {
+ *     "roots": {
+ *       "downloads": "~/Downloads",
+ *       "documents": "~/Documents",
+ *       "assets": "D:/Design/Assets"
+ *     },
+ *     "extraction": {
+ *       "maxTotalBytes": 4294967296,
+ *       "maxEntries": 20000,
+ *       "maxCompressionRatio": 200,
+ *       "maxNestingDepth": 3
+ *     },
+ *     "journal": {
+ *       "path": "~/.file-manager-mcp/journal.jsonl",
+ *       "maxOperations": 500
+ *     },
+ *     "conflicts": {
+ *       "strategy": "skip-if-identical"
+ *     },
+ *     "assetProfiles": {
+ *       "brand": { "label": "brand asset", "extensions": ["svg", "png", "pdf"] }
+ *     },
+ *     "cleanup": {
+ *       "processedFolder": "downloads/Processed"
+ *     },
+ *     "rules": [
+ *       { "name": "Invoices", "match": { "extensions": ["pdf"], "filename": "invoice" }, "destination": "documents/Invoices/{yyyy}/{MM}" }
+ *     ],
+ *     "pipelines": [
+ *       { "name": "import_icon_pack", "steps": [{ "select": { "archives": true, "latest": 1 } }, { "extract": {} }, { "filter": { "extensions": ["svg"] } }, { "move": { "to": "documents/Icons/{archive}" } }, { "cleanup": {} }] }
+ *     ],
+ *     "watch": {
+ *       "enabled": true,
+ *       "stableSeconds": 2,
+ *       "historyPath": "~/.file-manager-mcp/watch-history.jsonl",
+ *       "maxHistory": 500,
+ *       "pipelines": [
+ *         { "name": "Icon packs", "match": { "filename": "icon" }, "tool": "unzip_and_move_svgs", "args": { "destination_folder": "assets/Icons/{archive}" } }
+ *       ]
+ *     }
+ *   }
+ *
+ * See rules.js for the sorting rule conditions, conflicts.js for the
+ * conflict strategies, pipeline.js for pipeline steps and watch.js for the
+ * Downloads watcher.
+ *
+ * FILE_MANAGER_ROOTS holds "name=path" pairs separated by the platform path
+ * delimiter (";" on Windows, ":" elsewhere).
+ */
+
+export const CONFIG_DIR = path.join(os.homedir(), ".file-manager-mcp");
+export const DEFAULT_CONFIG_FILE = path.join(CONFIG_DIR, "config.json");
+
+function defaultDocumentsDir() {
+    // Windows machines with OneDrive backup redirect Documents into the OneDrive folder
+    if (process.platform === "win32") {
+        const oneDriveDocs = path.join(os.homedir(), "OneDrive", "Documents");
+        if (existsSync(oneDriveDocs)) {
+            return oneDriveDocs;
+        }
+    }
+    return path.join(os.homedir(), "Documents");
+}
+
+function defaultConfig() {
+    return {
+        roots: {
+            downloads: path.join(os.homedir(), "Downloads"),
+            documents: defaultDocumentsDir(),
+        },
+        // Archive safety limits, applied to every extraction
+        extraction: {
+            maxTotalBytes: 4 * 1024 * 1024 * 1024,
+            maxEntries: 20000,
+            maxCompressionRatio: 200,
+            // Deepest level of archives-within-archives opened by recursive extraction
+            maxNestingDepth: 3,
+        },
+        // Record of every change tools make, for undo_operation
+        journal: {
+            path: path.join(CONFIG_DIR, "journal.jsonl"),
+            maxOperations: 500,
+        },
+        // What moves and copies do when the destination name is taken
+        conflicts: {
+            strategy: "rename",
+        },
+        // Where the unzip tools put archives they're done with (cleanup.archive = "processed")
+        cleanup: {
+            processedFolder: "downloads/Processed",
+        },
+        // Background processing of new archives in Downloads (off unless configured)
+        watch: {
+            enabled: false,
+            stableSeconds: 2,
+            historyPath: path.join(CONFIG_DIR, "watch-history.jsonl"),
+            maxHistory: 500,
+        },
+    };
+}
+
+function expandPath(value, baseDir) {
+    let expanded = value;
+    if (expanded === "~" || expanded.startsWith("~/") || expanded.startsWith("~\\")) {
+        expanded = path.join(os.homedir(), expanded.slice(1));
+    }
+    return path.resolve(baseDir, expanded);
+}
+
+function parseRootPair(pair, source) {
+    const separator = pair.indexOf("=");
+    if (separator <= 0) {
+        throw new Error(`Invalid root definition "${pair}" in ${source} (expected name=path)`);
+    }
+    return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+}
+
+function parseArgs(argv) {
+    const parsed = { configFile: undefined, roots: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--config") {
+            parsed.configFile = argv[++i];
+        } else if (arg.startsWith("--config=")) {
+            parsed.configFile = arg.slice("--config=".length);
+        } else if (arg === "--root") {
+            parsed.roots.push(argv[++i]);
+        } else if (arg.startsWith("--root=")) {
+            parsed.roots.push(arg.slice("--root=".length));
+        }
+    }
+
+    return parsed;
+}
+
+function readConfigFile(configFile, required) {
+    if (!existsSync(configFile)) {
+        if (required) {
+            throw new Error(`Config file not found: ${configFile}`);
+        }
+        return {};
+    }
+
+    try {
+        return JSON.parse(readFileSync(configFile, "utf8"));
+    } catch (error) {
+        throw new Error(`Failed to read config file ${configFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Load the server configuration from defaults, config file, env vars and CLI args.
+ * Root names are case-insensitive and stored lowercased.
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const args = parseArgs(argv);
+    const config = defaultConfig();
+
+    const explicitFile = args.configFile || env.FILE_MANAGER_CONFIG;
+    const configFile = path.resolve(explicitFile || DEFAULT_CONFIG_FILE);
+    const fileConfig = readConfigFile(configFile, Boolean(explicitFile));
+    const configDir = path.dirname(configFile);
+
+    const setRoot = (name, value, baseDir) => {
+        if (!name || !value) {
+            throw new Error(`Root definitions need both a name and a path (got "${name}=${value}")`);
+        }
+        config.roots[name.toLowerCase()] = expandPath(value, baseDir);
+    };
+
+    for (const [name, value] of Object.entries(fileConfig.roots || {})) {
+        setRoot(name, value, configDir);
+    }
+
+    Object.assign(config.extraction, fileConfig.extraction);
+    if (fileConfig.journal) {
+        Object.assign(config.journal, fileConfig.journal);
+        if (fileConfig.journal.path) {
+            config.journal.path = expandPath(fileConfig.journal.path, configDir);
+        }
+    }
+    Object.assign(config.conflicts, fileConfig.conflicts);
+    checkConflictStrategy(config.conflicts.strategy);
+    config.assetProfiles = loadAssetProfiles(fileConfig.assetProfiles);
+    config.rules = compileRules(fileConfig.rules);
+    Object.assign(config.cleanup, fileConfig.cleanup);
+    // Compiled by the server, which knows the names of the tools they mustn't clash with
+    config.pipelines = fileConfig.pipelines;
+    if (fileConfig.watch) {
+        Object.assign(config.watch, fileConfig.watch);
+        if (fileConfig.watch.historyPath) {
+            config.watch.historyPath = expandPath(fileConfig.watch.historyPath, configDir);
+        }
+    }
+    if (!(config.watch.stableSeconds > 0)) {
+        throw new Error("\"watch.stableSeconds\" must be a positive number");
+    }
+
+    if (env.FILE_MANAGER_ROOTS) {
+        for (const pair of env.FILE_MANAGER_ROOTS.split(path.delimiter).filter(Boolean)) {
+            setRoot(...parseRootPair(pair, "FILE_MANAGER_ROOTS"), process.cwd());
+        }
+    }
+    for (const [key, value] of Object.entries(env)) {
+        if (key.startsWith("FILE_MANAGER_ROOT_") && value) {
+            setRoot(key.slice("FILE_MANAGER_ROOT_".length), value, process.cwd());
+        }
+    }
+
+    for (const pair of args.roots) {
+        setRoot(...parseRootPair(pair || "", "--root"), process.cwd());
+    }
+
+    config.configFile = existsSync(configFile) ? configFile : null;
+    return config;
+}
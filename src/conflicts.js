@@ -0,0 +1,179 @@
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { skipOperation, transferOperation } from "./plan.js";
+
+/**
+ * What to do when a moved or copied file lands on a name that's taken.
+ *
+ *   rename             - keep both, giving the new file a numbered name (name_1.svg)
+ *   skip-if-identical  - leave the file where it is if a file with the same
+ *                        contents is already there (under its name or a numbered
+ *                        one), otherwise rename
+ *   overwrite          - replace the existing file
+ *   keep-newer         - replace the existing file only if the incoming one is newer
+ *   fail               - stop before any file is moved or copied
+ *
+ * The default comes from "conflicts.strategy" in the config file; tools take
+ * an `on_conflict` argument to override it.
+ */
+
+export const CONFLICT_STRATEGIES = ["rename", "skip-if-identical", "overwrite", "keep-newer", "fail"];
+
+/**
+ * Raised by the "fail" strategy. `details` is returned to the client as the
+ * structured content of the error result.
+ */
+export class FileConflictError extends Error {
+    constructor(source, destination) {
+        super(`${destination} already exists (on_conflict is "fail"); no files were moved or copied`);
+        this.name = "FileConflictError";
+        this.details = {
+            type: "file_conflict",
+            source,
+            destination,
+        };
+    }
+}
+
+/**
+ * Check a strategy name from the config file or a tool argument.
+ */
+export function checkConflictStrategy(strategy) {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown conflict strategy "${strategy}" (expected one of: ${CONFLICT_STRATEGIES.join(", ")})`);
+    }
+    return strategy;
+}
+
+async function statOrNull(filePath) {
+    try {
+        return await fs.stat(filePath);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * SHA-256 of a file's contents, as hex.
+ */
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+/**
+ * True when two files have the same contents. Sizes are compared first so
+ * most differing files are never read. Unreadable files never match.
+ */
+export async function filesIdentical(a, b) {
+    const [statsA, statsB] = await Promise.all([statOrNull(a), statOrNull(b)]);
+    if (!statsA?.isFile() || !statsB?.isFile() || statsA.size !== statsB.size) {
+        return false;
+    }
+    const [hashA, hashB] = await Promise.all([hashFile(a), hashFile(b)]);
+    return hashA === hashB;
+}
+
+/**
+ * Like filesIdentical, for files that will have new contents once placed:
+ * `contents` maps such paths to what they will hold.
+ */
+async function sameContents(a, b, contents) {
+    if (!contents?.has(a) && !contents?.has(b)) {
+        return filesIdentical(a, b);
+    }
+    const hashOf = (filePath) => (contents.has(filePath)
+        ? crypto.createHash("sha256").update(contents.get(filePath)).digest("hex")
+        : hashFile(filePath).catch(() => null));
+    const [hashA, hashB] = await Promise.all([hashOf(a), hashOf(b)]);
+    return hashA !== null && hashA === hashB;
+}
+
+/**
+ * Pick a free path for `filename` in `destDir`, appending _1, _2, ... to the
+ * base name while a file with that name already exists. Paths in `reserved`
+ * count as taken, so a batch of planned moves doesn't collide with itself.
+ */
+export async function availablePath(destDir, filename, reserved = null) {
+    for (const candidate of candidatePaths(destDir, filename)) {
+        if (!reserved?.has(candidate) && !(await statOrNull(candidate))) {
+            return candidate;
+        }
+    }
+}
+
+function* candidatePaths(destDir, filename) {
+    const ext = path.extname(filename);
+    const base = path.basename(filename, ext);
+    const dir = path.join(destDir, path.dirname(filename));
+    yield path.join(destDir, filename);
+    for (let counter = 1; ; counter++) {
+        yield path.join(dir, `${base}_${counter}${ext}`);
+    }
+}
+
+/**
+ * Plan moving or copying one file into `destDir` under `filename`, applying
+ * a conflict strategy.
+ *
+ * `reserved` maps destinations already claimed by earlier files in the same
+ * batch to their sources. Clashes within a batch are never resolved by
+ * overwriting, since that would lose one of the files being transferred.
+ *
+ * @param {"move" | "copy"} action
+ * @param {string} source
+ * @param {string} destDir
+ * @param {object} [options]
+ * @param {string} [options.filename] - Name at the destination, which may include
+ *   subfolders (defaults to the source's name)
+ * @param {string} [options.strategy] - One of CONFLICT_STRATEGIES
+ * @param {Map<string, string>} [options.reserved]
+ * @param {Map<string, string | Buffer>} [options.contents] - New contents of files rewritten as they are
+ *   placed (optimised SVGs), so skip-if-identical compares what will actually land
+ * @returns {Promise<object>} A transfer or skip operation (see plan.js)
+ * @throws {FileConflictError} With the "fail" strategy
+ */
+export async function planTransfer(action, source, destDir, { filename = path.basename(source), strategy = "rename", reserved = null, contents = null } = {}) {
+    const target = path.join(destDir, filename);
+    const requestedName = path.basename(filename);
+    const claimedBy = reserved?.get(target);
+    const existing = claimedBy ? null : await statOrNull(target);
+
+    if (!claimedBy && !existing) {
+        return transferOperation(action, source, target, { requestedName });
+    }
+    if (strategy === "fail") {
+        throw new FileConflictError(source, target);
+    }
+
+    if (existing?.isFile()) {
+        if (strategy === "overwrite") {
+            return transferOperation(action, source, target, { overwrite: true, requestedName });
+        }
+        // A source that doesn't exist yet (planning a dry-run extraction) can't be compared
+        const incoming = strategy === "keep-newer" ? await statOrNull(source) : null;
+        if (incoming) {
+            return incoming.mtimeMs > existing.mtimeMs
+                ? transferOperation(action, source, target, { overwrite: true, requestedName })
+                : skipOperation(action, source, target, "existing_newer");
+        }
+    }
+
+    // rename, and skip-if-identical or keep-newer when the files can't be compared
+    for (const candidate of candidatePaths(destDir, filename)) {
+        const other = reserved?.get(candidate) || ((await statOrNull(candidate)) ? candidate : null);
+        if (!other) {
+            return transferOperation(action, source, candidate, { requestedName });
+        }
+        if (strategy === "skip-if-identical" && (await sameContents(source, other, contents))) {
+            return skipOperation(action, source, candidate, "identical");
+        }
+    }
+}
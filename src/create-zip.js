@@ -0,0 +1,72 @@
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import archiver from "archiver";
+import zipEncrypted from "archiver-zip-encrypted";
+
+/**
+ * Zip archive creation.
+ *
+ * Files are streamed into the archive one at a time, and the archive is
+ * streamed to disk, so bundle size doesn't affect memory use.
+ *
+ * Password-protected archives use AES-256 by default. Windows Explorer and
+ * Info-ZIP can't open those, so the legacy ZipCrypto scheme is offered too.
+ */
+
+export const ENCRYPTION_METHODS = { aes256: "AES-256", zipcrypto: "ZipCrypto" };
+
+// archiver keeps a process-wide format registry, so this must only happen once
+archiver.registerFormat("zip-encrypted", zipEncrypted);
+
+function createArchiver(level, password, encryption) {
+    const options = level === 0 ? { store: true } : { zlib: { level } };
+    if (!password) {
+        return archiver("zip", options);
+    }
+    return archiver("zip-encrypted", {
+        ...options,
+        password,
+        encryptionMethod: encryption === "zipcrypto" ? "zip20" : "aes256",
+    });
+}
+
+/**
+ * Write a zip archive.
+ *
+ * @param {string} outputPath - Archive to create; must not already exist
+ * @param {Array<{ sourcePath: string, name: string }>} files - Files to add and their names inside the archive
+ * @param {object} [options]
+ * @param {number} [options.level] - Deflate level 0-9 (0 stores files uncompressed; default 6)
+ * @param {string} [options.password] - Encrypt every entry with this password
+ * @param {"aes256" | "zipcrypto"} [options.encryption] - Encryption scheme when a password is given (default aes256)
+ * @returns {Promise<{ size: number, entries: number }>} Size of the written archive and number of entries
+ */
+export async function createZip(outputPath, files, { level = 6, password, encryption = "aes256" } = {}) {
+    const archive = createArchiver(level, password, encryption);
+    const output = createWriteStream(outputPath, { flags: "wx" });
+
+    const done = new Promise((resolve, reject) => {
+        output.on("close", resolve);
+        output.on("error", reject);
+        archive.on("error", reject);
+        archive.on("warning", reject);
+    });
+
+    archive.pipe(output);
+    for (const file of files) {
+        const stats = await fs.stat(file.sourcePath);
+        archive.file(file.sourcePath, { name: file.name, date: stats.mtime });
+    }
+
+    try {
+        await Promise.all([archive.finalize(), done]);
+    } catch (error) {
+        archive.abort();
+        output.destroy();
+        await fs.rm(outputPath, { force: true });
+        throw error;
+    }
+
+    const { size } = await fs.stat(outputPath);
+    return { size, entries: files.length };
+}
@@ -0,0 +1,87 @@
+import { hashFile } from "./conflicts.js";
+
+/**
+ * Finding files with identical contents.
+ *
+ * Files are grouped by size first, and only files that share a size are
+ * hashed, so a scan of a large folder reads little more than the candidates.
+ * Paths that are already hard links to the same file count as one copy: they
+ * take no extra space.
+ */
+
+export const KEEP_CHOICES = ["oldest", "newest", "shortest_path"];
+
+// What find_duplicates can do with the extra copies
+export const DUPLICATE_ACTIONS = ["report", "delete", "hardlink"];
+
+/**
+ * Group files with identical contents.
+ *
+ * @param {Array<{ path: string, size: number, mtimeMs: number, dev: number, ino: number }>} files
+ * @param {object} [options]
+ * @param {number} [options.minSize] - Ignore files smaller than this many bytes
+ * @returns {Promise<Array<{ size: number, hash: string, files: object[], wasted: number }>>}
+ *   Sets of two or more files, most wasted space first. `wasted` is the space
+ *   freed by keeping one copy of each set.
+ */
+export async function findDuplicateGroups(files, { minSize = 1 } = {}) {
+    const bySize = new Map();
+    for (const file of files) {
+        if (file.size < minSize) {
+            continue;
+        }
+        if (!bySize.has(file.size)) {
+            bySize.set(file.size, []);
+        }
+        bySize.get(file.size).push(file);
+    }
+
+    const groups = [];
+    for (const [size, candidates] of bySize) {
+        if (candidates.length < 2) {
+            continue;
+        }
+        const byHash = new Map();
+        for (const file of candidates) {
+            let hash;
+            try {
+                hash = await hashFile(file.path);
+            } catch {
+                // Unreadable or removed since the scan
+                continue;
+            }
+            if (!byHash.has(hash)) {
+                byHash.set(hash, []);
+            }
+            byHash.get(hash).push(file);
+        }
+        for (const [hash, matches] of byHash) {
+            const copies = new Set(matches.map((file) => `${file.dev}:${file.ino}`)).size;
+            if (copies > 1) {
+                groups.push({ size, hash, files: matches, wasted: size * (copies - 1) });
+            }
+        }
+    }
+
+    return groups.sort((a, b) => b.wasted - a.wasted);
+}
+
+/**
+ * Split a duplicate set into the file to keep and the extras.
+ *
+ * @param {{ files: object[] }} group
+ * @param {string} keep - One of KEEP_CHOICES
+ * @returns {{ kept: object, extras: object[] }}
+ */
+export function chooseKeeper(group, keep = "oldest") {
+    const order = {
+        oldest: (a, b) => a.mtimeMs - b.mtimeMs,
+        newest: (a, b) => b.mtimeMs - a.mtimeMs,
+        shortest_path: (a, b) => a.path.length - b.path.length,
+    }[keep];
+    if (!order) {
+        throw new Error(`Unknown keep choice "${keep}" (expected one of: ${KEEP_CHOICES.join(", ")})`);
+    }
+    const [kept, ...extras] = [...group.files].sort((a, b) => order(a, b) || a.path.localeCompare(b.path));
+    return { kept, extras };
+}
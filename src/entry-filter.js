@@ -0,0 +1,71 @@
+import picomatch from "picomatch";
+
+/**
+ * Glob-based selection of archive entries (and other relative paths).
+ *
+ * Patterns are matched case-insensitively against forward-slash paths.
+ * A pattern without a slash ("*.svg") matches the file name at any depth.
+ * Include patterns prefixed with "!" are treated as excludes, so
+ * ["icons/**\/*.svg", "!__MACOSX/**"] works as a single list.
+ */
+
+const MATCH_OPTIONS = { dot: true, nocase: true };
+
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map((p) => String(p).trim()).filter(Boolean);
+}
+
+/**
+ * Compile patterns into one matcher. Slash-free patterns are tested against the
+ * last path segment, the rest against the whole path.
+ */
+function compile(patterns) {
+    const pathMatcher = picomatch(patterns.filter((p) => p.includes("/")), MATCH_OPTIONS);
+    const nameMatcher = picomatch(patterns.filter((p) => !p.includes("/")), MATCH_OPTIONS);
+    return (name) => {
+        const trimmed = name.replace(/\/+$/, "");
+        return pathMatcher(trimmed) || nameMatcher(trimmed.slice(trimmed.lastIndexOf("/") + 1));
+    };
+}
+
+/**
+ * Build a predicate over entry names.
+ *
+ * @param {object} options
+ * @param {string | string[]} [options.include] - Entries must match at least one of these (default: everything)
+ * @param {string | string[]} [options.exclude] - Entries matching any of these are dropped
+ * @param {string[]} [options.extensions] - Entries must end with one of these extensions (e.g. [".svg"])
+ * @returns {((name: string) => boolean) | null} null when no filtering was requested
+ */
+export function createEntryFilter({ include, exclude, extensions } = {}) {
+    const includes = [];
+    const excludes = toList(exclude).map((p) => p.replace(/^!/, ""));
+
+    for (const pattern of toList(include)) {
+        if (pattern.startsWith("!")) {
+            excludes.push(pattern.slice(1));
+        } else {
+            includes.push(pattern);
+        }
+    }
+
+    const wantedExtensions = (extensions || []).map((ext) => ext.toLowerCase());
+
+    if (includes.length === 0 && excludes.length === 0 && wantedExtensions.length === 0) {
+        return null;
+    }
+
+    const isIncluded = includes.length > 0 ? compile(includes) : () => true;
+    const isExcluded = excludes.length > 0 ? compile(excludes) : () => false;
+
+    return (name) => {
+        const normalized = name.replace(/\\/g, "/");
+        if (wantedExtensions.length > 0 && !wantedExtensions.some((ext) => normalized.toLowerCase().endsWith(ext))) {
+            return false;
+        }
+        return isIncluded(normalized) && !isExcluded(normalized);
+    };
+}
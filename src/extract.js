@@ -0,0 +1,547 @@
+import fs from "fs/promises";
+import path from "path";
+import { createWriteStream } from "fs";
+import { promisify } from "util";
+import { pipeline, Transform } from "stream";
+import { ArchivePasswordError, detectArchiveFormat, hasArchiveExtension, openArchive, stripArchiveExtension } from "./archive/index.js";
+import { isInside } from "./path-policy.js";
+
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Safe archive extraction.
+ *
+ * Entry names and sizes inside an archive are untrusted. Before anything is
+ * written we check that each entry lands inside the extraction directory
+ * (zip-slip), that the archive stays within the configured entry count, total
+ * size and compression ratio limits (zip bombs), that no entry is a symlink,
+ * and that no entry would be written through a symlinked folder already on
+ * disk. Entries that fail a check, or that something already on disk is in
+ * the way of, are skipped and reported; limits that
+ * apply to the archive as a whole abort the extraction, before any file is
+ * written when the format has an index (zip) and as soon as they are crossed
+ * otherwise (tar).
+ *
+ * Entry data is streamed straight to disk and byte-counted as it goes, so the
+ * limits hold even when an archive lies about its sizes.
+ *
+ * Encrypted entries need the archive to have been opened with a password. A
+ * missing or wrong password aborts the extraction with an ArchivePasswordError
+ * rather than rejecting every entry one by one.
+ *
+ * Archives found inside an archive can be expanded in turn, down to a maximum
+ * depth. Nested extractions share the outer archive's byte and entry budget,
+ * so a nested bomb can't multiply its way past the limits.
+ */
+
+/**
+ * Raised when an archive as a whole breaks an extraction limit.
+ */
+export class ExtractionLimitError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = "ExtractionLimitError";
+        this.details = { type: "extraction_limit", ...details };
+    }
+}
+
+/**
+ * Work out where an entry would be written, or why it must not be.
+ * Returns `{ target }` or `{ reason, message }`.
+ */
+export function resolveEntryPath(extractDir, entryName) {
+    if (entryName.includes("\0")) {
+        return { reason: "invalid_name", message: "entry name contains a null byte" };
+    }
+
+    const normalized = entryName.replace(/\\/g, "/");
+    if (normalized.startsWith("/") || /^[a-zA-Z]:/.test(normalized)) {
+        return { reason: "absolute_path", message: "entry has an absolute path" };
+    }
+
+    const target = path.resolve(extractDir, normalized);
+    if (target === path.resolve(extractDir) || !isInside(extractDir, target)) {
+        return { reason: "path_traversal", message: "entry path escapes the extraction directory" };
+    }
+
+    return { target };
+}
+
+function entryCountError(count, limits) {
+    return new ExtractionLimitError(
+        `Archive has ${count} entries, more than the limit of ${limits.maxEntries}`,
+        { limit: "maxEntries", value: count, max: limits.maxEntries }
+    );
+}
+
+function declaredSizeError(total, limits) {
+    return new ExtractionLimitError(
+        `Archive would expand to ${total} bytes, more than the limit of ${limits.maxTotalBytes}`,
+        { limit: "maxTotalBytes", value: total, max: limits.maxTotalBytes }
+    );
+}
+
+function checkArchiveLimits(entries, limits) {
+    if (entries.length > limits.maxEntries) {
+        throw entryCountError(entries.length, limits);
+    }
+
+    const declaredTotal = entries.reduce((total, entry) => total + entry.size, 0);
+    if (declaredTotal > limits.maxTotalBytes) {
+        throw declaredSizeError(declaredTotal, limits);
+    }
+}
+
+function checkEntryRatio(entry, limits) {
+    const { size, compressedSize } = entry;
+    // Formats without per-entry compressed sizes (tar.gz) are covered by the archive-wide ratio
+    if (size === 0 || compressedSize == null) {
+        return null;
+    }
+    if (compressedSize === 0 || size / compressedSize > limits.maxCompressionRatio) {
+        return {
+            reason: "compression_ratio",
+            message: `compression ratio exceeds ${limits.maxCompressionRatio}:1 (${compressedSize} -> ${size} bytes)`,
+        };
+    }
+    return null;
+}
+
+const UNSAFE_TYPES = {
+    symlink: { reason: "symlink", message: "symlink entries are not extracted" },
+    hardlink: { reason: "hardlink", message: "hard link entries are not extracted" },
+    other: { reason: "unsupported_type", message: "device, FIFO and other special entries are not extracted" },
+};
+
+const SYMLINK_ESCAPE = { reason: "path_traversal", message: "entry's folder is a symlink out of the extraction directory" };
+// Something already on disk is in the way; only the entry concerned is left out
+const FILE_IN_THE_WAY = { reason: "path_conflict", message: "a file is in the way of this entry's folder" };
+const FOLDER_IN_THE_WAY = { reason: "path_conflict", message: "a folder with this name already exists" };
+
+async function fileExists(filePath) {
+    try {
+        await fs.lstat(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The real path of the nearest part of `dir` that exists on disk, or null if
+ * it can't be resolved (a dangling symlink).
+ */
+async function realpathOfNearest(dir) {
+    let existing = dir;
+    while (!(await fileExists(existing)) && path.dirname(existing) !== existing) {
+        existing = path.dirname(existing);
+    }
+    return fs.realpath(existing).catch(() => null);
+}
+
+/**
+ * Pass-through stream that counts bytes and fails once an entry produces more
+ * data than it declared or the extraction as a whole exceeds its byte budget.
+ */
+function createByteCounter(entry, budget) {
+    let entryBytes = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            entryBytes += chunk.length;
+            budget.written += chunk.length;
+            if (entryBytes > entry.size) {
+                callback(Object.assign(new Error(`entry produced more than its declared ${entry.size} bytes`), { reason: "size_mismatch" }));
+            } else if (budget.written > budget.max) {
+                callback(new ExtractionLimitError(
+                    `Extraction stopped after exceeding the ${budget.max} byte limit`,
+                    { limit: "maxTotalBytes", value: budget.written, max: budget.max }
+                ));
+            } else if (budget.maxExpanded && budget.written > budget.maxExpanded) {
+                callback(new ExtractionLimitError(
+                    `Extraction stopped: archive expanded past ${budget.maxRatio}:1 of its ${budget.archiveSize} bytes`,
+                    { limit: "maxCompressionRatio", value: budget.written, max: budget.maxExpanded }
+                ));
+            } else {
+                callback(null, chunk);
+            }
+        },
+    });
+}
+
+/**
+ * Extract every entry of an opened archive into `extractDir`, skipping any
+ * entry that fails a safety check.
+ *
+ * @param {object} archive - Reader from openArchive()
+ * @param {string} extractDir - Directory to extract into (created if missing)
+ * @param {object} options
+ * @param {{ maxTotalBytes: number, maxEntries: number, maxCompressionRatio: number }} options.limits
+ * @param {boolean} [options.overwrite] - Replace files that already exist (default: skip them, rejected as already_exists with their `path`); folders are never replaced
+ * @param {((name: string) => boolean) | null} [options.filter] - Only entries passing this are extracted (see createEntryFilter)
+ * @param {number} [options.archiveSize] - Size of the archive file, for the archive-wide compression ratio limit
+ * @param {boolean} [options.dryRun] - Run every check but write nothing; `extracted` lists what would be written, with declared sizes
+ * @returns {Promise<{ totalEntries: number, filteredOut: number, extracted: Array<{ name: string, path: string, size: number, overwrite: boolean }>, rejected: Array<{ name: string, reason: string, message: string, path?: string }>, createdDirectories: string[] }>}
+ */
+export async function extractArchiveSafely(archive, extractDir, { limits, overwrite = false, filter = null, archiveSize = 0, dryRun = false }) {
+    // Unselected entries are never opened, so limits only apply to what is written
+    const selects = (entry) => !filter || filter(entry.name);
+
+    if (archive.indexedEntries) {
+        const selected = archive.indexedEntries.filter(selects);
+        checkArchiveLimits(selected, limits);
+
+        const encryptedCount = selected.filter((entry) => entry.encrypted).length;
+        if (encryptedCount > 0 && !archive.hasPassword) {
+            throw new ArchivePasswordError(
+                `Archive is password-protected (${encryptedCount} encrypted entr${encryptedCount === 1 ? "y" : "ies"}); supply a password to extract it`,
+                { type: "password_required", encryptedEntries: encryptedCount }
+            );
+        }
+    }
+
+    // Directories this extraction creates, outermost first, so they can be journaled
+    const createdDirectories = [];
+    const makeDirectory = async (dir) => {
+        const created = await fs.mkdir(dir, { recursive: true });
+        if (created) {
+            createdDirectories.push(created);
+        }
+    };
+
+    if (!dryRun) {
+        await makeDirectory(extractDir);
+    }
+    const realExtractDir = (await fileExists(extractDir)) ? await fs.realpath(extractDir) : null;
+    // A pre-existing symlinked folder could redirect writes elsewhere, so check before creating anything under it
+    const escapes = async (dir) => {
+        if (!realExtractDir) {
+            return false;
+        }
+        const real = await realpathOfNearest(dir);
+        return !real || !isInside(realExtractDir, real);
+    };
+    // Check the folder an entry goes in, and create it unless this is a dry run. Returns why the entry can't go there, or null
+    const prepareFolder = async (dir) => {
+        if (await escapes(dir)) {
+            return SYMLINK_ESCAPE;
+        }
+        if (dryRun) {
+            const nearest = await realpathOfNearest(dir);
+            const isDirectory = nearest && await fs.stat(nearest).then((stats) => stats.isDirectory(), () => false);
+            return isDirectory ? null : FILE_IN_THE_WAY;
+        }
+        try {
+            await makeDirectory(dir);
+        } catch (error) {
+            if (error.code === "ENOTDIR" || error.code === "EEXIST") {
+                return FILE_IN_THE_WAY;
+            }
+            throw error;
+        }
+        return null;
+    };
+
+    const extracted = [];
+    const rejected = [];
+    const reject = (entry, { reason, message }) => rejected.push({ name: entry.name, reason, message });
+    const budget = {
+        written: 0,
+        max: limits.maxTotalBytes,
+        archiveSize,
+        maxRatio: limits.maxCompressionRatio,
+        maxExpanded: archiveSize ? archiveSize * limits.maxCompressionRatio : 0,
+    };
+
+    let totalEntries = 0;
+    let selectedEntries = 0;
+    let declaredTotal = 0;
+
+    for await (const entry of archive.entries()) {
+        totalEntries++;
+        if (!selects(entry)) {
+            continue;
+        }
+
+        // Streamed formats have no index to check up front
+        selectedEntries++;
+        declaredTotal += entry.size;
+        if (selectedEntries > limits.maxEntries) {
+            throw entryCountError(selectedEntries, limits);
+        }
+        if (declaredTotal > limits.maxTotalBytes) {
+            throw declaredSizeError(declaredTotal, limits);
+        }
+
+        const resolved = resolveEntryPath(extractDir, entry.name);
+        if (!resolved.target) {
+            reject(entry, resolved);
+            continue;
+        }
+
+        if (UNSAFE_TYPES[entry.type]) {
+            reject(entry, UNSAFE_TYPES[entry.type]);
+            continue;
+        }
+
+        if (entry.type === "directory") {
+            const problem = await prepareFolder(resolved.target);
+            if (problem) {
+                reject(entry, problem);
+            }
+            continue;
+        }
+
+        const ratioProblem = checkEntryRatio(entry, limits);
+        if (ratioProblem) {
+            reject(entry, ratioProblem);
+            continue;
+        }
+
+        const folderProblem = await prepareFolder(path.dirname(resolved.target));
+        if (folderProblem) {
+            reject(entry, folderProblem);
+            continue;
+        }
+
+        const existing = await fs.lstat(resolved.target).catch(() => null);
+        const exists = Boolean(existing);
+        // Never replaced, even with overwrite: that would take everything in it
+        if (existing?.isDirectory()) {
+            rejected.push({ name: entry.name, ...FOLDER_IN_THE_WAY, path: resolved.target });
+            continue;
+        }
+        if (exists && !overwrite) {
+            rejected.push({ name: entry.name, reason: "already_exists", message: "a file with this name already exists", path: resolved.target });
+            continue;
+        }
+
+        if (dryRun) {
+            extracted.push({ name: entry.name, path: resolved.target, size: entry.size, overwrite: exists });
+            continue;
+        }
+
+        // Replace rather than write through, so an existing symlink at the target is never followed
+        if (overwrite) {
+            await fs.rm(resolved.target, { force: true });
+        }
+
+        const writtenBefore = budget.written;
+        try {
+            const source = await entry.open();
+            await pipelineAsync(source, createByteCounter(entry, budget), createWriteStream(resolved.target, { flags: "wx" }));
+        } catch (error) {
+            await fs.rm(resolved.target, { force: true });
+            if (error instanceof ExtractionLimitError || error instanceof ArchivePasswordError) {
+                throw error;
+            }
+            if (error.reason === "wrong_password") {
+                throw new ArchivePasswordError(
+                    `The password is incorrect (checked against ${entry.name})`,
+                    { type: "wrong_password", entry: entry.name }
+                );
+            }
+            reject(entry, { reason: error.reason || "read_failed", message: error.message });
+            continue;
+        }
+
+        if (entry.mtime) {
+            await fs.utimes(resolved.target, entry.mtime, entry.mtime);
+        }
+        extracted.push({ name: entry.name, path: resolved.target, size: budget.written - writtenBefore, overwrite: exists });
+    }
+
+    return {
+        totalEntries,
+        filteredOut: totalEntries - selectedEntries,
+        extracted,
+        rejected,
+        createdDirectories,
+    };
+}
+
+/**
+ * The name of the folder an archive is extracted into, next to it.
+ */
+export function extractionFolderName(archivePath) {
+    // Archives without a recognisable extension would otherwise collide with their own folder
+    const folderName = stripArchiveExtension(archivePath);
+    return folderName === path.basename(archivePath) ? `${folderName}_extracted` : folderName;
+}
+
+async function extractSingleArchive(archivePath, destDir, { password, ...options }) {
+    const archive = await openArchive(archivePath, { password });
+    try {
+        const extractPath = archive.singleFile ? destDir : path.join(destDir, extractionFolderName(archivePath));
+        const { size } = await fs.stat(archivePath);
+        const result = await extractArchiveSafely(archive, extractPath, { ...options, archiveSize: size });
+        return { format: archive.format, extractPath, ...result };
+    } finally {
+        archive.close();
+    }
+}
+
+async function isNestedArchive(file) {
+    if (!hasArchiveExtension(file.name)) {
+        return false;
+    }
+    const format = await detectArchiveFormat(file.path);
+    return Boolean(format && !format.unsupported);
+}
+
+/**
+ * Expand archives among `files` (the output of one extraction) in place,
+ * recursing until `maxDepth`. Each expanded archive file is replaced by its
+ * extraction folder, except one written over a file that was already there,
+ * which isn't this extraction's to remove. Results are appended to `result`,
+ * with `archive` naming the chain of nested archives each file came from
+ * ("icons/arrows.zip > a.zip").
+ */
+async function expandNested(files, depth, source, context) {
+    const { result, options, wanted, maxDepth, remaining } = context;
+
+    for (const file of files) {
+        const archive = source ? `${source} > ${file.name}` : file.name;
+
+        if (!(await isNestedArchive(file))) {
+            if (wanted(file.name)) {
+                result.extracted.push({ ...file, archive: source });
+            } else {
+                // Only written in case it was an archive
+                if (!file.overwrite) {
+                    await fs.rm(file.path, { force: true });
+                }
+                result.filteredOut++;
+            }
+            continue;
+        }
+
+        if (depth >= maxDepth) {
+            result.notExpanded.push({ archive, path: file.path });
+            if (wanted(file.name)) {
+                result.extracted.push({ ...file, archive: source });
+            }
+            continue;
+        }
+
+        let inner;
+        try {
+            inner = await extractSingleArchive(file.path, path.dirname(file.path), {
+                ...options,
+                limits: { ...options.limits, maxTotalBytes: remaining.bytes, maxEntries: remaining.entries },
+            });
+        } catch (error) {
+            if (error instanceof ExtractionLimitError) {
+                throw error;
+            }
+            // A corrupt or differently-protected inner archive is left as it is
+            const reason = error instanceof ArchivePasswordError ? error.details.type : "nested_failed";
+            result.rejected.push({ name: file.name, reason, message: error.message, archive: source });
+            continue;
+        }
+
+        remaining.entries -= inner.totalEntries - inner.filteredOut;
+        remaining.bytes -= inner.extracted.reduce((total, f) => total + f.size, 0);
+        if (!file.overwrite) {
+            await fs.rm(file.path, { force: true });
+        }
+
+        result.nested.push({ archive, format: inner.format, extractPath: inner.extractPath, entries: inner.totalEntries });
+        result.totalEntries += inner.totalEntries;
+        result.filteredOut += inner.filteredOut;
+        result.rejected.push(...inner.rejected.map((r) => ({ ...r, archive })));
+        result.createdDirectories.push(...inner.createdDirectories);
+        await expandNested(inner.extracted, depth + 1, archive, context);
+    }
+}
+
+/**
+ * Open an archive of any supported format and extract it safely into a folder
+ * named after the archive inside `destDir` (single-file formats such as plain
+ * gzip are written straight into `destDir`). See extractArchiveSafely for the
+ * other options.
+ *
+ * With `maxDepth` above 0, archives found inside are extracted next to where
+ * they landed, and so on down to that many levels. The include/exclude filter
+ * applies to the files inside nested archives too; archives themselves are
+ * always let through so they can be opened.
+ *
+ * @param {string} archivePath
+ * @param {string} destDir
+ * @param {object} options
+ * @param {string} [options.password] - Password for encrypted entries, tried on nested archives too
+ * @param {number} [options.maxDepth] - Levels of nested archives to expand (default 0: none). Dry runs
+ *   can't look inside nested archives without writing them, so they never expand any.
+ * @returns {Promise<object>} The extraction result plus the detected `format` and the `extractPath` used.
+ *   With nesting, extracted and rejected files also carry the `archive` they came from (null for the
+ *   outer one), `nested` lists the inner archives expanded and `notExpanded` those left at the depth limit.
+ */
+export async function extractArchiveFile(archivePath, destDir, { maxDepth = 0, ...options }) {
+    if (maxDepth <= 0 || options.dryRun) {
+        return extractSingleArchive(archivePath, destDir, options);
+    }
+
+    const wanted = options.filter || (() => true);
+    const nestedOptions = { ...options, filter: (name) => wanted(name) || hasArchiveExtension(name) };
+    const outer = await extractSingleArchive(archivePath, destDir, nestedOptions);
+
+    const result = {
+        format: outer.format,
+        extractPath: outer.extractPath,
+        totalEntries: outer.totalEntries,
+        filteredOut: outer.filteredOut,
+        extracted: [],
+        rejected: outer.rejected.map((r) => ({ ...r, archive: null })),
+        createdDirectories: outer.createdDirectories,
+        nested: [],
+        notExpanded: [],
+    };
+    const remaining = {
+        bytes: options.limits.maxTotalBytes - outer.extracted.reduce((total, f) => total + f.size, 0),
+        entries: options.limits.maxEntries - (outer.totalEntries - outer.filteredOut),
+    };
+
+    await expandNested(outer.extracted, 0, null, { result, options: nestedOptions, wanted, maxDepth, remaining });
+    return result;
+}
+
+/**
+ * Render a note about entries left out by include/exclude patterns.
+ */
+export function formatFilteredOut(filteredOut) {
+    return filteredOut > 0 ? `\n\nSkipped ${filteredOut} entr${filteredOut === 1 ? "y" : "ies"} not matching the include/exclude patterns.` : "";
+}
+
+/**
+ * Render rejected entries as a text block for tool output.
+ */
+export function formatRejected(rejected) {
+    if (rejected.length === 0) {
+        return "";
+    }
+    const lines = rejected.map((r) => `  ${r.name}${r.archive ? ` (in ${r.archive})` : ""} [${r.reason}]: ${r.message}`);
+    return `\n\nRejected ${rejected.length} entr${rejected.length === 1 ? "y" : "ies"}:\n${lines.join("\n")}`;
+}
+
+/**
+ * Render the nested archives a recursive extraction opened, and any it left
+ * closed at the depth limit.
+ */
+export function formatNested(result) {
+    let text = "";
+    if (result.nested?.length > 0) {
+        const lines = result.nested.map((n) => `  ${n.archive} (${n.format}, ${n.entries} entries) -> ${n.extractPath}`);
+        text += `\n\nExpanded ${result.nested.length} nested archive(s):\n${lines.join("\n")}`;
+    }
+    if (result.notExpanded?.length > 0) {
+        const lines = result.notExpanded.map((n) => `  ${n.archive}`);
+        text += `\n\nLeft ${result.notExpanded.length} nested archive(s) unopened at the depth limit:\n${lines.join("\n")}`;
+    }
+    return text;
+}
+
+/**
+ * Label an extracted file with the nested archive it came from, if any.
+ */
+export function describeExtracted(file) {
+    return file.archive ? `${file.name} (from ${file.archive})` : file.name;
+}
@@ -0,0 +1,40 @@
+/**
+ * Text formatting helpers shared by tool handlers.
+ */
+
+/**
+ * Human-readable file size ("1.50 MB", "12.00 KB", "512 bytes").
+ */
+export function formatSize(bytes) {
+    if (bytes > 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+    if (bytes > 1024) {
+        return `${(bytes / 1024).toFixed(2)} KB`;
+    }
+    return `${bytes} bytes`;
+}
+
+/**
+ * Lowercased extension without the dot ("Icon.SVG" -> "svg"), or "" if none.
+ */
+export function extensionOf(filename) {
+    const base = filename.replace(/\/+$/, "").split("/").pop();
+    const dot = base.lastIndexOf(".");
+    return dot > 0 ? base.slice(dot + 1).toLowerCase() : "";
+}
+
+/**
+ * Count items per extension, most common first: "42 svg, 3 png, 1 txt".
+ */
+export function summarizeByExtension(names) {
+    const counts = new Map();
+    for (const name of names) {
+        const ext = extensionOf(name) || "(no extension)";
+        counts.set(ext, (counts.get(ext) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([ext, count]) => `${count} ${ext}`)
+        .join(", ");
+}
@@ -0,0 +1,308 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Persistent operation journal.
+ *
+ * Every tool call that changes the filesystem is recorded as one operation: a
+ * list of the actions it took, in order. Each action notes the size and
+ * modification time of the file it produced, so an undo can tell whether the
+ * file has been changed since.
+ *
+ * The journal is a JSON Lines file. Operations and later undos are appended
+ * as separate records and folded together when read:
+ *
+ *   { "type": "operation", "id": 12, "tool": "move_svg_files", "args": {...}, "startedAt": ..., "actions": [...] }
+ *   { "type": "undo", "id": 12, "at": ..., "reverted": [0, 1, 2] }
+ *
+ * Actions:
+ *   { type: "move", source, destination, size, mtimeMs, replaced, backup?, replacedMtimeMs? }
+ *   { type: "copy", source, destination, size, mtimeMs, replaced, backup?, replacedMtimeMs? }
+ *   { type: "create", destination, size, mtimeMs, replaced }   // extracted files, created zips
+ *   { type: "directory", path }                                // a directory that didn't exist before
+ *   { type: "rewrite", destination, backup, size, mtimeMs, originalMtimeMs }   // contents replaced (optimised SVGs)
+ *   { type: "delete", destination, archive }                   // an extracted file deleted; only the archive has it now
+ *   { type: "delete_duplicate", source, destination, size, mtimeMs, removedMtimeMs }
+ *   { type: "hardlink", source, destination, size, mtimeMs, replacedMtimeMs }
+ *   { type: "trash", source, destination?, infoPath?, size?, mtimeMs? }   // destination: where in the trash
+ *
+ * For the duplicate actions `destination` is the extra copy that was deleted
+ * or replaced by a link, and `source` the identical file that was kept; size
+ * and mtime are the kept file's, since that's what an undo copies back from.
+ *
+ * A rewrite keeps the previous contents in `backup`, a copy in the backups
+ * folder next to the journal, which is deleted when the rewrite is undone or
+ * the operation is trimmed from the journal. A move or copy that overwrote a
+ * file keeps the file it replaced the same way.
+ */
+
+// Tool arguments that must never be written to disk
+export const SECRET_ARGS = ["password"];
+
+/**
+ * A copy of tool arguments without the secret ones, for anything kept on disk.
+ */
+export function withoutSecrets(args) {
+    return Object.fromEntries(Object.entries(args || {}).filter(([key]) => !SECRET_ARGS.includes(key)));
+}
+
+/**
+ * The actions taken by one tool call. Actions are recorded as they happen, so
+ * a call that fails half way still journals what it did.
+ */
+export class JournalRun {
+    constructor(tool, args, { backupDir = null } = {}) {
+        this.tool = tool;
+        this.backupDir = backupDir;
+        this.args = withoutSecrets(args);
+        this.startedAt = new Date().toISOString();
+        this.actions = [];
+    }
+
+    async fileAction(type, fields) {
+        const stats = await fs.stat(fields.destination);
+        this.actions.push({ type, ...fields, size: stats.size, mtimeMs: stats.mtimeMs });
+    }
+
+    /**
+     * Record a file moved from `source` to `destination`; `replaced` when it
+     * overwrote one, with the backUp() of the file it overwrote.
+     */
+    moved(source, destination, { replaced = false, backup, replacedMtimeMs } = {}) {
+        return this.fileAction("move", { source, destination, replaced, backup, replacedMtimeMs });
+    }
+
+    /**
+     * Record a file copied from `source` to `destination`; `replaced` when it
+     * overwrote one, with the backUp() of the file it overwrote.
+     */
+    copied(source, destination, { replaced = false, backup, replacedMtimeMs } = {}) {
+        return this.fileAction("copy", { source, destination, replaced, backup, replacedMtimeMs });
+    }
+
+    /** Record a new file; `replaced` when it overwrote one that can't be brought back. */
+    created(destination, { replaced = false } = {}) {
+        return this.fileAction("create", { destination, replaced });
+    }
+
+    /**
+     * Copy a file that is about to be replaced into the backups folder, so an
+     * undo can put it back.
+     *
+     * @returns {Promise<{ backup: string, replacedMtimeMs: number }>}
+     */
+    async backUp(filePath) {
+        const stats = await fs.stat(filePath);
+        await fs.mkdir(this.backupDir, { recursive: true });
+        const backup = path.join(this.backupDir, `${crypto.randomUUID()}${path.extname(filePath)}`);
+        await fs.copyFile(filePath, backup);
+        return { backup, replacedMtimeMs: stats.mtimeMs };
+    }
+
+    /**
+     * Replace a file's contents, first backing up what was there so an undo
+     * can put it back.
+     */
+    async rewrite(filePath, contents) {
+        const { backup, replacedMtimeMs } = await this.backUp(filePath);
+        try {
+            await fs.writeFile(filePath, contents);
+        } catch (error) {
+            await fs.rm(backup, { force: true });
+            throw error;
+        }
+        await this.fileAction("rewrite", { destination: filePath, backup, originalMtimeMs: replacedMtimeMs });
+    }
+
+    async duplicateAction(type, destination, source, fields) {
+        const stats = await fs.stat(source);
+        this.actions.push({ type, source, destination, size: stats.size, mtimeMs: stats.mtimeMs, ...fields });
+    }
+
+    /** Record deleting `destination`, an identical copy of `source`, which was kept. */
+    removedDuplicate(destination, source, { removedMtimeMs }) {
+        return this.duplicateAction("delete_duplicate", destination, source, { removedMtimeMs });
+    }
+
+    /** Record replacing `destination`, an identical copy of `source`, with a hard link to it. */
+    linked(destination, source, { replacedMtimeMs }) {
+        return this.duplicateAction("hardlink", destination, source, { replacedMtimeMs });
+    }
+
+    /**
+     * Record moving `source` to the trash. Without a known location (the
+     * Windows Recycle Bin) it can only be put back by hand.
+     */
+    async trashed(source, { location, infoPath }) {
+        if (!location) {
+            this.actions.push({ type: "trash", source });
+            return;
+        }
+        await this.fileAction("trash", { source, destination: location, infoPath });
+    }
+
+    /**
+     * Forget a file this run created and has since deleted again, such as an
+     * extracted file cleaned up at the end of a pipeline, so an undo doesn't
+     * look for it.
+     */
+    async discarded(filePath) {
+        const forgotten = this.actions.filter((a) => (a.type === "create" || a.type === "rewrite") && a.destination === filePath);
+        this.actions = this.actions.filter((a) => !forgotten.includes(a));
+        for (const action of forgotten) {
+            if (action.backup) {
+                await fs.rm(action.backup, { force: true });
+            }
+        }
+    }
+
+    /**
+     * Record deleting a file that is still in `archive`. Nothing is kept, so
+     * this is listed but can't be undone.
+     */
+    deletedExtracted(filePath, archive) {
+        this.actions.push({ type: "delete", destination: filePath, archive });
+    }
+
+    /** Record a directory created by fs.mkdir({ recursive: true }), given its return value. */
+    createdDirectory(dirPath) {
+        if (dirPath) {
+            this.actions.push({ type: "directory", path: dirPath });
+        }
+    }
+}
+
+export class Journal {
+    /**
+     * @param {string} filePath - JSON Lines file to keep the journal in
+     * @param {object} [options]
+     * @param {number} [options.maxOperations] - Oldest operations are dropped beyond this many
+     */
+    constructor(filePath, { maxOperations = 500 } = {}) {
+        this.filePath = filePath;
+        this.maxOperations = maxOperations;
+        // Writes queue up behind each other: the Downloads watcher runs tools alongside the client's calls
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run `task` once every write queued before it has finished, so two runs
+     * finishing together can't be given the same id.
+     */
+    exclusive(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    begin(tool, args) {
+        return new JournalRun(tool, args, { backupDir: path.join(path.dirname(this.filePath), "backups") });
+    }
+
+    async readRecords() {
+        let text;
+        try {
+            text = await fs.readFile(this.filePath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+            throw error;
+        }
+        // A line cut short by a crash shouldn't make the rest unreadable
+        return text.split("\n").filter(Boolean).flatMap((line) => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return [];
+            }
+        });
+    }
+
+    async append(record) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+
+    /**
+     * Store a finished run. Runs that changed nothing (including dry runs)
+     * aren't recorded.
+     *
+     * @returns {Promise<number | null>} The operation id
+     */
+    async finish(run, error = null) {
+        if (run.actions.length === 0) {
+            return null;
+        }
+
+        return this.exclusive(async () => {
+            const records = await this.readRecords();
+            const id = records.reduce((max, record) => Math.max(max, record.id || 0), 0) + 1;
+            await this.append({
+                type: "operation",
+                id,
+                tool: run.tool,
+                args: run.args,
+                startedAt: run.startedAt,
+                finishedAt: new Date().toISOString(),
+                error: error ? error.message : undefined,
+                actions: run.actions,
+            });
+
+            await this.trim(records.filter((record) => record.type === "operation").length + 1);
+            return id;
+        });
+    }
+
+    async trim(operationCount) {
+        if (operationCount <= this.maxOperations * 1.2) {
+            return;
+        }
+        const records = await this.readRecords();
+        const keepIds = new Set(records.filter((r) => r.type === "operation").slice(-this.maxOperations).map((r) => r.id));
+        const kept = records.filter((record) => keepIds.has(record.id));
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, kept.map((record) => `${JSON.stringify(record)}\n`).join(""));
+        await fs.rename(tempPath, this.filePath);
+
+        // Dropped operations can no longer be undone, so their backups aren't needed
+        const dropped = records.filter((record) => record.type === "operation" && !keepIds.has(record.id));
+        for (const action of dropped.flatMap((record) => record.actions)) {
+            if (action.backup) {
+                await fs.rm(action.backup, { force: true });
+            }
+        }
+    }
+
+    /**
+     * All operations, newest first, with `reverted` holding the indexes of
+     * actions already undone.
+     */
+    async list() {
+        const operations = new Map();
+        for (const record of await this.readRecords()) {
+            if (record.type === "operation") {
+                operations.set(record.id, { ...record, reverted: [], undoneAt: null });
+            } else if (record.type === "undo" && operations.has(record.id)) {
+                const operation = operations.get(record.id);
+                operation.reverted = [...new Set([...operation.reverted, ...record.reverted])];
+                operation.undoneAt = record.at;
+            }
+        }
+        return [...operations.values()].reverse();
+    }
+
+    async get(id) {
+        return (await this.list()).find((operation) => operation.id === id) || null;
+    }
+
+    /**
+     * Note that some of an operation's actions have been reversed.
+     */
+    async recordUndo(id, reverted) {
+        if (reverted.length > 0) {
+            await this.exclusive(() => this.append({ type: "undo", id, at: new Date().toISOString(), reverted }));
+        }
+    }
+}
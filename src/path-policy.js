@@ -0,0 +1,157 @@
+import fs from "fs/promises";
+import path from "path";
+import { locate } from "./roots.js";
+
+/**
+ * Path authorization.
+ *
+ * Every path a tool reads, writes or lists must live inside one of the
+ * configured roots. Checks are done twice: lexically on the resolved path
+ * (catches ".." escapes and absolute paths elsewhere on disk) and on the real
+ * path of the nearest existing ancestor (catches symlinks that lead out of
+ * the roots).
+ */
+
+/**
+ * Raised when a tool argument points outside the configured roots. `details`
+ * is returned to the client as the structured content of the error result.
+ */
+export class PathAccessError extends Error {
+    constructor(message, { requestedPath, reason, roots }) {
+        super(message);
+        this.name = "PathAccessError";
+        this.details = {
+            type: "path_access_denied",
+            reason,
+            path: requestedPath,
+            allowedRoots: roots,
+        };
+    }
+}
+
+const caseInsensitive = process.platform === "win32" || process.platform === "darwin";
+
+/**
+ * True when `child` is `parent` itself or lies somewhere beneath it.
+ */
+export function isInside(parent, child) {
+    const a = caseInsensitive ? parent.toLowerCase() : parent;
+    const b = caseInsensitive ? child.toLowerCase() : child;
+    const relative = path.relative(a, b);
+    return relative === "" || (relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+export class PathPolicy {
+    /**
+     * @param {Record<string, string>} roots - Configured roots (lowercased name -> absolute path)
+     */
+    constructor(roots) {
+        this.roots = roots;
+    }
+
+    deny(message, requestedPath, reason) {
+        return new PathAccessError(message, {
+            requestedPath,
+            reason,
+            roots: { ...this.roots },
+        });
+    }
+
+    async getRealRoots() {
+        return Promise.all(
+            Object.values(this.roots).map(async (root) => {
+                try {
+                    return await fs.realpath(root);
+                } catch {
+                    // Root doesn't exist yet; it will be created on first write
+                    return root;
+                }
+            })
+        );
+    }
+
+    /**
+     * Resolve the real path of `target`, following symlinks through the
+     * nearest ancestor that exists on disk.
+     */
+    async realpathOfNearest(target) {
+        let existing = target;
+        const missing = [];
+        while (true) {
+            try {
+                const real = await fs.realpath(existing);
+                return path.join(real, ...missing.reverse());
+            } catch (error) {
+                if (error.code !== "ENOENT" && error.code !== "ENOTDIR") {
+                    throw error;
+                }
+                const parent = path.dirname(existing);
+                if (parent === existing) {
+                    return target;
+                }
+                missing.push(path.basename(existing));
+                existing = parent;
+            }
+        }
+    }
+
+    /**
+     * Check that an absolute path is inside a configured root, including after
+     * symlinks are followed. Returns the path unchanged.
+     */
+    async authorize(target) {
+        const resolved = path.resolve(target);
+
+        if (!Object.values(this.roots).some((root) => isInside(root, resolved))) {
+            throw this.deny(`Access denied: ${resolved} is outside the allowed roots`, resolved, "outside_roots");
+        }
+
+        const real = await this.realpathOfNearest(resolved);
+        const realRoots = await this.getRealRoots();
+        if (!realRoots.some((root) => isInside(root, real))) {
+            throw this.deny(
+                `Access denied: ${resolved} resolves through a symlink to ${real}, which is outside the allowed roots`,
+                resolved,
+                "symlink_escape"
+            );
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Resolve a location argument (root name, root subfolder, relative or
+     * absolute path) and authorize it.
+     */
+    async resolve(location, defaultRoot) {
+        const located = locate(this.roots, location, defaultRoot);
+
+        // Relative locations must stay inside the root they were resolved against
+        if (located.rootName && !isInside(this.roots[located.rootName], located.path)) {
+            throw this.deny(
+                `Access denied: "${location}" escapes the ${located.rootName} root`,
+                located.path,
+                "parent_traversal"
+            );
+        }
+
+        return this.authorize(located.path);
+    }
+
+    /**
+     * Join a caller-supplied relative name (file name, folder name) onto an
+     * already-authorized directory, refusing anything that climbs out of it.
+     */
+    async resolveWithin(baseDir, name) {
+        if (path.isAbsolute(name)) {
+            throw this.deny(`Access denied: expected a relative name, got ${name}`, name, "absolute_name");
+        }
+
+        const joined = path.join(baseDir, name);
+        if (!isInside(baseDir, joined)) {
+            throw this.deny(`Access denied: "${name}" escapes ${baseDir}`, joined, "parent_traversal");
+        }
+
+        return this.authorize(joined);
+    }
+}
@@ -0,0 +1,208 @@
+import { resolveAssetType } from "./asset-profiles.js";
+import { checkCleanupOptions } from "./cleanup.js";
+import { checkConflictStrategy } from "./conflicts.js";
+import { compileRename } from "./rename.js";
+import { compileMatch } from "./rules.js";
+import { DEFAULT_OPTIMIZE_OPTIONS } from "./svg/optimize.js";
+
+/**
+ * Multi-step pipelines, defined under "pipelines" in the config file and
+ * offered as tools of their own:
+ *
+ *   "pipelines": [
+ *     {
+ *       "name": "import_icon_pack",
+ *       "description": "Import the newest icon pack into the icon library",
+ *       "steps": [
+ *         { "select": { "archives": true, "latest": 1 } },
+ *         { "extract": { "recursive": true } },
+ *         { "filter": { "extensions": ["svg"] } },
+ *         { "transform": { "optimize_svg": { "current_color": true } } },
+ *         { "rename": { "case": "kebab", "strip_size": true } },
+ *         { "move": { "to": "documents/Icons/{archive}", "on_conflict": "skip-if-identical" } },
+ *         { "cleanup": { "archive": "processed" } }
+ *       ]
+ *     }
+ *   ]
+ *
+ * Each step works on the files the one before it left. Steps:
+ *   select    - files at the top of `from` (default Downloads) meeting the
+ *               `match` conditions of sorting rules; `archives` keeps only
+ *               archives and `latest` the N newest. The tool's `filename`
+ *               argument picks that one file instead.
+ *   extract   - extract each archive next to it, with `include`, `exclude`,
+ *               `extensions` or `profile`, `recursive` and `overwrite` as for
+ *               extract_archive; continues with the extracted files
+ *   filter    - keep files whose path (relative to their folder or archive)
+ *               matches `include`, `exclude`, `extensions` or `profile`
+ *   transform - `optimize_svg` rewrites SVGs in place (options as for the SVG tools)
+ *   rename    - how the next move or copy names files (the `rename` argument)
+ *   move/copy - into the folder `to`, with `preserve_structure`,
+ *               `strip_components` and `on_conflict`; continues with the
+ *               files in their new place
+ *   zip       - zip the files into `to` (default Documents) as `name`
+ *               (default "{archive}.zip"), with `flatten` and
+ *               `compression_level`; continues with the zip
+ *   cleanup   - delete what extract steps left behind and the folders they
+ *               created (unless `extraction_folder` is false), and with
+ *               `archive` move the archives to the processed folder
+ *               ("processed") or the trash ("trash")
+ *
+ * `to` and `name` take the placeholders of rule destinations, filled in per
+ * file; {archive} is the archive the file came from.
+ *
+ * The first step must be a select, and a pipeline can't take the name of a
+ * built-in tool. Definitions are checked when the server starts, so a
+ * typo fails at startup rather than half way through a run.
+ */
+
+// Options each step accepts
+export const STEP_OPTIONS = {
+    select: ["from", "match", "archives", "latest"],
+    extract: ["include", "exclude", "extensions", "profile", "recursive", "max_depth", "overwrite"],
+    filter: ["include", "exclude", "extensions", "profile"],
+    transform: ["optimize_svg"],
+    rename: ["template", "case", "prefix", "suffix", "strip_size"],
+    move: ["to", "preserve_structure", "strip_components", "on_conflict"],
+    copy: ["to", "preserve_structure", "strip_components", "on_conflict"],
+    zip: ["to", "name", "flatten", "compression_level"],
+    cleanup: ["extraction_folder", "archive"],
+};
+
+export const STEP_TYPES = Object.keys(STEP_OPTIONS);
+
+const TOOL_NAME = /^[a-z][a-z0-9_]*$/;
+
+function compileStep(step, index, pipelineName, assetProfiles) {
+    const label = `Pipeline "${pipelineName}" step ${index + 1}`;
+    const keys = step && typeof step === "object" && !Array.isArray(step) ? Object.keys(step) : [];
+    if (keys.length !== 1 || !STEP_TYPES.includes(keys[0])) {
+        throw new Error(`${label} must be an object with one of: ${STEP_TYPES.join(", ")}`);
+    }
+    const [type] = keys;
+    const options = step[type] ?? {};
+    if (typeof options !== "object" || Array.isArray(options)) {
+        throw new Error(`${label} (${type}): options must be an object`);
+    }
+    const unknown = Object.keys(options).filter((key) => !STEP_OPTIONS[type].includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${label} (${type}): unknown option(s) ${unknown.join(", ")} (accepted: ${STEP_OPTIONS[type].join(", ")})`);
+    }
+
+    const compiled = { type, options };
+    try {
+        switch (type) {
+            case "select":
+                if (options.latest != null && !(Number.isInteger(options.latest) && options.latest > 0)) {
+                    throw new Error("latest must be a whole number of 1 or more");
+                }
+                compiled.matches = options.match ? compileMatch(options.match, pipelineName, "Pipeline") : () => true;
+                break;
+            case "extract":
+            case "filter":
+                if (options.profile || options.extensions) {
+                    resolveAssetType(assetProfiles, options);
+                }
+                break;
+            case "transform": {
+                const optimize = options.optimize_svg;
+                if (!optimize || typeof optimize !== "object") {
+                    throw new Error("optimize_svg (an object of SVG optimisation options) is required");
+                }
+                const unknownOptimize = Object.keys(optimize).filter((key) => !Object.hasOwn(DEFAULT_OPTIMIZE_OPTIONS, key));
+                if (unknownOptimize.length > 0) {
+                    throw new Error(`unknown optimize_svg option(s) ${unknownOptimize.join(", ")}`);
+                }
+                break;
+            }
+            case "rename":
+                compileRename(options);
+                break;
+            case "move":
+            case "copy":
+                if (!options.to) {
+                    throw new Error("to (the destination folder) is required");
+                }
+                if (options.on_conflict !== undefined) {
+                    checkConflictStrategy(options.on_conflict);
+                }
+                break;
+            case "cleanup":
+                checkCleanupOptions(options);
+                break;
+            case "zip":
+                if (options.compression_level != null && !(Number.isInteger(options.compression_level) && options.compression_level >= 0 && options.compression_level <= 9)) {
+                    throw new Error("compression_level must be a whole number from 0 to 9");
+                }
+                break;
+        }
+    } catch (error) {
+        throw new Error(`${label} (${type}): ${error.message}`);
+    }
+    return compiled;
+}
+
+function compilePipeline(pipeline, index, assetProfiles, builtInTools) {
+    const name = pipeline?.name;
+    if (typeof name !== "string" || !TOOL_NAME.test(name)) {
+        throw new Error(`Pipeline ${index + 1}: name must be a tool name in lower case letters, digits and underscores (got ${JSON.stringify(name)})`);
+    }
+    if (builtInTools.includes(name)) {
+        throw new Error(`Pipeline "${name}" has the name of a built-in tool; choose another`);
+    }
+    if (!Array.isArray(pipeline.steps) || pipeline.steps.length === 0) {
+        throw new Error(`Pipeline "${name}" has no steps`);
+    }
+    const steps = pipeline.steps.map((step, stepIndex) => compileStep(step, stepIndex, name, assetProfiles));
+    if (steps[0].type !== "select") {
+        throw new Error(`Pipeline "${name}" must start with a select step`);
+    }
+    steps.forEach((step, stepIndex) => {
+        if (step.type === "rename" && !["move", "copy"].includes(steps[stepIndex + 1]?.type)) {
+            throw new Error(`Pipeline "${name}" step ${stepIndex + 1} (rename) must be followed by a move or copy`);
+        }
+    });
+    return {
+        name,
+        description: pipeline.description || `Run the "${name}" pipeline`,
+        steps,
+    };
+}
+
+/**
+ * Validate the pipelines from the config file.
+ *
+ * @param {object[]} pipelines
+ * @param {object} assetProfiles - From loadAssetProfiles(), for `profile` options
+ * @param {string[]} [builtInTools] - Names of the server's own tools, which a pipeline can't take
+ */
+export function compilePipelineTools(pipelines = [], assetProfiles = {}, builtInTools = []) {
+    if (!Array.isArray(pipelines)) {
+        throw new Error("\"pipelines\" must be a list");
+    }
+    const compiled = pipelines.map((pipeline, index) => compilePipeline(pipeline, index, assetProfiles, builtInTools));
+    const seen = new Set();
+    for (const pipeline of compiled) {
+        if (seen.has(pipeline.name)) {
+            throw new Error(`Pipeline "${pipeline.name}" is defined twice`);
+        }
+        seen.add(pipeline.name);
+    }
+    return compiled;
+}
+
+/**
+ * A one-line outline of a pipeline's steps, e.g.
+ * "select -> extract -> filter (svg) -> move to documents/Icons/{archive}".
+ */
+export function describeSteps(pipeline) {
+    return pipeline.steps.map(({ type, options }) => {
+        if ((type === "move" || type === "copy" || type === "zip") && options.to) {
+            return `${type} to ${options.to}`;
+        }
+        if (type === "filter" && options.extensions) {
+            return `filter (${options.extensions.join(", ")})`;
+        }
+        return type;
+    }).join(" -> ");
+}
@@ -0,0 +1,147 @@
+import path from "path";
+
+/**
+ * Planned filesystem operations, for dry runs.
+ *
+ * Mutating tools work out what they would do before doing it. With `dry_run`
+ * they return that plan instead, so a wrong destination can be caught before
+ * anything is touched. Once carried out, the same operations describe what
+ * happened to each file. An operation is:
+ *
+ *   {
+ *     action: "move" | "copy" | "skip" | "extract" | "create_directory" | "create_zip" | "add" | "delete" | "hardlink",
+ *     source: string | null,   // "archive:entry" for extractions; the kept copy for delete and hardlink
+ *     destination: string,     // for skips, the existing file that caused it
+ *     renamed: boolean,        // destination name changed to avoid an existing file
+ *     overwrite: boolean,      // an existing file would be replaced
+ *     reason?: string,         // skips only: "identical" or "existing_newer"
+ *     originalName?: string,   // moves and copies the rename stage gave a new name
+ *   }
+ */
+
+const SKIP_REASONS = {
+    identical: "identical to",
+    existing_newer: "not newer than",
+};
+
+/**
+ * Describe moving or copying `source` to `destination`, noting whether the
+ * name had to change to avoid a clash. `requestedName` is the name asked for
+ * at the destination, when a rename stage changed it.
+ */
+export function transferOperation(action, source, destination, { overwrite = false, requestedName = path.basename(source) } = {}) {
+    return {
+        action,
+        source,
+        destination,
+        renamed: path.basename(destination) !== requestedName,
+        overwrite,
+    };
+}
+
+/**
+ * Describe leaving `source` where it is because of the file at `destination`.
+ */
+export function skipOperation(transfer, source, destination, reason) {
+    return {
+        action: "skip",
+        transfer,
+        source,
+        destination,
+        renamed: false,
+        overwrite: false,
+        reason,
+    };
+}
+
+/**
+ * Describe writing an archive entry (from an extraction result) to disk.
+ */
+export function extractOperation(archiveName, file) {
+    return {
+        action: "extract",
+        source: `${archiveName}:${file.name}`,
+        destination: file.path,
+        renamed: false,
+        overwrite: Boolean(file.overwrite),
+    };
+}
+
+/**
+ * Why a file was skipped, e.g. "identical to /Documents/Icons/home.svg".
+ */
+export function describeSkip(op) {
+    return `${SKIP_REASONS[op.reason]} ${op.destination}`;
+}
+
+function formatOperation(op) {
+    if (op.action === "skip") {
+        return `  skip ${op.source} (${describeSkip(op)})`;
+    }
+    if (op.action === "delete") {
+        return `  delete ${op.destination} (duplicate of ${op.source})`;
+    }
+    if (op.action === "hardlink") {
+        return `  hardlink ${op.destination} -> ${op.source}`;
+    }
+    const flags = [];
+    if (op.renamed) {
+        flags.push("renamed to avoid an existing file");
+    }
+    if (op.overwrite) {
+        flags.push("overwrites an existing file");
+    }
+    const flagText = flags.length > 0 ? ` (${flags.join(", ")})` : "";
+    const target = op.source ? `${op.source} -> ${op.destination}` : op.destination;
+    return `  ${op.action} ${target}${flagText}`;
+}
+
+/**
+ * Render a dry-run plan for tool output.
+ */
+export function formatPlan(operations) {
+    if (operations.length === 0) {
+        return "Dry run: nothing to do. Nothing was changed.";
+    }
+    const renamed = operations.filter((op) => op.renamed).length;
+    const overwritten = operations.filter((op) => op.overwrite).length;
+    const skipped = operations.filter((op) => op.action === "skip").length;
+    const counts = [
+        renamed > 0 ? `${renamed} renamed` : "",
+        overwritten > 0 ? `${overwritten} overwriting` : "",
+        skipped > 0 ? `${skipped} skipped` : "",
+    ].filter(Boolean);
+    const countText = counts.length > 0 ? ` (${counts.join(", ")})` : "";
+    return `Dry run: ${operations.length} planned operation(s)${countText}. Nothing was changed.\n\n${operations.map(formatOperation).join("\n")}`;
+}
+
+/**
+ * The file name a carried-out move or copy ended up with (its path relative to
+ * `destDir` when given), noting renames and overwrites.
+ */
+export function describeTransfer(op, destDir = null) {
+    const name = destDir ? path.relative(destDir, op.destination) : path.basename(op.destination);
+    const notes = [];
+    if (op.originalName) {
+        notes.push(`was ${op.originalName}`);
+    }
+    if (op.renamed) {
+        notes.push("numbered to avoid an existing file");
+    }
+    if (op.overwrite) {
+        notes.push("replaced an existing file");
+    }
+    return notes.length > 0 ? `${name} (${notes.join(", ")})` : name;
+}
+
+/**
+ * List the files a conflict strategy left in place, for tool output.
+ */
+export function formatSkipped(operations) {
+    const skipped = operations.filter((op) => op.action === "skip");
+    if (skipped.length === 0) {
+        return "";
+    }
+    const lines = skipped.map((op) => `  ${path.basename(op.source)} (${describeSkip(op)})`);
+    return `\n\nLeft ${skipped.length} file(s) in place:\n${lines.join("\n")}`;
+}
@@ -0,0 +1,111 @@
+import path from "path";
+import { stripArchiveExtension } from "./archive/index.js";
+
+/**
+ * Renaming files as they are moved or copied.
+ *
+ * Tools take a `rename` argument; each step is optional and they run in this
+ * order on the name without its extension:
+ *
+ *   strip_size  - drop size tokens vendors put in names: "Size=24", "24px",
+ *                 "16x16", "@2x", or a standalone common icon size ("arrow-24")
+ *   template    - build the name from {name} (the result so far), {archive}
+ *                 (the archive the file came from), {index} (position in the
+ *                 batch, zero-padded) and {date} (the file's modification
+ *                 date, yyyy-mm-dd); default "{name}"
+ *   prefix / suffix
+ *   case        - keep, lower, kebab ("Icon=Arrow, Style=Filled" -> "icon-arrow-style-filled")
+ *                 or snake; kebab and snake also lowercase the extension
+ *
+ * A name that comes out empty falls back to the original.
+ */
+
+export const NAME_CASES = ["keep", "lower", "kebab", "snake"];
+
+const COMMON_SIZES = "8|10|12|14|16|18|20|22|24|28|32|36|40|44|48|56|64|72|96|128|192|256|512|1024";
+// Each token must stand on its own: "24px" in "home-24px", but not in "v224px"
+const SIZE_TOKENS = [
+    /(?<![a-z])size\s*[=:_-]?\s*\d+(?:\.\d+)?\s*(?:px)?(?![a-z0-9])/gi,
+    /(?<![a-z0-9])\d+\s*x\s*\d+(?:px)?(?![a-z0-9])/gi,
+    /@\d+(?:\.\d+)?x(?![a-z0-9])/gi,
+    /(?<![a-z0-9])\d+(?:\.\d+)?\s*px(?![a-z0-9])/gi,
+    new RegExp(`(?<![a-z0-9.])(?:${COMMON_SIZES})(?![a-z0-9])`, "gi"),
+];
+
+// Characters no file name may contain on Windows, plus control characters
+const UNSAFE_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+function stripSizeTokens(name) {
+    let result = name;
+    for (const pattern of SIZE_TOKENS) {
+        result = result.replace(pattern, "");
+    }
+    // Tidy the separators the tokens leave behind ("Icon=Arrow, , Style" -> "Icon=Arrow, Style")
+    return result
+        .replace(/\s*,(\s*,)+/g, ",")
+        .replace(/[-_ ]+,/g, ",")
+        .replace(/([-_ ])[-_ ]+/g, "$1")
+        .replace(/^[-_ ,]+|[-_ ,]+$/g, "");
+}
+
+function splitWords(name) {
+    return name
+        .replace(/(\p{Ll}|\p{N})(\p{Lu})/gu, "$1 $2")
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+function applyCase(name, nameCase) {
+    switch (nameCase) {
+        case "lower":
+            return name.toLowerCase();
+        case "kebab":
+            return splitWords(name).join("-").toLowerCase();
+        case "snake":
+            return splitWords(name).join("_").toLowerCase();
+        default:
+            return name;
+    }
+}
+
+function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check a tool's `rename` argument and turn it into a renaming function.
+ *
+ * @param {object} [options] - { template, case, prefix, suffix, strip_size }
+ * @returns {((filename: string, context: { archive?: string, index: number, count: number, date: Date }) => string) | null}
+ *   Null when no renaming was asked for
+ */
+export function compileRename(options) {
+    if (!options || Object.keys(options).length === 0) {
+        return null;
+    }
+    const { template = "{name}", prefix = "", suffix = "", strip_size: stripSize = false } = options;
+    const nameCase = options.case || "keep";
+    if (!NAME_CASES.includes(nameCase)) {
+        throw new Error(`Unknown rename case "${nameCase}" (expected one of: ${NAME_CASES.join(", ")})`);
+    }
+    const unknown = [...template.matchAll(/\{(\w+)\}/g)].map((match) => match[1]).filter((key) => !["name", "archive", "index", "date"].includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown rename placeholder(s): ${unknown.map((key) => `{${key}}`).join(", ")} (available: {name}, {archive}, {index}, {date})`);
+    }
+
+    return (filename, { archive, index, count, date }) => {
+        const ext = path.extname(filename);
+        const original = path.basename(filename, ext);
+        const values = {
+            name: stripSize ? stripSizeTokens(original) : original,
+            archive: archive ? stripArchiveExtension(archive) : "",
+            index: String(index).padStart(String(count).length, "0"),
+            date: formatDate(date),
+        };
+        const built = `${prefix}${template.replace(/\{(\w+)\}/g, (token, key) => values[key])}${suffix}`;
+        const stem = applyCase(built, nameCase).replace(UNSAFE_CHARACTERS, "_").replace(/^[\s.]+|[\s.]+$/g, "");
+        const newExt = nameCase === "kebab" || nameCase === "snake" ? ext.toLowerCase() : ext;
+        return `${stem || original}${newExt}`;
+    };
+}
@@ -0,0 +1,233 @@
+import { watch } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+/**
+ * The configured roots as MCP resources.
+ *
+ * Every file and directory under a root is a resource with a file:// URI.
+ * Reading a directory returns a JSON listing of its entries (each with its
+ * own URI); reading a file returns its contents, as text for text types and
+ * base64 otherwise. Clients can subscribe to any of these URIs and are sent
+ * notifications/resources/updated when it changes. A directory changes when
+ * a file directly inside it is added, removed or rewritten.
+ */
+
+// Larger files are listed but can't be read through the resource API
+export const MAX_RESOURCE_BYTES = 10 * 1024 * 1024;
+
+export const DIRECTORY_MIME_TYPE = "inode/directory";
+
+const MIME_TYPES = {
+    svg: "image/svg+xml",
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    ico: "image/x-icon",
+    pdf: "application/pdf",
+    zip: "application/zip",
+    gz: "application/gzip",
+    tgz: "application/gzip",
+    tar: "application/x-tar",
+    json: "application/json",
+    xml: "application/xml",
+    js: "text/javascript",
+    css: "text/css",
+    html: "text/html",
+    htm: "text/html",
+    csv: "text/csv",
+    md: "text/markdown",
+    txt: "text/plain",
+    ttf: "font/ttf",
+    otf: "font/otf",
+    woff: "font/woff",
+    woff2: "font/woff2",
+};
+
+const TEXT_MIME_TYPES = new Set(["image/svg+xml", "application/json", "application/xml"]);
+
+/**
+ * The MIME type for a file name, from its extension.
+ */
+export function mimeTypeOf(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    return MIME_TYPES[ext] || "application/octet-stream";
+}
+
+/**
+ * The resource URI for an absolute path.
+ */
+export function resourceUri(filePath) {
+    return pathToFileURL(filePath).href;
+}
+
+/**
+ * The absolute path a resource URI refers to. Only file:// URIs are served.
+ *
+ * @throws {Error} If the URI isn't a file:// URI
+ */
+export function resourcePath(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch {
+        throw new Error(`Invalid resource URI: ${uri}`);
+    }
+    if (url.protocol !== "file:") {
+        throw new Error(`Unsupported resource URI: ${uri} (only file:// URIs are served)`);
+    }
+    return path.resolve(fileURLToPath(url));
+}
+
+/**
+ * Resource metadata for a file or directory, as returned by resources/list.
+ */
+export function describeResource(filePath, stats, name = path.basename(filePath)) {
+    return {
+        uri: resourceUri(filePath),
+        name,
+        mimeType: stats.isDirectory() ? DIRECTORY_MIME_TYPE : mimeTypeOf(filePath),
+        ...(stats.isFile() && { size: stats.size }),
+    };
+}
+
+/**
+ * One URI template per root, for clients to build URIs of files under it.
+ */
+export function rootTemplates(roots) {
+    return Object.entries(roots).map(([name, root]) => ({
+        uriTemplate: `${resourceUri(root).replace(/\/$/, "")}/{+path}`,
+        name: `${name}-files`,
+        description: `A file or folder under the ${name} root (${root}); folders read as a JSON listing of their entries`,
+    }));
+}
+
+/**
+ * The contents of a file or directory resource.
+ *
+ * @returns {Promise<Array<{ uri: string, mimeType: string, text?: string, blob?: string }>>}
+ */
+export async function readResource(filePath) {
+    const uri = resourceUri(filePath);
+    const stats = await fs.stat(filePath);
+
+    if (stats.isDirectory()) {
+        const entries = await fs.readdir(filePath, { withFileTypes: true });
+        const listing = [];
+        for (const entry of entries) {
+            if (!entry.isFile() && !entry.isDirectory()) {
+                continue;
+            }
+            const entryPath = path.join(filePath, entry.name);
+            try {
+                const entryStats = await fs.stat(entryPath);
+                listing.push({
+                    ...describeResource(entryPath, entryStats),
+                    type: entry.isDirectory() ? "directory" : "file",
+                    modified: entryStats.mtime.toISOString(),
+                });
+            } catch {
+                // Removed while listing
+            }
+        }
+        listing.sort((a, b) => a.name.localeCompare(b.name));
+        return [{ uri, mimeType: "application/json", text: JSON.stringify({ path: filePath, entries: listing }, null, 2) }];
+    }
+
+    if (stats.size > MAX_RESOURCE_BYTES) {
+        throw new Error(`${filePath} is too large to read as a resource (${stats.size} bytes; the limit is ${MAX_RESOURCE_BYTES})`);
+    }
+    const mimeType = mimeTypeOf(filePath);
+    const data = await fs.readFile(filePath);
+    if (mimeType.startsWith("text/") || TEXT_MIME_TYPES.has(mimeType)) {
+        return [{ uri, mimeType, text: data.toString("utf8") }];
+    }
+    return [{ uri, mimeType, blob: data.toString("base64") }];
+}
+
+/**
+ * Watches the folders behind subscribed resources.
+ *
+ * Each subscription watches a file or a directory; one fs.watch is shared by
+ * everything in the same directory. Bursts of events (a download being
+ * written, an archive being extracted) are collapsed into one callback per
+ * subscription after `delay` milliseconds of quiet. Watchers don't keep the
+ * process alive.
+ */
+export class ResourceWatcher {
+    constructor({ delay = 250 } = {}) {
+        this.delay = delay;
+        // directory -> { watcher, subscriptions: Map<id, { target, onChange, renamesOnly }> }
+        this.directories = new Map();
+        this.timers = new Map();
+    }
+
+    /**
+     * Call `onChange()` when `target` changes. With `renamesOnly`, only files
+     * appearing or disappearing count, not files being written to.
+     *
+     * @throws {Error} If the target doesn't exist
+     */
+    async add(id, target, onChange, { renamesOnly = false } = {}) {
+        this.remove(id);
+        const stats = await fs.stat(target);
+        const directory = stats.isDirectory() ? target : path.dirname(target);
+
+        let watched = this.directories.get(directory);
+        if (!watched) {
+            const watcher = watch(directory, (eventType, filename) => this.dispatch(directory, eventType, filename));
+            watcher.on("error", () => this.dispatch(directory, "rename", null));
+            watcher.unref();
+            watched = { watcher, subscriptions: new Map() };
+            this.directories.set(directory, watched);
+        }
+        watched.subscriptions.set(id, { target, onChange, renamesOnly });
+    }
+
+    remove(id) {
+        for (const [directory, watched] of this.directories) {
+            if (watched.subscriptions.delete(id) && watched.subscriptions.size === 0) {
+                watched.watcher.close();
+                this.directories.delete(directory);
+            }
+        }
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+    }
+
+    close() {
+        for (const watched of this.directories.values()) {
+            watched.watcher.close();
+        }
+        this.directories.clear();
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    dispatch(directory, eventType, filename) {
+        const watched = this.directories.get(directory);
+        if (!watched) {
+            return;
+        }
+        // Some platforms don't say which file changed; assume it could be any
+        const changedPath = filename ? path.join(directory, filename.toString()) : null;
+        for (const [id, subscription] of watched.subscriptions) {
+            const affected = subscription.target === directory || changedPath === null || changedPath === subscription.target;
+            if (!affected || (subscription.renamesOnly && eventType !== "rename")) {
+                continue;
+            }
+            clearTimeout(this.timers.get(id));
+            const timer = setTimeout(() => {
+                this.timers.delete(id);
+                subscription.onChange();
+            }, this.delay);
+            timer.unref();
+            this.timers.set(id, timer);
+        }
+    }
+}
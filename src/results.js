@@ -0,0 +1,416 @@
+import path from "path";
+
+/**
+ * Structured tool results.
+ *
+ * Every tool returns `structuredContent` next to its text, and declares its
+ * shape as an `outputSchema` in the tool list, so clients can read paths,
+ * sizes and counts without parsing prose. Conventions:
+ *
+ *   - paths are absolute; sizes are in bytes
+ *   - times are ISO 8601 strings
+ *   - values that don't apply are left out rather than null
+ *   - `dryRun` is true when nothing was changed
+ *   - `operationId` is set when the call was journaled (see undo_operation)
+ *   - a failed call may carry only `{ error: { type, ... } }`
+ */
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const timestamp = { type: "string", description: "ISO 8601 time" };
+const strings = { type: "array", items: string };
+
+function object(properties, required = Object.keys(properties)) {
+    return { type: "object", properties, required };
+}
+
+function list(items) {
+    return { type: "array", items };
+}
+
+const fileSchema = object({
+    path: string,
+    name: { type: "string", description: "File name, or path relative to the folder searched" },
+    size: integer,
+    modified: timestamp,
+}, ["path", "name", "size", "modified"]);
+
+const operationSchema = object({
+    action: { type: "string", enum: ["move", "copy", "skip", "extract", "create_directory", "create_zip", "add", "delete", "hardlink", "trash"] },
+    source: { type: "string", description: "\"archive:entry\" for extractions; the kept copy for delete and hardlink" },
+    destination: { type: "string", description: "For skips, the existing file that caused the skip" },
+    renamed: { type: "boolean", description: "The name was numbered to avoid an existing file" },
+    overwrite: { type: "boolean", description: "An existing file is replaced" },
+    reason: { type: "string", enum: ["identical", "existing_newer"] },
+    originalName: { type: "string", description: "The name before the rename stage changed it" },
+}, ["action", "destination", "renamed", "overwrite"]);
+
+const cleanupSchema = object({
+    archive: string,
+    removedFiles: { ...strings, description: "Extracted files left behind that were deleted" },
+    removedFolders: { ...strings, description: "Folders the extraction created, removed once empty" },
+    archiveAction: { type: "string", enum: ["keep", "processed", "trash"] },
+    archiveDestination: { type: "string", description: "Where the archive went, when known" },
+}, ["archive", "removedFiles", "removedFolders", "archiveAction"]);
+
+const optimizedSchema = list(object({
+    path: string,
+    before: integer,
+    after: integer,
+    changes: strings,
+    error: string,
+}, ["path", "before"]));
+
+const rejectedSchema = list(object({
+    name: string,
+    reason: string,
+    message: string,
+    archive: { type: "string", description: "The nested archive the entry was in" },
+    path: { type: "string", description: "For already_exists and path_conflict, what is already there" },
+}, ["name", "reason", "message"]));
+
+const extractedSchema = list(object({
+    name: string,
+    path: string,
+    size: integer,
+    overwrite: boolean,
+    archive: { type: "string", description: "The nested archive the file came from" },
+}, ["name", "path", "overwrite"]));
+
+const extractionProperties = {
+    destination: { type: "string", description: "Folder the entries were (or would be) extracted to" },
+    format: string,
+    totalEntries: integer,
+    filteredOut: { type: "integer", description: "Entries left out by include/exclude patterns" },
+    extracted: extractedSchema,
+    rejected: rejectedSchema,
+    nested: list(object({ archive: string, format: string, extractPath: string, entries: integer })),
+    notExpanded: list(object({ archive: string, path: string })),
+};
+
+/**
+ * A tool's output schema. `operationId` and `error` are allowed on every
+ * result; a result carries either the `required` properties or an error.
+ */
+function resultSchema(properties, required = []) {
+    const schema = {
+        type: "object",
+        properties: {
+            ...properties,
+            operationId: { type: "integer", description: "Journal operation id, when the call changed anything" },
+            error: { type: "object", description: "Machine-readable details of a failure", properties: { type: string }, required: ["type"] },
+        },
+    };
+    if (required.length > 0) {
+        schema.anyOf = [{ required }, { required: ["error"] }];
+    }
+    return schema;
+}
+
+const transferProperties = (listName) => ({
+    dryRun: boolean,
+    source: { type: "string", description: "Folder the files were taken from" },
+    destination: { type: "string", description: "Folder the files went to" },
+    [listName]: { ...list(operationSchema), description: `Files ${listName} (or, in a dry run, to be)` },
+    renamed: { ...list(operationSchema), description: `The ${listName} files whose name changed` },
+    skipped: { ...list(operationSchema), description: "Files left in place by the conflict strategy" },
+    counts: object({ [listName]: integer, renamed: integer, overwritten: integer, skipped: integer }),
+    optimized: { ...optimizedSchema, description: "SVG optimisation results, when optimize_svg was given" },
+});
+
+export const OUTPUT_SCHEMAS = {
+    extraction: resultSchema({
+        archive: string,
+        dryRun: boolean,
+        ...extractionProperties,
+    }, ["archive", "destination", "dryRun", "extracted", "rejected"]),
+
+    archiveEntries: resultSchema({
+        archive: string,
+        format: string,
+        fileCount: integer,
+        folderCount: integer,
+        totalSize: { type: "integer", description: "Uncompressed size of the matching files" },
+        encryptedCount: integer,
+        total: { type: "integer", description: "Matching entries, before the limit" },
+        entries: list(object({
+            name: string,
+            type: { type: "string", description: "file, directory, symlink, ..." },
+            size: integer,
+            compressedSize: integer,
+            modified: timestamp,
+            crc32: { type: "string", description: "8 hex digits" },
+            encrypted: boolean,
+        }, ["name", "type", "size", "encrypted"])),
+    }, ["archive", "format", "total", "entries"]),
+
+    archives: resultSchema({
+        directory: string,
+        total: { type: "integer", description: "Archives found, before the limit" },
+        archives: list(object({
+            name: string,
+            path: string,
+            format: string,
+            supported: boolean,
+            size: integer,
+            modified: timestamp,
+        })),
+    }, ["directory", "total", "archives"]),
+
+    files: resultSchema({
+        directory: string,
+        total: { type: "integer", description: "Files found, before the limit" },
+        files: list(fileSchema),
+    }, ["directory", "total", "files"]),
+
+    svgInspection: resultSchema({
+        location: string,
+        total: integer,
+        counts: object({ malformed: integer, unsafe: integer, withRasterImages: integer, withWarnings: integer }),
+        files: list(object({
+            path: string,
+            name: string,
+            skipped: { type: "string", description: "Why the file wasn't inspected" },
+            malformed: boolean,
+            error: string,
+            unsafe: boolean,
+            viewBox: list(number),
+            width: string,
+            height: string,
+            elementCount: integer,
+            elements: { type: "object", additionalProperties: integer },
+            embeddedImages: integer,
+            linkedImages: integer,
+            scripts: strings,
+            externalReferences: strings,
+            fills: strings,
+            strokes: strings,
+            warnings: strings,
+        }, ["path", "name"])),
+    }, ["location", "total", "counts", "files"]),
+
+    directory: resultSchema({
+        path: string,
+        dryRun: boolean,
+        created: { type: "boolean", description: "False when the directory already existed" },
+    }, ["path", "created"]),
+
+    moves: resultSchema(transferProperties("moved"), ["dryRun", "moved", "skipped", "counts"]),
+
+    copies: resultSchema(transferProperties("copied"), ["dryRun", "copied", "skipped", "counts"]),
+
+    unzipAndMove: resultSchema({
+        ...transferProperties("moved"),
+        archive: string,
+        extraction: object(extractionProperties, ["destination", "extracted", "rejected"]),
+        cleanup: { ...cleanupSchema, description: "What the cleanup option did" },
+    }, ["dryRun", "archive", "extraction", "moved", "skipped", "counts"]),
+
+    zip: resultSchema({
+        path: string,
+        dryRun: boolean,
+        entries: { type: "integer", description: "Files added to the zip" },
+        files: list(object({ source: string, name: { type: "string", description: "Entry name in the zip" } })),
+        originalSize: integer,
+        size: integer,
+        structure: { type: "string", enum: ["preserved", "flattened"] },
+        encryption: string,
+    }, ["path", "dryRun", "entries", "files"]),
+
+    sort: resultSchema({
+        dryRun: boolean,
+        total: { type: "integer", description: "Files considered in Downloads" },
+        moved: list({ ...operationSchema, properties: { ...operationSchema.properties, rule: string, archive: string } }),
+        skipped: list({ ...operationSchema, properties: { ...operationSchema.properties, rule: string, archive: string } }),
+        unmatched: list({ ...fileSchema, properties: { ...fileSchema.properties, archive: string } }),
+        counts: object({ moved: integer, renamed: integer, overwritten: integer, skipped: integer, unmatched: integer }),
+    }, ["dryRun", "total", "moved", "skipped", "unmatched", "counts"]),
+
+    duplicates: resultSchema({
+        locations: strings,
+        scanned: integer,
+        action: { type: "string", enum: ["report", "delete", "hardlink"] },
+        dryRun: boolean,
+        wasted: { type: "integer", description: "Bytes freed by keeping one copy of each set" },
+        total: { type: "integer", description: "Duplicate sets found, before the limit" },
+        groups: list(object({
+            size: integer,
+            hash: { type: "string", description: "SHA-256 of the contents" },
+            wasted: integer,
+            kept: string,
+            extras: strings,
+        })),
+        operations: list(operationSchema),
+        processed: integer,
+        freed: integer,
+        failed: list(object({ path: string, message: string })),
+    }, ["locations", "scanned", "action", "dryRun", "wasted", "total", "groups"]),
+
+    leftovers: resultSchema({
+        directory: string,
+        action: { type: "string", enum: ["report", "delete", "trash"] },
+        dryRun: boolean,
+        total: integer,
+        folders: list(object({
+            folder: string,
+            archive: { type: "string", description: "The archive the folder was extracted from" },
+            format: string,
+            files: integer,
+            size: integer,
+            archived: { type: "integer", description: "Files still identical to their archive entry" },
+            modified: { type: "integer", description: "Files changed since they were extracted" },
+            extra: { type: "integer", description: "Files that aren't in the archive" },
+            deleted: strings,
+            removed: { type: "boolean", description: "The folder is (or would be) gone" },
+            trashedTo: { type: "string", description: "Where in the trash the folder went, when known" },
+            freed: integer,
+        }, ["folder", "archive", "files", "size", "archived", "modified", "extra"])),
+        freed: { type: "integer", description: "Bytes freed (or, in a dry run, that would be)" },
+    }, ["directory", "action", "dryRun", "total", "folders"]),
+
+    operations: resultSchema({
+        total: integer,
+        operations: list(object({
+            id: integer,
+            tool: string,
+            startedAt: timestamp,
+            actions: { type: "object", additionalProperties: integer, description: "Number of actions of each type" },
+            actionCount: integer,
+            undoneCount: integer,
+            error: string,
+        }, ["id", "tool", "startedAt", "actions", "actionCount", "undoneCount"])),
+        operation: object({
+            id: integer,
+            tool: string,
+            startedAt: timestamp,
+            error: string,
+            actions: list(object({
+                type: string,
+                source: string,
+                destination: string,
+                path: string,
+                size: integer,
+                undone: boolean,
+            }, ["type", "undone"])),
+        }, ["id", "tool", "startedAt", "actions"]),
+    }),
+
+    pipeline: resultSchema({
+        pipeline: string,
+        dryRun: boolean,
+        steps: list(object({
+            step: { type: "string", description: "select, extract, filter, transform, rename, move, copy, zip or cleanup" },
+            description: string,
+            files: { type: "integer", description: "Files passed on to the next step" },
+        })),
+        files: { ...strings, description: "Where the files are after the last step" },
+        operations: { ...list(operationSchema), description: "Extractions, moves, copies and zips, in order (or, in a dry run, planned)" },
+        optimized: { ...optimizedSchema, description: "SVG optimisation results of transform steps" },
+        cleanup: { ...list(cleanupSchema), description: "What cleanup steps did, per archive" },
+    }, ["pipeline", "dryRun", "steps", "files"]),
+
+    watchHistory: resultSchema({
+        watching: { type: "boolean", description: "Whether the Downloads watcher is running" },
+        directory: string,
+        pipelines: strings,
+        total: { type: "integer", description: "Matching entries, before the limit" },
+        entries: list(object({
+            id: integer,
+            at: timestamp,
+            file: string,
+            size: integer,
+            status: { type: "string", enum: ["done", "failed", "unmatched"] },
+            pipeline: string,
+            tool: string,
+            args: { type: "object", description: "The arguments the tool was run with" },
+            operationId: { type: "integer", description: "Journal operation id, for undo_operation" },
+            summary: { type: "string", description: "First line of the tool's output" },
+            error: string,
+        }, ["id", "at", "file", "status"])),
+    }, ["watching", "directory", "pipelines", "total", "entries"]),
+
+    undo: resultSchema({
+        id: { type: "integer", description: "The operation undone" },
+        tool: string,
+        dryRun: boolean,
+        steps: strings,
+        skipped: list(object({ reason: string, message: string })),
+    }, ["id", "tool", "dryRun", "steps", "skipped"]),
+};
+
+/**
+ * Drop the properties that don't apply (null or undefined).
+ */
+export function compact(value) {
+    return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== null && v !== undefined));
+}
+
+/**
+ * A file found on disk, from its stats (or anything with `size` and
+ * `mtimeMs`). `name` is relative to `baseDir` when given.
+ */
+export function fileResult(filePath, { size, mtimeMs }, baseDir = null) {
+    return {
+        path: filePath,
+        name: baseDir ? path.relative(baseDir, filePath) : path.basename(filePath),
+        size,
+        modified: new Date(mtimeMs).toISOString(),
+    };
+}
+
+/**
+ * A planned or carried-out operation (see plan.js), without internal fields.
+ */
+export function operationResult(op) {
+    return compact({
+        action: op.action,
+        source: op.source,
+        destination: op.destination,
+        renamed: op.renamed,
+        overwrite: op.overwrite,
+        reason: op.reason,
+        originalName: op.originalName,
+    });
+}
+
+/**
+ * The outcome of a batch of moves or copies. `listName` is "moved" or "copied".
+ */
+export function transferResult(operations, { listName, dryRun, source, destination, optimized }) {
+    const transferred = operations.filter((op) => op.action !== "skip");
+    const renamed = transferred.filter((op) => op.renamed || op.originalName);
+    const skipped = operations.filter((op) => op.action === "skip");
+    return compact({
+        dryRun,
+        source,
+        destination,
+        [listName]: transferred.map(operationResult),
+        renamed: renamed.map(operationResult),
+        skipped: skipped.map(operationResult),
+        counts: {
+            [listName]: transferred.length,
+            renamed: renamed.length,
+            overwritten: transferred.filter((op) => op.overwrite).length,
+            skipped: skipped.length,
+        },
+        optimized: optimized?.map(compact),
+    });
+}
+
+/**
+ * What an extraction wrote (or, in a dry run, would write).
+ */
+export function extractionResult(result) {
+    return compact({
+        destination: result.extractPath,
+        format: result.format,
+        totalEntries: result.totalEntries,
+        filteredOut: result.filteredOut,
+        extracted: result.extracted.map((file) => compact({ name: file.name, path: file.path, size: file.size, overwrite: Boolean(file.overwrite), archive: file.archive })),
+        rejected: result.rejected.map(compact),
+        nested: result.nested,
+        notExpanded: result.notExpanded,
+    });
+}
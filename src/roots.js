@@ -0,0 +1,63 @@
+import path from "path";
+
+/**
+ * Named root resolution.
+ *
+ * Tool arguments that name a location accept:
+ *   - a root name ("downloads", "documents", "assets", ...)
+ *   - a root name followed by a subpath ("documents/Projects/Icons")
+ *   - a path relative to the default root ("Icons")
+ *   - an absolute path
+ */
+
+/**
+ * Split a location like "documents/Projects" into its root name and remaining subpath.
+ * Returns null when the first segment is not a configured root.
+ */
+export function splitRootLocation(roots, location) {
+    const [first, ...rest] = location.split(/[\\/]+/);
+    const rootName = first.toLowerCase();
+    if (!Object.hasOwn(roots, rootName)) {
+        return null;
+    }
+    return { rootName, subpath: rest.join(path.sep) };
+}
+
+/**
+ * Work out which root a location argument refers to.
+ *
+ * Returns the absolute path plus the root it was resolved against. `rootName` is
+ * null for absolute paths, which may point into any configured root.
+ *
+ * @param {Record<string, string>} roots - Configured roots (lowercased name -> absolute path)
+ * @param {string | undefined} location - Location as supplied by the tool caller
+ * @param {string} defaultRoot - Root used when the location is empty or relative
+ */
+export function locate(roots, location, defaultRoot) {
+    if (!Object.hasOwn(roots, defaultRoot)) {
+        throw new Error(`Root "${defaultRoot}" is not configured`);
+    }
+
+    const trimmed = (location || "").trim();
+    if (!trimmed) {
+        return { rootName: defaultRoot, path: roots[defaultRoot] };
+    }
+
+    const named = splitRootLocation(roots, trimmed);
+    if (named) {
+        return { rootName: named.rootName, path: path.join(roots[named.rootName], named.subpath) };
+    }
+
+    if (path.isAbsolute(trimmed)) {
+        return { rootName: null, path: path.resolve(trimmed) };
+    }
+
+    return { rootName: defaultRoot, path: path.join(roots[defaultRoot], trimmed) };
+}
+
+/**
+ * Describe the configured roots for tool descriptions and error messages.
+ */
+export function describeRoots(roots) {
+    return Object.keys(roots).map((name) => `'${name}'`).join(", ");
+}
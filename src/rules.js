@@ -0,0 +1,164 @@
+import path from "path";
+import { stripArchiveExtension } from "./archive/index.js";
+import { extensionOf } from "./format.js";
+
+/**
+ * Sorting rules for Downloads.
+ *
+ * Rules live under "rules" in the config file and are tried in order; the
+ * first one that matches a file decides where it goes. Every condition given
+ * in `match` must hold:
+ *
+ *   "rules": [
+ *     {
+ *       "name": "Invoices",
+ *       "match": { "extensions": ["pdf"], "filename": "invoice|receipt" },
+ *       "destination": "documents/Invoices/{yyyy}/{MM}"
+ *     },
+ *     {
+ *       "name": "Icon packs",
+ *       "match": { "archive": "icons?", "extensions": ["svg"] },
+ *       "destination": "assets/Icons/{archive}"
+ *     }
+ *   ]
+ *
+ * Conditions:
+ *   extensions            - file extension is one of these
+ *   filename              - regular expression tested against the file name (case-insensitive)
+ *   minSize / maxSize     - bytes, or a string such as "500 KB" or "2 MB"
+ *   olderThanDays / newerThanDays - age by modification time
+ *   archive               - regular expression tested against the name of the archive the
+ *                           file was extracted from (only files in an extraction folder match)
+ *
+ * Destination templates are resolved like any other location argument and may
+ * use {yyyy}, {yy}, {MM} and {dd} (the file's modification date), {name},
+ * {ext} and {archive}.
+ */
+
+const SIZE_UNITS = { b: 1, bytes: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a size given as bytes or with a unit ("1.5 MB").
+ */
+export function parseSize(value) {
+    if (typeof value === "number") {
+        return value;
+    }
+    const match = /^\s*([\d.]+)\s*([a-z]*)\s*$/i.exec(String(value));
+    const unit = SIZE_UNITS[(match?.[2] || "b").toLowerCase()];
+    if (!match || !unit || Number.isNaN(Number(match[1]))) {
+        throw new Error(`Invalid size "${value}" (expected bytes or a value like "2 MB")`);
+    }
+    return Number(match[1]) * unit;
+}
+
+function compilePattern(pattern, name, kind, field) {
+    try {
+        return new RegExp(pattern, "i");
+    } catch (error) {
+        throw new Error(`${kind} "${name}": invalid ${field} pattern: ${error.message}`);
+    }
+}
+
+/**
+ * Turn `match` conditions into a test for files. `name` and `kind` ("Rule",
+ * "Pipeline") label errors.
+ *
+ * @returns {(file: { name: string, size: number, mtime: Date, archive: string | null }, now?: number) => boolean}
+ */
+export function compileMatch(match, name, kind = "Rule") {
+    const checks = [];
+
+    if (match.extensions) {
+        const extensions = match.extensions.map((ext) => String(ext).toLowerCase().replace(/^\./, ""));
+        checks.push((file) => extensions.includes(extensionOf(file.name)));
+    }
+    if (match.filename) {
+        const pattern = compilePattern(match.filename, name, kind, "filename");
+        checks.push((file) => pattern.test(file.name));
+    }
+    if (match.minSize != null) {
+        const min = parseSize(match.minSize);
+        checks.push((file) => file.size >= min);
+    }
+    if (match.maxSize != null) {
+        const max = parseSize(match.maxSize);
+        checks.push((file) => file.size <= max);
+    }
+    if (match.olderThanDays != null) {
+        checks.push((file, now) => now - file.mtime.getTime() > match.olderThanDays * DAY_MS);
+    }
+    if (match.newerThanDays != null) {
+        checks.push((file, now) => now - file.mtime.getTime() <= match.newerThanDays * DAY_MS);
+    }
+    if (match.archive) {
+        const pattern = compilePattern(match.archive, name, kind, "archive");
+        checks.push((file) => Boolean(file.archive) && pattern.test(file.archive));
+    }
+
+    if (checks.length === 0) {
+        throw new Error(`${kind} "${name}" has no match conditions`);
+    }
+
+    return (file, now = Date.now()) => checks.every((check) => check(file, now));
+}
+
+function compileRule(rule, index) {
+    const name = rule.name || `rule ${index + 1}`;
+    if (!rule.destination) {
+        throw new Error(`Rule "${name}" has no destination`);
+    }
+
+    return {
+        name,
+        destination: rule.destination,
+        matches: compileMatch(rule.match || {}, name),
+    };
+}
+
+/**
+ * Validate rules from the config file, failing at startup on a bad rule rather
+ * than on first use.
+ */
+export function compileRules(rules = []) {
+    if (!Array.isArray(rules)) {
+        throw new Error("\"rules\" must be a list");
+    }
+    return rules.map(compileRule);
+}
+
+/**
+ * Find the first rule matching a file.
+ *
+ * @param {Array<object>} rules - From compileRules()
+ * @param {{ name: string, size: number, mtime: Date, archive: string | null }} file
+ */
+export function findMatchingRule(rules, file, now = Date.now()) {
+    return rules.find((rule) => rule.matches(file, now)) || null;
+}
+
+/**
+ * Fill in a destination template for a file. Substituted values never add
+ * path separators, so a file name can't steer the destination elsewhere.
+ */
+export function renderDestination(template, file) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const date = file.mtime;
+    const ext = path.extname(file.name);
+    const values = {
+        yyyy: String(date.getFullYear()),
+        yy: String(date.getFullYear()).slice(-2),
+        MM: pad(date.getMonth() + 1),
+        dd: pad(date.getDate()),
+        name: path.basename(file.name, ext),
+        ext: ext.slice(1).toLowerCase(),
+        archive: file.archive ? stripArchiveExtension(file.archive) : "",
+    };
+    return template.replace(/\{(\w+)\}/g, (token, key) => {
+        if (!Object.hasOwn(values, key)) {
+            return token;
+        }
+        return values[key].replace(/[\\/]+/g, "_").replace(/^\.+$/, "_");
+    });
+}
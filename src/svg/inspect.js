@@ -0,0 +1,200 @@
+import { decodeEntities, getAttribute, localName, parseSvg, rootElement, walkElements } from "./parser.js";
+import { unsafeAttributes, unsafeElement, unsafeStylesheet } from "./safety.js";
+
+/**
+ * SVG inspection: what an icon contains and whether it is safe to put in a
+ * design library.
+ *
+ * A file is
+ *   malformed - not well-formed XML, or the root element isn't <svg>
+ *   unsafe    - it runs scripts (<script>, on* handlers, javascript: links,
+ *               animations that set them) or loads anything from outside the
+ *               file; safety.js has the details, shared with the optimiser
+ */
+
+// Larger files aren't icons; they're skipped rather than parsed
+export const MAX_INSPECT_BYTES = 5 * 1024 * 1024;
+
+const RASTER_DATA_URI = /^data:image\/(png|jpe?g|gif|webp|bmp|avif|tiff)/i;
+const RASTER_EXTENSION = /\.(png|jpe?g|gif|webp|bmp|avif|tiff?)(?:[?#]|$)/i;
+const IGNORED_PAINTS = new Set(["none", "inherit", "unset", "initial"]);
+
+/**
+ * fill and stroke values declared in a style attribute or stylesheet.
+ */
+function cssPaints(css) {
+    return [...css.matchAll(/(?:^|[;{\s])(fill|stroke)\s*:\s*([^;}!]+)/gi)].map((match) => ({ property: match[1].toLowerCase(), value: match[2].trim() }));
+}
+
+function normalizePaint(value) {
+    const trimmed = value.trim();
+    return trimmed.toLowerCase() === "currentcolor" ? "currentColor" : trimmed.toLowerCase();
+}
+
+function parseViewBox(value) {
+    if (value === undefined) {
+        return null;
+    }
+    const numbers = value.trim().split(/[\s,]+/).map(Number);
+    return numbers.length === 4 && numbers.every(Number.isFinite) ? numbers : undefined;
+}
+
+/**
+ * Inspect SVG source.
+ *
+ * @param {string} source
+ * @returns {{
+ *   malformed: boolean, error: string | null,
+ *   viewBox: number[] | null, width: string | null, height: string | null,
+ *   elementCount: number, elements: Record<string, number>,
+ *   embeddedImages: number, linkedImages: number,
+ *   scripts: string[], externalReferences: string[],
+ *   fills: string[], strokes: string[],
+ *   warnings: string[], unsafe: boolean,
+ * }}
+ */
+export function inspectSvg(source) {
+    const report = {
+        malformed: false,
+        error: null,
+        viewBox: null,
+        width: null,
+        height: null,
+        elementCount: 0,
+        elements: {},
+        embeddedImages: 0,
+        linkedImages: 0,
+        scripts: [],
+        externalReferences: [],
+        fills: [],
+        strokes: [],
+        warnings: [],
+        unsafe: false,
+    };
+
+    let document;
+    try {
+        document = parseSvg(source);
+    } catch (error) {
+        return { ...report, malformed: true, error: error.message };
+    }
+
+    const root = rootElement(document);
+    if (localName(root.name) !== "svg") {
+        return { ...report, malformed: true, error: `Root element is <${root.name}>, not <svg>` };
+    }
+
+    if (document.children.some((node) => node.type === "doctype" && /<!ENTITY/i.test(node.value))) {
+        report.warnings.push("declares entities in its DOCTYPE");
+    }
+    if (getAttribute(root, "xmlns") === undefined && !root.attributes.some((attr) => attr.name.startsWith("xmlns:"))) {
+        report.warnings.push("has no xmlns, so browsers won't render it as a standalone file");
+    }
+
+    const viewBox = parseViewBox(getAttribute(root, "viewBox"));
+    if (viewBox === undefined) {
+        report.warnings.push(`has an invalid viewBox "${getAttribute(root, "viewBox")}"`);
+    }
+    report.viewBox = viewBox || null;
+    report.width = getAttribute(root, "width") ?? null;
+    report.height = getAttribute(root, "height") ?? null;
+    if (!report.viewBox && (report.width === null || report.height === null)) {
+        report.warnings.push("has no viewBox and no width/height, so it won't scale predictably");
+    }
+
+    const fills = new Set();
+    const strokes = new Set();
+    const external = new Set();
+    const addPaint = (property, value) => {
+        const paint = normalizePaint(value);
+        if (!IGNORED_PAINTS.has(paint)) {
+            (property === "fill" ? fills : strokes).add(paint);
+        }
+    };
+    const addFinding = ({ kind, description }) => {
+        if (kind === "script") {
+            report.scripts.push(description);
+        } else {
+            external.add(description);
+        }
+    };
+
+    for (const element of walkElements(root)) {
+        const name = localName(element.name);
+        report.elementCount++;
+        report.elements[name] = (report.elements[name] || 0) + 1;
+
+        const unsafe = unsafeElement(element);
+        if (unsafe) {
+            report.scripts.push(unsafe);
+        }
+        if (name.toLowerCase() === "foreignobject") {
+            report.warnings.push("contains <foreignObject> (embedded HTML)");
+        }
+        if (name.toLowerCase() === "style") {
+            const css = element.children.map((child) => (child.type === "text" ? decodeEntities(child.value) : child.value || "")).join("");
+            cssPaints(css).forEach(({ property, value }) => addPaint(property, value));
+            unsafeStylesheet(element, css).forEach(addFinding);
+        }
+
+        for (const attr of element.attributes) {
+            const attrName = attr.name.toLowerCase();
+            const value = decodeEntities(attr.value);
+            if (attrName === "href" || attrName === "xlink:href") {
+                if ((name === "image" || name === "feImage") && RASTER_DATA_URI.test(value.trim())) {
+                    report.embeddedImages++;
+                } else if ((name === "image" || name === "feImage") && RASTER_EXTENSION.test(value)) {
+                    report.linkedImages++;
+                }
+            } else if (attrName === "fill" || attrName === "stroke") {
+                addPaint(attrName, value);
+            } else if (attrName === "style") {
+                cssPaints(value).forEach(({ property, value: paint }) => addPaint(property, paint));
+            }
+        }
+        unsafeAttributes(element).forEach(addFinding);
+    }
+
+    report.fills = [...fills];
+    report.strokes = [...strokes];
+    report.externalReferences = [...external];
+    report.unsafe = report.scripts.length > 0 || report.externalReferences.length > 0;
+    return report;
+}
+
+/**
+ * Lines describing an inspection report, for tool output.
+ */
+export function describeInspection(report) {
+    if (report.malformed) {
+        return [`MALFORMED: ${report.error}`];
+    }
+    const lines = [];
+    const size = [report.width, report.height].every((value) => value !== null) ? `, ${report.width} × ${report.height}` : "";
+    lines.push(`viewBox ${report.viewBox ? report.viewBox.join(" ") : "(none)"}${size}`);
+    const counts = Object.entries(report.elements)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([name, count]) => `${name} ${count}`)
+        .join(", ");
+    lines.push(`${report.elementCount} element(s): ${counts}`);
+    if (report.fills.length > 0 || report.strokes.length > 0) {
+        const paints = [
+            report.fills.length > 0 ? `fill ${report.fills.join(", ")}` : "",
+            report.strokes.length > 0 ? `stroke ${report.strokes.join(", ")}` : "",
+        ].filter(Boolean);
+        lines.push(`colors: ${paints.join("; ")}`);
+    }
+    if (report.embeddedImages > 0 || report.linkedImages > 0) {
+        lines.push(`raster images: ${report.embeddedImages} embedded, ${report.linkedImages} linked`);
+    }
+    if (report.scripts.length > 0) {
+        lines.push(`UNSAFE scripts: ${report.scripts.join(", ")}`);
+    }
+    if (report.externalReferences.length > 0) {
+        lines.push(`UNSAFE external references: ${report.externalReferences.join(", ")}`);
+    }
+    for (const warning of report.warnings) {
+        lines.push(`warning: ${warning}`);
+    }
+    return lines;
+}
@@ -0,0 +1,288 @@
+import path from "path";
+import { formatSize } from "../format.js";
+import { localName, parseSvg, rootElement, serializeSvg, walkElements } from "./parser.js";
+import { referenceRisk, unsafeAttributes, unsafeElement } from "./safety.js";
+
+/**
+ * Cleaning up SVG files on import, locally and without external tools.
+ *
+ * Steps (each can be turned off):
+ *   strip_metadata - comments, the XML declaration and DOCTYPE, <metadata>,
+ *                    editor namespaces (Inkscape, Sodipodi, Sketch, ...) and
+ *                    whitespace between elements
+ *   sanitize       - <script>, <foreignObject>, on* event handlers, javascript:
+ *                    links, animations that set links or handlers, and
+ *                    references to anything outside the file (see safety.js)
+ *   precision      - round coordinates and lengths to this many decimals
+ *   current_color  - replace fill and stroke colors with currentColor so the
+ *                    icon takes the color of the surrounding text (off by default)
+ *
+ * <title> and <desc> are kept; they are what screen readers announce.
+ */
+
+export const DEFAULT_OPTIMIZE_OPTIONS = {
+    strip_metadata: true,
+    sanitize: true,
+    precision: 3,
+    current_color: false,
+};
+
+const EDITOR_PREFIXES = ["inkscape", "sodipodi", "sketch", "serif", "figma", "illustrator", "i", "x", "graph", "a", "dc", "cc", "rdf"];
+const METADATA_ELEMENTS = new Set(["metadata"]);
+// Elements whose text content matters
+const TEXT_ELEMENTS = new Set(["text", "tspan", "textPath", "style", "title", "desc"]);
+// Attributes holding numbers that are safe to round
+const NUMERIC_ATTRIBUTES = new Set([
+    "d", "points", "transform", "viewBox", "x", "y", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry",
+    "width", "height", "stroke-width", "fx", "fy", "dx", "dy",
+]);
+const PAINT_PROPERTIES = new Set(["fill", "stroke"]);
+const KEEP_PAINTS = new Set(["none", "currentcolor", "inherit", "transparent", "unset", "initial"]);
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+function isEditorName(name) {
+    const prefix = name.includes(":") ? name.slice(0, name.indexOf(":")) : null;
+    if (prefix === "xmlns") {
+        return EDITOR_PREFIXES.includes(name.slice(6));
+    }
+    return prefix !== null && EDITOR_PREFIXES.includes(prefix);
+}
+
+function roundNumber(token, precision) {
+    const rounded = Number(Number(token).toFixed(precision));
+    return Object.is(rounded, -0) ? "0" : String(rounded);
+}
+
+/**
+ * Round every number in an attribute value. A number written straight after
+ * another ("1.04.5" is 1.04 and .5) gets a space, so rounding can't merge them.
+ */
+function roundNumbers(value, precision) {
+    return value.replace(NUMBER, (match, offset, whole) => {
+        const rounded = roundNumber(match, precision);
+        return offset > 0 && /[\d.]/.test(whole[offset - 1]) ? ` ${rounded}` : rounded;
+    });
+}
+
+/**
+ * Round path data. Arc flags may be written without separators ("a1 1 0 011 1"),
+ * so arc parameters are read one by one; anything unexpected leaves the path as it was.
+ */
+function roundPathData(d, precision) {
+    const number = new RegExp(NUMBER.source, "iy");
+    let output = "";
+    let command = "";
+    let param = 0;
+    let pos = 0;
+    while (pos < d.length) {
+        const ch = d[pos];
+        if (/[MLHVCSQTAZ]/i.test(ch)) {
+            command = ch.toLowerCase();
+            param = 0;
+            output += ch;
+            pos++;
+        } else if (/[\s,]/.test(ch)) {
+            output += ch;
+            pos++;
+        } else if (command === "a" && (param % 7 === 3 || param % 7 === 4)) {
+            if (ch !== "0" && ch !== "1") {
+                return d;
+            }
+            output += /[\d.]$/.test(output) ? ` ${ch}` : ch;
+            param++;
+            pos++;
+        } else {
+            number.lastIndex = pos;
+            const match = number.exec(d);
+            if (!match) {
+                return d;
+            }
+            const rounded = roundNumber(match[0], precision);
+            output += /[\d.]$/.test(output) ? ` ${rounded}` : rounded;
+            param++;
+            pos += match[0].length;
+        }
+    }
+    return output;
+}
+
+function isColor(value) {
+    const paint = value.trim().toLowerCase();
+    return paint !== "" && !KEEP_PAINTS.has(paint) && !paint.startsWith("url(");
+}
+
+/**
+ * Remove the nodes `drop` matches from a subtree, counting them by `label`.
+ */
+function prune(node, drop, counts) {
+    if (!node.children) {
+        return;
+    }
+    node.children = node.children.filter((child) => {
+        const label = drop(child, node);
+        if (label) {
+            counts[label] = (counts[label] || 0) + 1;
+            return false;
+        }
+        return true;
+    });
+    node.children.forEach((child) => prune(child, drop, counts));
+}
+
+/**
+ * Optimise and sanitise SVG source.
+ *
+ * @param {string} source
+ * @param {object} [options] - See DEFAULT_OPTIMIZE_OPTIONS
+ * @returns {{ output: string, changes: string[] }} `changes` describes what was done
+ * @throws {SvgSyntaxError} If the file isn't well-formed
+ */
+export function optimizeSvg(source, options = {}) {
+    const settings = { ...DEFAULT_OPTIMIZE_OPTIONS, ...options };
+    const document = parseSvg(source);
+    const root = rootElement(document);
+    if (localName(root.name) !== "svg") {
+        throw new Error(`Root element is <${root.name}>, not <svg>`);
+    }
+    const counts = {};
+
+    if (settings.strip_metadata) {
+        prune(document, (node, parent) => {
+            if (node.type === "comment") {
+                return "comment";
+            }
+            if (node.type === "instruction" || node.type === "doctype") {
+                return "XML declaration and DOCTYPE";
+            }
+            if (node.type === "element" && (METADATA_ELEMENTS.has(localName(node.name)) || isEditorName(node.name))) {
+                return "metadata element";
+            }
+            if (node.type === "text" && !node.value.trim() && !(parent.type === "element" && TEXT_ELEMENTS.has(localName(parent.name)))) {
+                return "whitespace";   // not worth reporting
+            }
+            return null;
+        }, counts);
+        for (const element of walkElements(root)) {
+            const before = element.attributes.length;
+            element.attributes = element.attributes.filter((attr) => !isEditorName(attr.name));
+            counts["editor attribute"] = (counts["editor attribute"] || 0) + before - element.attributes.length;
+        }
+    }
+
+    if (settings.sanitize) {
+        prune(root, (node) => {
+            if (node.type !== "element") {
+                return null;
+            }
+            const name = localName(node.name).toLowerCase();
+            if (name === "script" || name === "foreignobject") {
+                return "script or foreignObject element";
+            }
+            return unsafeElement(node) ? "link or handler animation" : null;
+        }, counts);
+        for (const element of walkElements(root)) {
+            const before = element.attributes.length;
+            const unsafe = new Set(unsafeAttributes(element).map((finding) => finding.attribute));
+            element.attributes = element.attributes.filter((attr) => !unsafe.has(attr));
+            counts["unsafe attribute"] = (counts["unsafe attribute"] || 0) + before - element.attributes.length;
+
+            // A DOCTYPE's entities go with it; leftover references would leave the file unreadable
+            for (const child of element.children) {
+                if (child.type === "text") {
+                    child.value = child.value.replace(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)[\w.-]+;/gi, "");
+                }
+            }
+
+            if (localName(element.name).toLowerCase() === "style") {
+                for (const child of element.children) {
+                    if (child.type === "text" || child.type === "cdata") {
+                        const cleaned = child.value
+                            .replace(/@import[^;]*;?/gi, "")
+                            .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, target) => (referenceRisk(target) ? "none" : match));
+                        if (cleaned !== child.value) {
+                            counts["external stylesheet reference"] = (counts["external stylesheet reference"] || 0) + 1;
+                            child.value = cleaned;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    let rounded = 0;
+    if (Number.isInteger(settings.precision) && settings.precision >= 0) {
+        for (const element of walkElements(root)) {
+            for (const attr of element.attributes) {
+                const before = attr.value;
+                if (attr.name === "d") {
+                    attr.value = roundPathData(attr.value, settings.precision);
+                } else if (NUMERIC_ATTRIBUTES.has(attr.name)) {
+                    attr.value = roundNumbers(attr.value, settings.precision);
+                }
+                if (attr.value !== before) {
+                    rounded++;
+                }
+            }
+        }
+    }
+
+    if (settings.current_color) {
+        const colors = new Set();
+        const recolor = (value) => {
+            if (!isColor(value)) {
+                return value;
+            }
+            colors.add(value.trim().toLowerCase());
+            return "currentColor";
+        };
+        let hasRootPaint = false;
+        for (const element of walkElements(root)) {
+            for (const attr of element.attributes) {
+                if (PAINT_PROPERTIES.has(attr.name)) {
+                    attr.value = recolor(attr.value);
+                    hasRootPaint ||= element === root && attr.name === "fill";
+                } else if (attr.name === "style") {
+                    attr.value = attr.value.replace(/(^|;)(\s*(?:fill|stroke)\s*:\s*)([^;!]+)/gi, (match, lead, property, value) => `${lead}${property}${recolor(value)}`);
+                }
+            }
+        }
+        // Shapes without a fill are black by default
+        if (!hasRootPaint) {
+            root.attributes.push({ name: "fill", value: "currentColor", quote: "\"" });
+        }
+        counts.recolored = colors.size > 0 ? [...colors] : null;
+    }
+
+    const { recolored, whitespace, ...removed } = counts;
+    const changes = Object.entries(removed)
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => `removed ${count} ${label}(s)`);
+    if (rounded > 0) {
+        changes.push(`rounded numbers to ${settings.precision} decimal place(s)`);
+    }
+    if (recolored) {
+        changes.push(`recolored ${recolored.join(", ")} to currentColor`);
+    }
+
+    return { output: serializeSvg(document).trim(), changes };
+}
+
+/**
+ * Describe the size saved on each optimised file, for tool output.
+ *
+ * @param {Array<{ path: string, before: number, after?: number, changes?: string[], error?: string }>} results
+ */
+export function formatOptimization(results) {
+    if (results.length === 0) {
+        return "";
+    }
+    const done = results.filter((result) => !result.error);
+    const before = done.reduce((sum, result) => sum + result.before, 0);
+    const after = done.reduce((sum, result) => sum + result.after, 0);
+    const percent = (from, to) => (from > 0 ? Math.round(((from - to) / from) * 100) : 0);
+    const lines = results.slice(0, 50).map((result) => (result.error
+        ? `  ${path.basename(result.path)}: not optimised (${result.error})`
+        : `  ${path.basename(result.path)}: ${formatSize(result.before)} -> ${formatSize(result.after)} (-${percent(result.before, result.after)}%): ${result.changes.join(", ") || "nothing to change"}`));
+    const more = results.length > 50 ? `\n  ... and ${results.length - 50} more` : "";
+    return `\n\nOptimised ${done.length} SVG file(s), ${formatSize(before)} -> ${formatSize(after)} (-${percent(before, after)}%):\n${lines.join("\n")}${more}`;
+}
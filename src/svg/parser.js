@@ -0,0 +1,280 @@
+/**
+ * A small, strict XML parser for SVG files.
+ *
+ * It builds a tree that keeps everything needed to write the document back
+ * out unchanged (attribute order, quoting, raw entity text), so the same tree
+ * serves inspection and rewriting. Entities are never expanded, and a DOCTYPE
+ * is kept as opaque text, so entity tricks in hostile files go nowhere.
+ *
+ * Nodes:
+ *   { type: "element", name, attributes: [{ name, value, quote }], children, selfClosing }
+ *   { type: "text", value }          // raw, entities not decoded
+ *   { type: "cdata", value }
+ *   { type: "comment", value }
+ *   { type: "doctype", value }
+ *   { type: "instruction", value }   // <?xml ...?> and other processing instructions
+ */
+
+/**
+ * Raised for input that isn't well-formed XML, with the line and column where
+ * parsing stopped.
+ */
+export class SvgSyntaxError extends Error {
+    constructor(message, text, offset) {
+        const before = text.slice(0, offset).split("\n");
+        const line = before.length;
+        const column = before[before.length - 1].length + 1;
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = "SvgSyntaxError";
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const NAME = /[A-Za-z_:][-A-Za-z0-9_:.]*/y;
+const SPACE = /\s*/y;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+/**
+ * Decode the predefined and numeric character references in raw text.
+ * Anything else is left as written.
+ */
+export function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, ref) => {
+        if (ref[0] === "#") {
+            const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[ref] ?? match;
+    });
+}
+
+/**
+ * Parse SVG source into a document node: `{ type: "document", children }`.
+ *
+ * @throws {SvgSyntaxError} If the document isn't well-formed
+ */
+export function parseSvg(source) {
+    const text = source.replace(/^\uFEFF/, "");
+    let pos = 0;
+
+    const fail = (message, at = pos) => {
+        throw new SvgSyntaxError(message, text, at);
+    };
+    const readName = () => {
+        NAME.lastIndex = pos;
+        const match = NAME.exec(text);
+        if (!match) {
+            fail("Expected a name");
+        }
+        pos = NAME.lastIndex;
+        return match[0];
+    };
+    const skipSpace = () => {
+        SPACE.lastIndex = pos;
+        SPACE.exec(text);
+        const skipped = SPACE.lastIndex > pos;
+        pos = SPACE.lastIndex;
+        return skipped;
+    };
+    const readUntil = (terminator, what) => {
+        const end = text.indexOf(terminator, pos);
+        if (end === -1) {
+            fail(`Unterminated ${what}`);
+        }
+        const value = text.slice(pos, end);
+        pos = end + terminator.length;
+        return value;
+    };
+
+    const document = { type: "document", children: [] };
+    const stack = [document];
+    const current = () => stack[stack.length - 1];
+    let sawRoot = false;
+
+    while (pos < text.length) {
+        const start = pos;
+        if (text[pos] !== "<") {
+            const end = text.indexOf("<", pos);
+            const value = text.slice(pos, end === -1 ? text.length : end);
+            pos = end === -1 ? text.length : end;
+            if (stack.length === 1 && value.trim()) {
+                fail("Text outside the root element", start);
+            }
+            current().children.push({ type: "text", value });
+            continue;
+        }
+
+        if (text.startsWith("<!--", pos)) {
+            pos += 4;
+            current().children.push({ type: "comment", value: readUntil("-->", "comment") });
+        } else if (text.startsWith("<![CDATA[", pos)) {
+            if (stack.length === 1) {
+                fail("CDATA outside the root element");
+            }
+            pos += 9;
+            current().children.push({ type: "cdata", value: readUntil("]]>", "CDATA section") });
+        } else if (text.startsWith("<!DOCTYPE", pos)) {
+            if (sawRoot) {
+                fail("DOCTYPE after the root element");
+            }
+            pos += 9;
+            // The internal subset may itself contain ">"
+            const close = text.indexOf(">", pos);
+            const subsetStart = text.indexOf("[", pos);
+            let searchFrom = pos;
+            if (subsetStart !== -1 && (close === -1 || subsetStart < close)) {
+                searchFrom = text.indexOf("]", subsetStart);
+                if (searchFrom === -1) {
+                    fail("Unterminated DOCTYPE", start);
+                }
+            }
+            const end = text.indexOf(">", searchFrom);
+            if (end === -1) {
+                fail("Unterminated DOCTYPE", start);
+            }
+            current().children.push({ type: "doctype", value: text.slice(pos, end) });
+            pos = end + 1;
+        } else if (text.startsWith("<?", pos)) {
+            pos += 2;
+            current().children.push({ type: "instruction", value: readUntil("?>", "processing instruction") });
+        } else if (text.startsWith("</", pos)) {
+            pos += 2;
+            const name = readName();
+            skipSpace();
+            if (text[pos] !== ">") {
+                fail(`Expected ">" to close </${name}`);
+            }
+            pos++;
+            const open = current();
+            if (open.type !== "element" || open.name !== name) {
+                fail(open.type === "element" ? `</${name}> does not match <${open.name}>` : `Unexpected </${name}>`, start);
+            }
+            stack.pop();
+        } else {
+            pos++;
+            const name = readName();
+            if (stack.length === 1 && sawRoot) {
+                fail("More than one root element", start);
+            }
+            const element = { type: "element", name, attributes: [], children: [], selfClosing: false };
+            while (true) {
+                const spaced = skipSpace();
+                if (text.startsWith("/>", pos)) {
+                    pos += 2;
+                    element.selfClosing = true;
+                    break;
+                }
+                if (text[pos] === ">") {
+                    pos++;
+                    break;
+                }
+                if (pos >= text.length) {
+                    fail(`Unterminated <${name}> tag`, start);
+                }
+                if (!spaced) {
+                    fail(`Expected whitespace between attributes of <${name}>`);
+                }
+                const attrStart = pos;
+                const attrName = readName();
+                skipSpace();
+                if (text[pos] !== "=") {
+                    fail(`Attribute "${attrName}" has no value`, attrStart);
+                }
+                pos++;
+                skipSpace();
+                const quote = text[pos];
+                if (quote !== "\"" && quote !== "'") {
+                    fail(`Value of "${attrName}" must be quoted`);
+                }
+                pos++;
+                const value = readUntil(quote, `value of "${attrName}"`);
+                if (value.includes("<")) {
+                    fail(`Value of "${attrName}" contains "<"`, attrStart);
+                }
+                if (element.attributes.some((attr) => attr.name === attrName)) {
+                    fail(`Duplicate attribute "${attrName}" on <${name}>`, attrStart);
+                }
+                element.attributes.push({ name: attrName, value, quote });
+            }
+            current().children.push(element);
+            if (stack.length === 1) {
+                sawRoot = true;
+            }
+            if (!element.selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        fail(`<${current().name}> is never closed`);
+    }
+    if (!sawRoot) {
+        fail("No root element", 0);
+    }
+    return document;
+}
+
+/**
+ * Write a parsed tree back out as text.
+ */
+export function serializeSvg(node) {
+    switch (node.type) {
+        case "document":
+            return node.children.map(serializeSvg).join("");
+        case "element": {
+            const attributes = node.attributes.map((attr) => ` ${attr.name}=${attr.quote}${attr.value}${attr.quote}`).join("");
+            if (node.selfClosing || node.children.length === 0) {
+                return `<${node.name}${attributes}${node.selfClosing ? "/>" : `></${node.name}>`}`;
+            }
+            return `<${node.name}${attributes}>${node.children.map(serializeSvg).join("")}</${node.name}>`;
+        }
+        case "text":
+            return node.value;
+        case "cdata":
+            return `<![CDATA[${node.value}]]>`;
+        case "comment":
+            return `<!--${node.value}-->`;
+        case "doctype":
+            return `<!DOCTYPE${node.value}>`;
+        case "instruction":
+            return `<?${node.value}?>`;
+        default:
+            return "";
+    }
+}
+
+/**
+ * The root element of a parsed document.
+ */
+export function rootElement(document) {
+    return document.children.find((node) => node.type === "element");
+}
+
+/**
+ * Element name without its namespace prefix ("svg:path" -> "path").
+ */
+export function localName(name) {
+    return name.slice(name.indexOf(":") + 1);
+}
+
+/**
+ * Visit every element below (and including) `node`, depth first.
+ */
+export function* walkElements(node) {
+    if (node.type === "element") {
+        yield node;
+    }
+    for (const child of node.children || []) {
+        yield* walkElements(child);
+    }
+}
+
+/**
+ * Decoded value of an attribute, or undefined if the element doesn't have it.
+ */
+export function getAttribute(element, name) {
+    const attr = element.attributes.find((a) => a.name === name);
+    return attr ? decodeEntities(attr.value) : undefined;
+}
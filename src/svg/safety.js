@@ -0,0 +1,113 @@
+import { decodeEntities, localName } from "./parser.js";
+
+/**
+ * What makes an SVG unsafe, shared by inspect_svg (which reports it) and the
+ * optimiser's sanitise step (which removes it):
+ *
+ *   scripts  - <script> elements, on* event handlers, javascript: links, and
+ *              <set>/<animate> elements that write an href or a handler at run time
+ *   external - references to anything outside the file. Fragment links ("#id")
+ *              and embedded raster images are local; an embedded SVG isn't, as
+ *              it can carry scripts of its own.
+ *
+ * Element and attribute names are compared without regard to case, since an
+ * SVG pasted into HTML is parsed case-insensitively.
+ */
+
+const ANIMATION_ELEMENTS = new Set(["set", "animate", "animatetransform", "animatemotion"]);
+const LINK_ATTRIBUTES = new Set(["href", "xlink:href"]);
+const RASTER_DATA_URI = /^data:image\/(png|jpe?g|gif|webp)[;,]/i;
+
+/**
+ * `url(...)` targets in a CSS value or stylesheet.
+ */
+function cssUrls(css) {
+    return [...css.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/gi)].map((match) => match[2].trim());
+}
+
+/**
+ * How a link target is unsafe: "script" for javascript: URLs, "external" for
+ * anything outside the file, or null for fragment links and raster data URIs.
+ *
+ * @param {string} value - Decoded attribute value or CSS url() target
+ */
+export function referenceRisk(value) {
+    const target = value.trim();
+    // Browsers ignore tabs and newlines inside a URL scheme
+    if (/^javascript:/i.test(target.replace(/[\u0000- ]/g, ""))) {
+        return "script";
+    }
+    return target.startsWith("#") || RASTER_DATA_URI.test(target) ? null : "external";
+}
+
+/**
+ * A finding for an unsafe link target, or null. External targets are
+ * described by the target itself, with data URIs cut down to their type.
+ */
+function referenceFinding(element, target) {
+    const risk = referenceRisk(target);
+    if (risk === "script") {
+        return { kind: "script", description: `javascript: link on <${element.name}>` };
+    }
+    if (risk === "external") {
+        return { kind: "external", description: /^data:/i.test(target) ? target.split(/[;,]/)[0] : target };
+    }
+    return null;
+}
+
+/**
+ * Why an element is unsafe as a whole, or null if it isn't.
+ */
+export function unsafeElement(element) {
+    const name = localName(element.name).toLowerCase();
+    if (name === "script") {
+        return `<${element.name}> element`;
+    }
+    if (ANIMATION_ELEMENTS.has(name)) {
+        const attr = element.attributes.find((a) => a.name.toLowerCase() === "attributename");
+        const target = attr ? decodeEntities(attr.value).trim().toLowerCase() : "";
+        if (LINK_ATTRIBUTES.has(target) || target.startsWith("on")) {
+            return `<${element.name}> animating ${target}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * The unsafe attributes of an element, each with what makes it unsafe.
+ *
+ * @returns {Array<{ attribute: object, kind: "script" | "external", description: string }>}
+ *   `description` is the external target for "external" findings
+ */
+export function unsafeAttributes(element) {
+    const findings = [];
+    for (const attr of element.attributes) {
+        const name = attr.name.toLowerCase();
+        const value = decodeEntities(attr.value);
+        if (name.startsWith("on")) {
+            findings.push({ attribute: attr, kind: "script", description: `${attr.name} handler on <${element.name}>` });
+            continue;
+        }
+        const targets = LINK_ATTRIBUTES.has(name) ? [value.trim()] : cssUrls(value);
+        for (const target of targets) {
+            const finding = referenceFinding(element, target);
+            if (finding) {
+                findings.push({ attribute: attr, ...finding });
+            }
+        }
+    }
+    return findings;
+}
+
+/**
+ * The unsafe references in a stylesheet: url() targets and @import rules.
+ *
+ * @returns {Array<{ kind: "script" | "external", description: string }>}
+ */
+export function unsafeStylesheet(element, css) {
+    const findings = cssUrls(css).map((target) => referenceFinding(element, target)).filter(Boolean);
+    for (const match of css.matchAll(/@import\s+(?:url\()?\s*['"]?([^'")\s;]+)/gi)) {
+        findings.push({ kind: "external", description: match[1] });
+    }
+    return findings;
+}
@@ -0,0 +1,129 @@
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * Sending files and folders to the trash, without external tools.
+ *
+ *   Windows - the Recycle Bin, through PowerShell
+ *   macOS   - ~/.Trash
+ *   others  - the freedesktop.org trash (~/.local/share/Trash), with the
+ *             .trashinfo file desktop file managers use to put things back
+ *
+ * Only the home trash is used, so on Linux and macOS files on another drive
+ * can't be trashed.
+ */
+
+function timestamp(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * A name in `dir` that isn't taken, numbering `name` if needed.
+ */
+async function freeName(dir, name) {
+    const ext = path.extname(name);
+    const base = path.basename(name, ext);
+    for (let counter = 1; ; counter++) {
+        const candidate = counter === 1 ? name : `${base} ${counter}${ext}`;
+        if (!(await fs.lstat(path.join(dir, candidate)).then(() => true, () => false))) {
+            return candidate;
+        }
+    }
+}
+
+async function renameIntoTrash(source, destination) {
+    try {
+        await fs.rename(source, destination);
+    } catch (error) {
+        if (error.code === "EXDEV") {
+            throw new Error(`${source} is on a different drive from the trash, so it can't be moved there`);
+        }
+        throw error;
+    }
+}
+
+function recycle(target, isDirectory) {
+    // The path goes in through the environment so it never needs quoting
+    const method = isDirectory ? "DeleteDirectory" : "DeleteFile";
+    const script = `Add-Type -AssemblyName Microsoft.VisualBasic; [Microsoft.VisualBasic.FileIO.FileSystem]::${method}($env:FILE_MANAGER_TRASH_PATH, 'OnlyErrorDialogs', 'SendToRecycleBin')`;
+    return new Promise((resolve, reject) => {
+        execFile("powershell.exe", ["-NoProfile", "-NonInteractive", "-Command", script], { env: { ...process.env, FILE_MANAGER_TRASH_PATH: target }, windowsHide: true }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`Could not move ${target} to the Recycle Bin: ${stderr.trim() || error.message}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Move a file or folder to the trash.
+ *
+ * @param {string} target - Absolute path
+ * @returns {Promise<{ location: string | null, infoPath: string | null }>} Where it went, when
+ *   known (not for the Recycle Bin), and the freedesktop.org .trashinfo file written for it
+ */
+export async function moveToTrash(target) {
+    const stats = await fs.lstat(target);
+
+    if (process.platform === "win32") {
+        await recycle(target, stats.isDirectory());
+        return { location: null, infoPath: null };
+    }
+
+    if (process.platform === "darwin") {
+        const trashDir = path.join(os.homedir(), ".Trash");
+        await fs.mkdir(trashDir, { recursive: true });
+        const location = path.join(trashDir, await freeName(trashDir, path.basename(target)));
+        await renameIntoTrash(target, location);
+        return { location, infoPath: null };
+    }
+
+    const trashDir = path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share"), "Trash");
+    const filesDir = path.join(trashDir, "files");
+    const infoDir = path.join(trashDir, "info");
+    await fs.mkdir(filesDir, { recursive: true });
+    await fs.mkdir(infoDir, { recursive: true });
+
+    // Claim the name by creating its .trashinfo, as the spec asks, so two trashers can't pick the same one
+    let name = path.basename(target);
+    let infoPath;
+    for (;;) {
+        name = await freeName(filesDir, name);
+        infoPath = path.join(infoDir, `${name}.trashinfo`);
+        try {
+            const encoded = target.split(path.sep).map(encodeURIComponent).join("/");
+            await fs.writeFile(infoPath, `[Trash Info]\nPath=${encoded}\nDeletionDate=${timestamp(new Date())}\n`, { flag: "wx" });
+            break;
+        } catch (error) {
+            if (error.code !== "EEXIST") {
+                throw error;
+            }
+            name = `${path.basename(name, path.extname(name))} ${Date.now()}${path.extname(name)}`;
+        }
+    }
+
+    const location = path.join(filesDir, name);
+    try {
+        await renameIntoTrash(target, location);
+    } catch (error) {
+        await fs.rm(infoPath, { force: true });
+        throw error;
+    }
+    return { location, infoPath };
+}
+
+/**
+ * Take something this server trashed back out, to where it was.
+ */
+export async function restoreFromTrash({ location, infoPath }, original) {
+    await fs.mkdir(path.dirname(original), { recursive: true });
+    await fs.rename(location, original);
+    if (infoPath) {
+        await fs.rm(infoPath, { force: true });
+    }
+}
@@ -0,0 +1,257 @@
+import fs from "fs/promises";
+import path from "path";
+import { restoreFromTrash } from "./trash.js";
+
+/**
+ * Reversing journaled operations.
+ *
+ * Actions are undone newest first. A file is only touched if it still looks
+ * the way the operation left it (same size and modification time), unless
+ * `force` is set; anything else is skipped and reported. A move or copy that
+ * overwrote a file puts the backed-up original back in its place. Files that
+ * replaced one with no backup (extracted over it) are never deleted, since
+ * what they replaced is gone; moves are still moved back. Deleted or
+ * hard-linked duplicates are restored by copying the file that was kept.
+ * Trashed files are taken back out of the trash, and rewritten files get
+ * their backed-up contents back. Deleted extracted files are not kept anywhere, so they're reported
+ * with the archive to extract them from.
+ */
+
+// Actions nothing can reverse: the deleted file wasn't kept anywhere
+const PERMANENT_ACTIONS = new Set(["delete"]);
+
+async function statOrNull(filePath) {
+    try {
+        return await fs.lstat(filePath);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Why a file produced by an action can't be reversed as-is, or null if it can.
+ * `filePath` defaults to the action's destination.
+ */
+async function checkUnchanged(action, force, filePath = action.destination) {
+    const stats = await statOrNull(filePath);
+    if (!stats) {
+        return { reason: "missing", message: `${filePath} no longer exists` };
+    }
+    if (!force && (stats.size !== action.size || Math.abs(stats.mtimeMs - action.mtimeMs) > 1)) {
+        return { reason: "modified", message: `${filePath} was modified after the operation (use force to undo anyway)` };
+    }
+    return null;
+}
+
+/**
+ * Write a standalone copy of `source` at `destination` with the given
+ * modification time, going through a temporary file so a hard link at
+ * `destination` is replaced rather than written through.
+ */
+async function restoreCopy(source, destination, mtimeMs) {
+    const tempPath = `${destination}.restoring`;
+    await fs.copyFile(source, tempPath);
+    const mtime = new Date(mtimeMs);
+    await fs.utimes(tempPath, mtime, mtime);
+    await fs.rename(tempPath, destination);
+}
+
+/**
+ * Remove `dir` and any empty directories below it, leaving anything that
+ * still holds files. Returns true if `dir` itself was removed.
+ */
+export async function removeEmptyDirectories(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+        return false;
+    }
+    let empty = true;
+    for (const entry of entries) {
+        if (!entry.isDirectory() || !(await removeEmptyDirectories(path.join(dir, entry.name)))) {
+            empty = false;
+        }
+    }
+    if (!empty) {
+        return false;
+    }
+    await fs.rmdir(dir);
+    return true;
+}
+
+/**
+ * Put back the file a move or copy overwrote, from its backup, and drop the backup.
+ */
+async function restoreReplaced(action) {
+    await restoreCopy(action.backup, action.destination, action.replacedMtimeMs);
+    await fs.rm(action.backup, { force: true });
+}
+
+async function undoAction(action, { force, dryRun }) {
+    switch (action.type) {
+        case "move": {
+            const problem = await checkUnchanged(action, force);
+            if (problem) {
+                return problem;
+            }
+            if (await statOrNull(action.source)) {
+                return { reason: "conflict", message: `${action.source} is occupied by another file` };
+            }
+            // Without its backup the overwritten file stays lost, but the move is still reversed
+            const restore = Boolean(action.backup && (await statOrNull(action.backup)));
+            if (!dryRun) {
+                await fs.mkdir(path.dirname(action.source), { recursive: true });
+                await fs.rename(action.destination, action.source);
+                if (restore) {
+                    await restoreReplaced(action);
+                }
+            }
+            return { description: `move ${action.destination} -> ${action.source}${restore ? " and put back the file it replaced" : ""}` };
+        }
+        case "copy":
+        case "create": {
+            if (action.backup) {
+                const problem = await checkUnchanged(action, force);
+                if (problem) {
+                    return problem;
+                }
+                if (!(await statOrNull(action.backup))) {
+                    return { reason: "missing", message: `the backup of the file ${action.destination} replaced no longer exists` };
+                }
+                if (!dryRun) {
+                    await restoreReplaced(action);
+                }
+                return { description: `replace ${action.destination} with the file it overwrote` };
+            }
+            if (action.replaced) {
+                return { reason: "replaced", message: `${action.destination} overwrote an existing file, which can't be restored` };
+            }
+            const problem = await checkUnchanged(action, force);
+            if (problem) {
+                return problem;
+            }
+            if (!dryRun) {
+                await fs.rm(action.destination);
+            }
+            return { description: `delete ${action.destination}` };
+        }
+        case "delete_duplicate": {
+            const problem = await checkUnchanged(action, force, action.source);
+            if (problem) {
+                return problem;
+            }
+            if (await statOrNull(action.destination)) {
+                return { reason: "conflict", message: `${action.destination} is occupied by another file` };
+            }
+            if (!dryRun) {
+                await fs.mkdir(path.dirname(action.destination), { recursive: true });
+                await restoreCopy(action.source, action.destination, action.removedMtimeMs);
+            }
+            return { description: `restore ${action.destination} from ${action.source}` };
+        }
+        case "hardlink": {
+            const problem = await checkUnchanged(action, force, action.source);
+            if (problem) {
+                return problem;
+            }
+            if (!(await statOrNull(action.destination))) {
+                return { reason: "missing", message: `${action.destination} no longer exists` };
+            }
+            if (!dryRun) {
+                await restoreCopy(action.source, action.destination, action.replacedMtimeMs);
+            }
+            return { description: `replace the link at ${action.destination} with a copy of ${action.source}` };
+        }
+        case "trash": {
+            if (!action.destination) {
+                return { reason: "recycle_bin", message: `${action.source} was sent to the Recycle Bin; restore it from there` };
+            }
+            const problem = await checkUnchanged(action, force);
+            if (problem) {
+                return problem;
+            }
+            if (await statOrNull(action.source)) {
+                return { reason: "conflict", message: `${action.source} is occupied by another file` };
+            }
+            if (!dryRun) {
+                await restoreFromTrash({ location: action.destination, infoPath: action.infoPath }, action.source);
+            }
+            return { description: `restore ${action.source} from the trash` };
+        }
+        case "rewrite": {
+            const problem = await checkUnchanged(action, force);
+            if (problem) {
+                return problem;
+            }
+            if (!(await statOrNull(action.backup))) {
+                return { reason: "missing", message: `the backup of ${action.destination} no longer exists` };
+            }
+            if (!dryRun) {
+                await restoreCopy(action.backup, action.destination, action.originalMtimeMs);
+                await fs.rm(action.backup, { force: true });
+            }
+            return { description: `restore the original contents of ${action.destination}` };
+        }
+        case "delete":
+            return { reason: "deleted", message: `${action.destination} was deleted; extract it again from ${action.archive}` };
+        case "directory": {
+            if (!(await statOrNull(action.path))) {
+                return { reason: "missing", message: `${action.path} no longer exists` };
+            }
+            if (dryRun) {
+                return { description: `remove ${action.path} if empty` };
+            }
+            if (!(await removeEmptyDirectories(action.path))) {
+                return { reason: "not_empty", message: `${action.path} still contains files` };
+            }
+            return { description: `remove directory ${action.path}` };
+        }
+        default:
+            return { reason: "unknown_action", message: `don't know how to undo "${action.type}"` };
+    }
+}
+
+/**
+ * Indexes of the actions of a journaled operation that an undo could still
+ * reverse: those not reversed yet, leaving out permanent ones like deletions.
+ * An operation with none left is settled, however many deletions it holds.
+ *
+ * @param {object} operation - From Journal.list()
+ * @returns {number[]}
+ */
+export function pendingActions(operation) {
+    return operation.actions
+        .map((action, index) => (operation.reverted.includes(index) || PERMANENT_ACTIONS.has(action.type) ? null : index))
+        .filter((index) => index !== null);
+}
+
+/**
+ * Reverse the actions of a journaled operation that haven't been reversed yet.
+ *
+ * @param {object} operation - From Journal.list()
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Undo files even if they changed since the operation
+ * @param {boolean} [options.dryRun] - Work out what would be undone without changing anything
+ * @returns {Promise<{ reverted: number[], steps: string[], skipped: Array<{ reason: string, message: string }> }>}
+ */
+export async function undoOperation(operation, { force = false, dryRun = false } = {}) {
+    const reverted = [];
+    const steps = [];
+    const skipped = [];
+
+    for (let index = operation.actions.length - 1; index >= 0; index--) {
+        if (operation.reverted.includes(index)) {
+            continue;
+        }
+        const outcome = await undoAction(operation.actions[index], { force, dryRun });
+        if (outcome.reason) {
+            skipped.push({ reason: outcome.reason, message: outcome.message });
+        } else {
+            reverted.push(index);
+            steps.push(outcome.description);
+        }
+    }
+
+    return { reverted, steps, skipped };
+}
@@ -0,0 +1,289 @@
+import { watch } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { extensionOf } from "./format.js";
+import { compileMatch, renderDestination } from "./rules.js";
+
+/**
+ * Watching Downloads for new archives.
+ *
+ * When enabled ("watch" in the config file), the server watches the top of
+ * Downloads and runs a pipeline on every archive that finishes downloading.
+ * A pipeline runs one tool on the archive; the first pipeline that matches
+ * wins:
+ *
+ *   "watch": {
+ *     "enabled": true,
+ *     "stableSeconds": 2,
+ *     "pipelines": [
+ *       {
+ *         "name": "Icon packs",
+ *         "match": { "filename": "icon" },
+ *         "tool": "unzip_and_move_svgs",
+ *         "args": { "destination_folder": "assets/Icons/{archive}", "on_conflict": "skip-if-identical" }
+ *       }
+ *     ]
+ *   }
+ *
+ * `match` takes the sorting rule conditions (see rules.js) and can be left
+ * out to match every archive. `tool` may also be a configured pipeline (see
+ * pipeline.js), whose select step then picks the new archive. `args` are the
+ * tool's arguments; the archive is passed as `filename`, and `destination`
+ * and `destination_folder` may use the destination placeholders, with
+ * {archive} and {name} both the archive name without its extension. Other
+ * arguments (a password, say) are passed as they are. Secret arguments are
+ * never kept in the watch history.
+ *
+ * A download counts as finished once it has kept the same size and
+ * modification time for `stableSeconds`, isn't empty, and no partial file
+ * for it (.crdownload, .part, ...) is left next to it. Partial files
+ * themselves are never picked up.
+ */
+
+// Tools a pipeline can run: all take an archive in Downloads as `filename`
+export const PIPELINE_TOOLS = ["extract_archive", "unzip_file", "unzip_and_move_svgs", "unzip_and_organize", "move_file", "copy_file"];
+
+// Arguments that name a folder, and so may use destination placeholders
+const DESTINATION_ARGS = ["destination", "destination_folder"];
+
+// Files browsers write while a download is in progress
+export const PARTIAL_DOWNLOAD_EXTENSIONS = ["crdownload", "part", "partial", "download", "opdownload", "tmp"];
+
+function compilePipeline(pipeline, index, tools) {
+    const name = pipeline.name || `pipeline ${index + 1}`;
+    if (!tools.includes(pipeline.tool)) {
+        throw new Error(`Pipeline "${name}": tool must be one of ${tools.join(", ")} (got ${JSON.stringify(pipeline.tool)})`);
+    }
+    if (pipeline.args != null && (typeof pipeline.args !== "object" || Array.isArray(pipeline.args))) {
+        throw new Error(`Pipeline "${name}": args must be an object`);
+    }
+    return {
+        name,
+        tool: pipeline.tool,
+        args: pipeline.args || {},
+        matches: pipeline.match ? compileMatch(pipeline.match, name, "Pipeline") : () => true,
+    };
+}
+
+/**
+ * Validate the watcher pipelines from the config file.
+ *
+ * @param {object[]} pipelines
+ * @param {string[]} [pipelineTools] - Names of the configured pipeline tools
+ */
+export function compilePipelines(pipelines = [], pipelineTools = []) {
+    if (!Array.isArray(pipelines)) {
+        throw new Error("\"watch.pipelines\" must be a list");
+    }
+    const tools = [...PIPELINE_TOOLS, ...pipelineTools];
+    return pipelines.map((pipeline, index) => compilePipeline(pipeline, index, tools));
+}
+
+/**
+ * The tool arguments for running `pipeline` on a downloaded archive.
+ *
+ * @param {object} pipeline - From compilePipelines()
+ * @param {{ name: string, mtime: Date }} file
+ */
+export function pipelineArgs(pipeline, file) {
+    const archive = { name: file.name, mtime: file.mtime, archive: file.name };
+    const args = {};
+    for (const [key, value] of Object.entries(pipeline.args)) {
+        // {name} drops the whole archive extension (".tar.gz"), like {archive}
+        args[key] = DESTINATION_ARGS.includes(key) && typeof value === "string" ? renderDestination(value.replaceAll("{name}", "{archive}"), archive) : value;
+    }
+    return { ...args, filename: file.name };
+}
+
+/**
+ * Reports files in a directory once they have finished being written.
+ *
+ * Files already there when the watcher starts are left alone unless they
+ * change. `onReady(filePath)` calls are made one at a time, in the order
+ * files finish. If the directory can't be read or watched any more (deleted,
+ * renamed, permissions changed), the watcher stops and calls `onError(error)`
+ * instead of throwing.
+ */
+export class DownloadsWatcher {
+    /**
+     * @param {string} directory
+     * @param {object} options
+     * @param {number} [options.stableMs] - How long a file must stay unchanged
+     * @param {(filePath: string) => Promise<void>} options.onReady
+     * @param {(error: Error) => void} [options.onError] - Called once when the watcher stops on an error
+     */
+    constructor(directory, { stableMs = 2000, onReady, onError = () => {} }) {
+        this.directory = directory;
+        this.stableMs = stableMs;
+        this.onReady = onReady;
+        this.onError = onError;
+        this.pending = new Map();
+        // "name:size:mtime" of every file seen finished, so each version is handled once
+        this.seen = new Set();
+        this.queue = Promise.resolve();
+        this.watcher = null;
+    }
+
+    /**
+     * Start watching.
+     *
+     * @returns {Promise<boolean>} false if the directory couldn't be read or watched (see onError)
+     */
+    async start() {
+        try {
+            for (const entry of await fs.readdir(this.directory, { withFileTypes: true })) {
+                if (entry.isFile()) {
+                    const stats = await fs.stat(path.join(this.directory, entry.name)).catch(() => null);
+                    if (stats) {
+                        this.seen.add(this.versionOf(entry.name, stats));
+                    }
+                }
+            }
+            this.watcher = watch(this.directory, (eventType, filename) => {
+                if (filename) {
+                    this.changed(filename.toString());
+                }
+            });
+        } catch (error) {
+            this.fail(error);
+            return false;
+        }
+        // Without a listener, an error on the handle would take the whole server down
+        this.watcher.on("error", (error) => this.fail(error));
+        this.watcher.unref();
+        return true;
+    }
+
+    /**
+     * Stop on an error and report it.
+     */
+    fail(error) {
+        this.stop();
+        this.onError(error);
+    }
+
+    stop() {
+        this.watcher?.close();
+        this.watcher = null;
+        for (const timer of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+    }
+
+    versionOf(name, stats) {
+        return `${name}:${stats.size}:${stats.mtimeMs}`;
+    }
+
+    isPartial(name) {
+        return name.startsWith(".") || PARTIAL_DOWNLOAD_EXTENSIONS.includes(extensionOf(name));
+    }
+
+    changed(name) {
+        if (this.isPartial(name)) {
+            return;
+        }
+        // Any activity restarts the wait
+        this.schedule(name, null);
+    }
+
+    schedule(name, previous) {
+        clearTimeout(this.pending.get(name));
+        const timer = setTimeout(() => this.check(name, previous), this.stableMs);
+        timer.unref();
+        this.pending.set(name, timer);
+    }
+
+    async check(name, previous) {
+        this.pending.delete(name);
+        const filePath = path.join(this.directory, name);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats?.isFile()) {
+            // Linux reports a deleted or renamed directory as an event, not an error
+            if (this.watcher && !(await fs.stat(this.directory).then((dir) => dir.isDirectory(), () => false))) {
+                this.fail(new Error(`${this.directory} is no longer there`));
+            }
+            return;
+        }
+        // Firefox creates the final name empty and renames the .part over it when done
+        const partial = await Promise.all(PARTIAL_DOWNLOAD_EXTENSIONS.map((ext) => fs.access(`${filePath}.${ext}`).then(() => true, () => false)));
+        if (stats.size === 0 || partial.includes(true)) {
+            // Renaming the partial file into place will wake us again
+            return;
+        }
+        const version = this.versionOf(name, stats);
+        if (version !== previous) {
+            this.schedule(name, version);
+            return;
+        }
+        if (this.seen.has(version)) {
+            return;
+        }
+        this.seen.add(version);
+        this.queue = this.queue.then(() => this.onReady(filePath)).catch(() => {});
+    }
+}
+
+/**
+ * What the watcher did, kept in a JSON Lines file so it survives restarts.
+ * Entries are:
+ *
+ *   { id, at, file, size, status, pipeline?, tool?, args?, operationId?, summary?, error? }
+ *
+ * `status` is "done", "failed" or "unmatched" (no pipeline matched).
+ */
+export class WatchHistory {
+    constructor(filePath, { maxEntries = 500 } = {}) {
+        this.filePath = filePath;
+        this.maxEntries = maxEntries;
+    }
+
+    async readEntries() {
+        let text;
+        try {
+            text = await fs.readFile(this.filePath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+            throw error;
+        }
+        const entries = [];
+        for (const line of text.split("\n")) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A line cut short by a crash; skip it
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Append an entry, returning it with its id and time filled in.
+     */
+    async record(entry) {
+        const entries = await this.readEntries();
+        const recorded = { id: entries.reduce((max, e) => Math.max(max, e.id || 0), 0) + 1, at: new Date().toISOString(), ...entry };
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        if (entries.length + 1 > this.maxEntries * 1.2) {
+            const kept = [...entries, recorded].slice(-this.maxEntries);
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tempPath, kept.map((e) => `${JSON.stringify(e)}\n`).join(""));
+            await fs.rename(tempPath, this.filePath);
+        } else {
+            await fs.appendFile(this.filePath, `${JSON.stringify(recorded)}\n`);
+        }
+        return recorded;
+    }
+
+    /**
+     * Entries newest first.
+     */
+    async list() {
+        return (await this.readEntries()).reverse();
+    }
+}
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buffer } from "node:stream/consumers";
+import zlib from "node:zlib";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import tar from "tar-stream";
+import { detectArchiveFormat, findArchives, hasArchiveExtension, stripArchiveExtension } from "../src/archive/index.js";
+import { createZip } from "../src/create-zip.js";
+import { extractArchiveFile, ExtractionLimitError } from "../src/extract.js";
+
+const LIMITS = { maxTotalBytes: 1024 * 1024, maxEntries: 100, maxCompressionRatio: 100 };
+
+/**
+ * A tar archive of `{ name, data, type, linkname }` entries, names taken as given.
+ */
+async function tarBuffer(entries) {
+    const pack = tar.pack();
+    for (const { name, data = "data", type = "file", linkname } of entries) {
+        pack.entry({ name, type, linkname }, type === "file" ? data : undefined);
+    }
+    pack.finalize();
+    return buffer(pack);
+}
+
+async function exists(filePath) {
+    return fs.lstat(filePath).then(() => true, () => false);
+}
+
+describe("archive names", () => {
+    test("strips the longest known extension", () => {
+        assert.equal(stripArchiveExtension("icons.tar.gz"), "icons");
+        assert.equal(stripArchiveExtension("icons.TGZ"), "icons");
+        assert.equal(stripArchiveExtension("notes.txt.gz"), "notes.txt");
+        assert.equal(stripArchiveExtension("icons.zip"), "icons");
+        assert.equal(stripArchiveExtension("readme.md"), "readme.md");
+    });
+
+    test("recognises archive extensions without reading the file", () => {
+        assert.ok(hasArchiveExtension("Icons.ZIP"));
+        assert.ok(hasArchiveExtension("icons.tar.gz"));
+        assert.ok(!hasArchiveExtension("icons.svg"));
+    });
+});
+
+describe("findArchives", () => {
+    let base;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "find-archives-")));
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    test("lists archives newest first, passing over documents that are zips inside", async () => {
+        await fs.writeFile(path.join(base, "word.xml"), "<w:document/>");
+        await createZip(path.join(base, "icons.zip"), [{ sourcePath: path.join(base, "word.xml"), name: "a.svg" }]);
+        await createZip(path.join(base, "report.docx"), [{ sourcePath: path.join(base, "word.xml"), name: "word/document.xml" }]);
+        await fs.writeFile(path.join(base, "fonts.tar"), await tarBuffer([{ name: "Inter.woff2" }]));
+        await fs.utimes(path.join(base, "fonts.tar"), new Date(2026, 0, 1), new Date(2026, 0, 1));
+        await fs.utimes(path.join(base, "icons.zip"), new Date(2026, 0, 2), new Date(2026, 0, 2));
+        await fs.utimes(path.join(base, "report.docx"), new Date(2026, 0, 3), new Date(2026, 0, 3));
+
+        assert.deepEqual((await findArchives(base)).map((archive) => [archive.name, archive.format]), [["icons.zip", "zip"], ["fonts.tar", "tar"]]);
+        const [latestZip] = await findArchives(base, ["zip"]);
+        assert.equal(latestZip.name, "icons.zip");
+    });
+});
+
+describe("tar, tar.gz and gzip extraction", () => {
+    let base;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "archive-")));
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    const hostileEntries = [
+        { name: "icons/a.svg", data: "<svg/>" },
+        { name: "../evil.txt" },
+        { name: "/tmp/evil.txt" },
+        { name: "icons/link", type: "symlink", linkname: "/etc/passwd" },
+        { name: "icons/hard", type: "link", linkname: "icons/a.svg" },
+    ];
+
+    test("extracts a tar, rejecting entries that escape and links", async () => {
+        const archivePath = path.join(base, "icons.tar");
+        await fs.writeFile(archivePath, await tarBuffer(hostileEntries));
+
+        const result = await extractArchiveFile(archivePath, base, { limits: LIMITS });
+
+        assert.equal(result.format, "tar");
+        assert.equal(result.extractPath, path.join(base, "icons"));
+        assert.deepEqual(result.extracted.map((file) => file.name), ["icons/a.svg"]);
+        assert.deepEqual(result.rejected.map((r) => r.reason), ["path_traversal", "absolute_path", "symlink", "hardlink"]);
+        assert.equal(await fs.readFile(path.join(base, "icons", "icons", "a.svg"), "utf8"), "<svg/>");
+        assert.ok(!(await exists(path.join(base, "evil.txt"))));
+        assert.ok(!(await exists(path.join(base, "icons", "icons", "link"))));
+    });
+
+    test("extracts a tar.gz the same way", async () => {
+        const archivePath = path.join(base, "icons.tar.gz");
+        await fs.writeFile(archivePath, zlib.gzipSync(await tarBuffer(hostileEntries)));
+
+        const result = await extractArchiveFile(archivePath, base, { limits: LIMITS });
+
+        assert.equal(result.format, "tar.gz");
+        assert.deepEqual(result.extracted.map((file) => file.name), ["icons/a.svg"]);
+        assert.equal(result.rejected.length, 4);
+        assert.ok(!(await exists(path.join(base, "evil.txt"))));
+    });
+
+    test("detects formats by content, not by extension", async () => {
+        const archivePath = path.join(base, "download.bin");
+        await fs.writeFile(archivePath, zlib.gzipSync(await tarBuffer([{ name: "a.svg" }])));
+
+        assert.equal((await detectArchiveFormat(archivePath)).name, "tar.gz");
+        const result = await extractArchiveFile(archivePath, base, { limits: LIMITS });
+        assert.equal(result.extractPath, path.join(base, "download.bin_extracted"));
+    });
+
+    test("stops a streamed tar once it has too many entries", async () => {
+        const archivePath = path.join(base, "many.tar");
+        await fs.writeFile(archivePath, await tarBuffer(Array.from({ length: 5 }, (_, index) => ({ name: `${index}.txt` }))));
+
+        await assert.rejects(extractArchiveFile(archivePath, base, { limits: { ...LIMITS, maxEntries: 4 } }), ExtractionLimitError);
+    });
+
+    test("writes a plain .gz file straight into the destination", async () => {
+        const archivePath = path.join(base, "notes.txt.gz");
+        await fs.writeFile(archivePath, zlib.gzipSync("hello"));
+
+        const result = await extractArchiveFile(archivePath, base, { limits: LIMITS });
+
+        assert.equal(result.format, "gzip");
+        assert.deepEqual(result.extracted.map((file) => file.path), [path.join(base, "notes.txt")]);
+        assert.equal(await fs.readFile(path.join(base, "notes.txt"), "utf8"), "hello");
+    });
+
+    test("explains that 7z archives aren't supported", async () => {
+        const archivePath = path.join(base, "icons.7z");
+        await fs.writeFile(archivePath, Buffer.concat([Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), Buffer.alloc(32)]));
+
+        await assert.rejects(extractArchiveFile(archivePath, base, { limits: LIMITS }), /7z archives are recognised but not supported/);
+    });
+});
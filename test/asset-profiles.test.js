@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DEFAULT_ASSET_PROFILES, loadAssetProfiles, normalizeExtensions, resolveAssetType } from "../src/asset-profiles.js";
+import { createEntryFilter } from "../src/entry-filter.js";
+
+describe("asset profiles", () => {
+    test("normalises extensions to lowercase with a leading dot", () => {
+        assert.deepEqual(normalizeExtensions(["PNG", ".Svg", " webp ", ""]), [".png", ".svg", ".webp"]);
+    });
+
+    test("adds configured profiles and replaces built-in ones", () => {
+        const profiles = loadAssetProfiles({
+            Brand: { label: "brand asset", extensions: ["svg", "PDF"] },
+            svg: ["svg", "svgz"],
+        });
+        assert.deepEqual(profiles.brand, { label: "brand asset", extensions: [".svg", ".pdf"] });
+        assert.deepEqual(profiles.svg, { label: "svg", extensions: [".svg", ".svgz"] });
+        assert.deepEqual(profiles.fonts, DEFAULT_ASSET_PROFILES.fonts);
+    });
+
+    test("refuses profiles without extensions", () => {
+        assert.throws(() => loadAssetProfiles({ empty: [] }), /Asset profile "empty" needs a non-empty list of extensions/);
+        assert.throws(() => loadAssetProfiles({ broken: { label: "x" } }), /needs a non-empty list/);
+    });
+
+    test("picks explicit extensions over a profile", () => {
+        const profiles = loadAssetProfiles();
+        assert.deepEqual(resolveAssetType(profiles, { profile: "fonts", extensions: ["PNG", "jpg"] }), { label: ".png/.jpg", extensions: [".png", ".jpg"] });
+        assert.equal(resolveAssetType(profiles, { profile: "Icons" }), profiles.icons);
+    });
+
+    test("names the available profiles when one is missing or unknown", () => {
+        const profiles = loadAssetProfiles();
+        assert.throws(() => resolveAssetType(profiles, {}), /Specify extensions or a profile \(svg, icons/);
+        assert.throws(() => resolveAssetType(profiles, { profile: "videos" }), /Unknown asset profile "videos" \(available: svg, icons/);
+    });
+
+    test("a profile's extensions select archive entries together with include/exclude", () => {
+        const { extensions } = resolveAssetType(loadAssetProfiles(), { profile: "fonts" });
+        const filter = createEntryFilter({ extensions, exclude: "__MACOSX/**" });
+        assert.ok(filter("fonts/Inter.WOFF2"));
+        assert.ok(!filter("fonts/OFL.txt"));
+        assert.ok(!filter("__MACOSX/fonts/._Inter.woff2"));
+    });
+});
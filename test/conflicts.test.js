@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { availablePath, checkConflictStrategy, FileConflictError, filesIdentical, planTransfer } from "../src/conflicts.js";
+
+describe("conflict strategies", () => {
+    let base;
+    let incoming;
+    let destDir;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "conflicts-")));
+        destDir = path.join(base, "Icons");
+        await fs.mkdir(destDir);
+        incoming = path.join(base, "home.svg");
+        await fs.writeFile(incoming, "<svg>new</svg>");
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    async function existing(name, contents, mtime = null) {
+        const filePath = path.join(destDir, name);
+        await fs.writeFile(filePath, contents);
+        if (mtime) {
+            await fs.utimes(filePath, mtime, mtime);
+        }
+        return filePath;
+    }
+
+    test("moves straight in when the name is free, whatever the strategy", async () => {
+        for (const strategy of ["rename", "skip-if-identical", "overwrite", "keep-newer", "fail"]) {
+            const op = await planTransfer("move", incoming, destDir, { strategy });
+            assert.deepEqual(op, { action: "move", source: incoming, destination: path.join(destDir, "home.svg"), renamed: false, overwrite: false });
+        }
+    });
+
+    test("rename picks the next free numbered name", async () => {
+        await existing("home.svg", "<svg>old</svg>");
+        await existing("home_1.svg", "<svg>older</svg>");
+        const op = await planTransfer("copy", incoming, destDir, { strategy: "rename" });
+
+        assert.equal(op.destination, path.join(destDir, "home_2.svg"));
+        assert.equal(op.renamed, true);
+    });
+
+    test("skip-if-identical skips a copy under the name or a numbered one, and renames otherwise", async () => {
+        await existing("home.svg", "<svg>old</svg>");
+        assert.equal((await planTransfer("move", incoming, destDir, { strategy: "skip-if-identical" })).destination, path.join(destDir, "home_1.svg"));
+
+        const copy = await existing("home_1.svg", "<svg>new</svg>");
+        const op = await planTransfer("move", incoming, destDir, { strategy: "skip-if-identical" });
+        assert.deepEqual(op, { action: "skip", transfer: "move", source: incoming, destination: copy, renamed: false, overwrite: false, reason: "identical" });
+    });
+
+    test("skip-if-identical compares the contents a file will have once placed", async () => {
+        await existing("home.svg", "<svg>optimised</svg>");
+        const contents = new Map([[incoming, "<svg>optimised</svg>"]]);
+        const op = await planTransfer("move", incoming, destDir, { strategy: "skip-if-identical", contents });
+
+        assert.equal(op.action, "skip");
+        assert.equal(op.reason, "identical");
+    });
+
+    test("overwrite replaces the existing file", async () => {
+        const target = await existing("home.svg", "<svg>old</svg>");
+        const op = await planTransfer("move", incoming, destDir, { strategy: "overwrite" });
+
+        assert.equal(op.destination, target);
+        assert.equal(op.overwrite, true);
+    });
+
+    test("keep-newer replaces only an older file", async () => {
+        const target = await existing("home.svg", "<svg>old</svg>", new Date(2020, 0, 1));
+        assert.equal((await planTransfer("move", incoming, destDir, { strategy: "keep-newer" })).overwrite, true);
+
+        await fs.utimes(target, new Date(), new Date(Date.now() + 60000));
+        const op = await planTransfer("move", incoming, destDir, { strategy: "keep-newer" });
+        assert.equal(op.action, "skip");
+        assert.equal(op.reason, "existing_newer");
+    });
+
+    test("fail throws with the clashing paths in its details", async () => {
+        const target = await existing("home.svg", "<svg>old</svg>");
+        await assert.rejects(planTransfer("move", incoming, destDir, { strategy: "fail" }), (error) => {
+            assert.ok(error instanceof FileConflictError);
+            assert.deepEqual(error.details, { type: "file_conflict", source: incoming, destination: target });
+            return true;
+        });
+    });
+
+    test("never overwrites a destination claimed earlier in the same batch", async () => {
+        const target = path.join(destDir, "home.svg");
+        const reserved = new Map([[target, path.join(base, "other", "home.svg")]]);
+        const op = await planTransfer("move", incoming, destDir, { strategy: "overwrite", reserved });
+
+        assert.equal(op.destination, path.join(destDir, "home_1.svg"));
+        assert.equal(op.overwrite, false);
+    });
+
+    test("availablePath skips taken and reserved names", async () => {
+        await existing("home.svg", "x");
+        const reserved = new Set([path.join(destDir, "home_1.svg")]);
+        assert.equal(await availablePath(destDir, "home.svg", reserved), path.join(destDir, "home_2.svg"));
+    });
+
+    test("filesIdentical compares contents, not names or times", async () => {
+        const same = await existing("same.svg", "<svg>new</svg>", new Date(2020, 0, 1));
+        const other = await existing("other.svg", "<svg>old</svg>");
+        assert.ok(await filesIdentical(incoming, same));
+        assert.ok(!(await filesIdentical(incoming, other)));
+        assert.ok(!(await filesIdentical(incoming, path.join(base, "missing.svg"))));
+    });
+
+    test("checkConflictStrategy names the valid strategies", () => {
+        assert.equal(checkConflictStrategy("keep-newer"), "keep-newer");
+        assert.throws(() => checkConflictStrategy("merge"), /Unknown conflict strategy "merge" \(expected one of: rename, skip-if-identical, overwrite, keep-newer, fail\)/);
+    });
+});
@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { chooseKeeper, findDuplicateGroups } from "../src/duplicates.js";
+
+describe("findDuplicateGroups", () => {
+    let base;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "duplicates-")));
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    async function scan(...names) {
+        return Promise.all(names.map(async (name) => {
+            const filePath = path.join(base, name);
+            const { size, mtimeMs, dev, ino } = await fs.stat(filePath);
+            return { path: filePath, size, mtimeMs, dev, ino };
+        }));
+    }
+
+    test("groups files with the same contents, most wasted space first", async () => {
+        await fs.writeFile(path.join(base, "a.svg"), "<svg>one</svg>");
+        await fs.writeFile(path.join(base, "b.svg"), "<svg>one</svg>");
+        await fs.writeFile(path.join(base, "c.svg"), "<svg>two</svg>");
+        await fs.writeFile(path.join(base, "d.png"), "a much bigger file than the svgs");
+        await fs.writeFile(path.join(base, "e.png"), "a much bigger file than the svgs");
+
+        const groups = await findDuplicateGroups(await scan("a.svg", "b.svg", "c.svg", "d.png", "e.png"));
+
+        assert.deepEqual(groups.map((group) => group.files.map((file) => path.basename(file.path))), [["d.png", "e.png"], ["a.svg", "b.svg"]]);
+        assert.deepEqual(groups.map((group) => group.wasted), [32, 14]);
+    });
+
+    test("counts hard links to the same file as one copy", async () => {
+        await fs.writeFile(path.join(base, "a.svg"), "<svg/>");
+        await fs.link(path.join(base, "a.svg"), path.join(base, "b.svg"));
+        assert.deepEqual(await findDuplicateGroups(await scan("a.svg", "b.svg")), []);
+
+        await fs.writeFile(path.join(base, "c.svg"), "<svg/>");
+        const [group] = await findDuplicateGroups(await scan("a.svg", "b.svg", "c.svg"));
+        assert.equal(group.files.length, 3);
+        assert.equal(group.wasted, 6);
+    });
+
+    test("ignores files below minSize and files gone since the scan", async () => {
+        await fs.writeFile(path.join(base, "a.txt"), "x");
+        await fs.writeFile(path.join(base, "b.txt"), "x");
+        await fs.writeFile(path.join(base, "c.txt"), "x");
+        const files = await scan("a.txt", "b.txt", "c.txt");
+        assert.deepEqual(await findDuplicateGroups(files, { minSize: 2 }), []);
+
+        await fs.rm(path.join(base, "c.txt"));
+        const [group] = await findDuplicateGroups(files);
+        assert.deepEqual(group.files.map((file) => path.basename(file.path)), ["a.txt", "b.txt"]);
+    });
+});
+
+describe("chooseKeeper", () => {
+    const group = {
+        files: [
+            { path: "/d/Downloads/icons/a.svg", mtimeMs: 2 },
+            { path: "/d/Documents/Icons/a.svg", mtimeMs: 3 },
+            { path: "/d/Downloads/a.svg", mtimeMs: 1 },
+        ],
+    };
+
+    test("keeps the oldest, newest or shortest path", () => {
+        assert.equal(chooseKeeper(group).kept.path, "/d/Downloads/a.svg");
+        assert.equal(chooseKeeper(group, "newest").kept.path, "/d/Documents/Icons/a.svg");
+        assert.equal(chooseKeeper(group, "shortest_path").kept.path, "/d/Downloads/a.svg");
+        assert.deepEqual(chooseKeeper(group, "newest").extras.map((file) => file.mtimeMs), [2, 1]);
+    });
+
+    test("breaks ties by path", () => {
+        const tied = { files: [{ path: "/b.svg", mtimeMs: 1 }, { path: "/a.svg", mtimeMs: 1 }] };
+        assert.equal(chooseKeeper(tied).kept.path, "/a.svg");
+    });
+
+    test("refuses unknown choices", () => {
+        assert.throws(() => chooseKeeper(group, "largest"), /Unknown keep choice "largest" \(expected one of: oldest, newest, shortest_path\)/);
+    });
+});
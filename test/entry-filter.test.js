@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createEntryFilter } from "../src/entry-filter.js";
+
+describe("createEntryFilter", () => {
+    test("returns null when nothing is filtered", () => {
+        assert.equal(createEntryFilter(), null);
+        assert.equal(createEntryFilter({ include: [], exclude: "  " }), null);
+    });
+
+    test("matches slash-free patterns against the file name at any depth", () => {
+        const filter = createEntryFilter({ include: "*.svg" });
+        assert.ok(filter("a.svg"));
+        assert.ok(filter("icons/filled/a.svg"));
+        assert.ok(!filter("icons/a.png"));
+    });
+
+    test("matches patterns with a slash against the whole path", () => {
+        const filter = createEntryFilter({ include: ["icons/**/*.svg"] });
+        assert.ok(filter("icons/filled/a.svg"));
+        assert.ok(!filter("other/icons/a.svg"));
+    });
+
+    test("ignores case and matches dotfiles", () => {
+        const filter = createEntryFilter({ include: "*.svg" });
+        assert.ok(filter("icons/A.SVG"));
+        assert.ok(filter(".hidden.svg"));
+    });
+
+    test("drops excluded entries, including '!' patterns in the include list", () => {
+        const filter = createEntryFilter({ include: ["**/*.svg", "!__MACOSX/**"], exclude: ["*-old.svg"] });
+        assert.ok(filter("icons/a.svg"));
+        assert.ok(!filter("__MACOSX/icons/a.svg"));
+        assert.ok(!filter("icons/a-old.svg"));
+    });
+
+    test("keeps everything not excluded when only excludes are given", () => {
+        const filter = createEntryFilter({ exclude: "__MACOSX/**" });
+        assert.ok(filter("readme.txt"));
+        assert.ok(!filter("__MACOSX/._readme.txt"));
+    });
+
+    test("matches directory entries without their trailing slash and Windows separators", () => {
+        const filter = createEntryFilter({ include: "icons/**" });
+        assert.ok(filter("icons/filled/"));
+        assert.ok(filter("icons\\filled\\a.svg"));
+    });
+
+    test("requires one of the given extensions", () => {
+        const filter = createEntryFilter({ extensions: [".SVG"], exclude: "draft*" });
+        assert.ok(filter("icons/a.svg"));
+        assert.ok(!filter("icons/a.png"));
+        assert.ok(!filter("draft-a.svg"));
+    });
+});
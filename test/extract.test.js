@@ -0,0 +1,289 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { createZip } from "../src/create-zip.js";
+import { createEntryFilter } from "../src/entry-filter.js";
+import { extractArchiveFile, ExtractionLimitError, resolveEntryPath } from "../src/extract.js";
+
+const LIMITS = { maxTotalBytes: 1024 * 1024, maxEntries: 100, maxCompressionRatio: 100 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write a zip by hand, so entry names and attributes no real archiver would
+ * produce can be tried. Entries are `{ name, data, symlink, deflate }`.
+ */
+async function writeZip(zipPath, entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, data = "data", symlink = false, deflate = false } of entries) {
+        const raw = Buffer.from(data);
+        const stored = deflate ? zlib.deflateRawSync(raw) : raw;
+        const nameBytes = Buffer.from(name);
+        const fields = { method: deflate ? 8 : 0, crc: crc32(raw), compressedSize: stored.length, size: raw.length };
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(fields.method, 8);
+        local.writeUInt32LE(fields.crc, 14);
+        local.writeUInt32LE(fields.compressedSize, 18);
+        local.writeUInt32LE(fields.size, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(0x031e, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(fields.method, 10);
+        central.writeUInt32LE(fields.crc, 16);
+        central.writeUInt32LE(fields.compressedSize, 20);
+        central.writeUInt32LE(fields.size, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(((symlink ? 0o120777 : 0o100644) << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, stored);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + stored.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    await fs.writeFile(zipPath, Buffer.concat([...locals, directory, end]));
+}
+
+async function exists(filePath) {
+    return fs.lstat(filePath).then(() => true, () => false);
+}
+
+describe("resolveEntryPath", () => {
+    test("keeps ordinary names inside the extraction directory", () => {
+        assert.equal(resolveEntryPath("/x/pack", "icons/a.svg").target, path.join("/x/pack", "icons", "a.svg"));
+    });
+
+    test("rejects traversal, absolute paths and null bytes", () => {
+        assert.equal(resolveEntryPath("/x/pack", "../evil.txt").reason, "path_traversal");
+        assert.equal(resolveEntryPath("/x/pack", "icons/../../evil.txt").reason, "path_traversal");
+        assert.equal(resolveEntryPath("/x/pack", "..\\evil.txt").reason, "path_traversal");
+        assert.equal(resolveEntryPath("/x/pack", "/etc/passwd").reason, "absolute_path");
+        assert.equal(resolveEntryPath("/x/pack", "C:\\Windows\\evil.dll").reason, "absolute_path");
+        assert.equal(resolveEntryPath("/x/pack", "a\0.txt").reason, "invalid_name");
+    });
+});
+
+describe("extracting zips", () => {
+    let base;
+    let zipPath;
+    let extractDir;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "extract-")));
+        zipPath = path.join(base, "pack.zip");
+        extractDir = path.join(base, "pack");
+        await fs.mkdir(path.join(base, "outside"));
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    test("writes safe entries and rejects ones that escape", async () => {
+        await writeZip(zipPath, [
+            { name: "ok/a.txt" },
+            { name: "../evil.txt" },
+            { name: "/tmp/evil.txt" },
+            { name: "link", data: "/etc/passwd", symlink: true },
+        ]);
+        const result = await extractArchiveFile(zipPath, base, { limits: LIMITS });
+
+        assert.deepEqual(result.extracted.map((file) => file.name), ["ok/a.txt"]);
+        assert.deepEqual(result.rejected.map((r) => r.reason), ["path_traversal", "absolute_path", "symlink"]);
+        assert.ok(!(await exists(path.join(base, "evil.txt"))));
+        assert.ok(!(await exists(path.join(extractDir, "link"))));
+    });
+
+    test("never creates folders or files through a symlinked folder out of the extraction directory", async () => {
+        await fs.mkdir(extractDir);
+        await fs.symlink(path.join(base, "outside"), path.join(extractDir, "link"));
+        await writeZip(zipPath, [
+            { name: "link/evildir/", data: "" },
+            { name: "link/made/by/file.txt" },
+            { name: "link/file.txt" },
+        ]);
+        const result = await extractArchiveFile(zipPath, base, { limits: LIMITS });
+
+        assert.equal(result.extracted.length, 0);
+        assert.deepEqual(result.rejected.map((r) => r.name), ["link/evildir/", "link/made/by/file.txt", "link/file.txt"]);
+        assert.deepEqual(await fs.readdir(path.join(base, "outside")), []);
+    });
+
+    test("a dry run rejects the same entries and writes nothing", async () => {
+        await fs.mkdir(extractDir);
+        await fs.symlink(path.join(base, "outside"), path.join(extractDir, "link"));
+        await writeZip(zipPath, [{ name: "link/made/file.txt" }, { name: "new/file.txt" }]);
+        const result = await extractArchiveFile(zipPath, base, { limits: LIMITS, dryRun: true });
+
+        assert.deepEqual(result.extracted.map((file) => file.name), ["new/file.txt"]);
+        assert.deepEqual(result.rejected.map((r) => r.name), ["link/made/file.txt"]);
+        assert.ok(!(await exists(path.join(extractDir, "new"))));
+        assert.deepEqual(await fs.readdir(path.join(base, "outside")), []);
+    });
+
+    test("doesn't write through an existing symlink when overwriting", async () => {
+        await fs.mkdir(extractDir);
+        const victim = path.join(base, "outside", "victim.txt");
+        await fs.writeFile(victim, "keep me");
+        await fs.symlink(victim, path.join(extractDir, "a.txt"));
+        await writeZip(zipPath, [{ name: "a.txt", data: "new" }]);
+        await extractArchiveFile(zipPath, base, { limits: LIMITS, overwrite: true });
+
+        assert.equal(await fs.readFile(victim, "utf8"), "keep me");
+        assert.equal(await fs.readFile(path.join(extractDir, "a.txt"), "utf8"), "new");
+    });
+
+    test("skips files that already exist, reporting where they are", async () => {
+        await fs.mkdir(extractDir);
+        await fs.writeFile(path.join(extractDir, "a.txt"), "old");
+        await writeZip(zipPath, [{ name: "a.txt" }]);
+        const result = await extractArchiveFile(zipPath, base, { limits: LIMITS });
+
+        assert.deepEqual(result.rejected, [{ name: "a.txt", reason: "already_exists", message: "a file with this name already exists", path: path.join(extractDir, "a.txt") }]);
+        assert.equal(await fs.readFile(path.join(extractDir, "a.txt"), "utf8"), "old");
+    });
+
+    test("leaves out just the entries a file or folder on disk is in the way of", async () => {
+        await fs.mkdir(path.join(extractDir, "icons"), { recursive: true });
+        await fs.writeFile(path.join(extractDir, "notes"), "a file, not a folder");
+        await fs.writeFile(path.join(extractDir, "docs"), "another file");
+        await writeZip(zipPath, [
+            { name: "notes/a.txt" },
+            { name: "docs/", data: "" },
+            { name: "icons", data: "a file where a folder is" },
+            { name: "ok.txt" },
+        ]);
+
+        for (const options of [{ dryRun: true }, {}, { overwrite: true }]) {
+            const result = await extractArchiveFile(zipPath, base, { limits: LIMITS, ...options });
+
+            assert.deepEqual(result.rejected.map((r) => [r.name, r.reason]), [["notes/a.txt", "path_conflict"], ["docs/", "path_conflict"], ["icons", "path_conflict"]]);
+            assert.deepEqual(result.extracted.map((file) => file.name), ["ok.txt"]);
+            await fs.rm(path.join(extractDir, "ok.txt"), { force: true });
+        }
+        assert.ok((await fs.stat(path.join(extractDir, "icons"))).isDirectory());
+        assert.equal(await fs.readFile(path.join(extractDir, "notes"), "utf8"), "a file, not a folder");
+    });
+
+    test("refuses archives over the entry and size limits before writing anything", async () => {
+        await writeZip(zipPath, Array.from({ length: 5 }, (_, index) => ({ name: `${index}.txt` })));
+        await assert.rejects(extractArchiveFile(zipPath, base, { limits: { ...LIMITS, maxEntries: 4 } }), ExtractionLimitError);
+        await assert.rejects(extractArchiveFile(zipPath, base, { limits: { ...LIMITS, maxTotalBytes: 10 } }), ExtractionLimitError);
+        assert.ok(!(await exists(extractDir)));
+    });
+
+    test("leaves out unselected entries without counting them against the limits", async () => {
+        await writeZip(zipPath, [{ name: "a.svg" }, { name: "b.png" }, { name: "c.png" }]);
+        const filter = createEntryFilter({ include: "*.svg" });
+        const result = await extractArchiveFile(zipPath, base, { limits: { ...LIMITS, maxEntries: 1 }, filter });
+
+        assert.deepEqual(result.extracted.map((file) => file.name), ["a.svg"]);
+        assert.equal(result.filteredOut, 2);
+        assert.ok(!(await exists(path.join(extractDir, "b.png"))));
+    });
+
+    test("rejects entries with an implausible compression ratio", async () => {
+        await writeZip(zipPath, [{ name: "bomb.bin", data: Buffer.alloc(100000), deflate: true }]);
+        const result = await extractArchiveFile(zipPath, base, { limits: LIMITS });
+
+        assert.equal(result.rejected[0].reason, "compression_ratio");
+        assert.ok(!(await exists(path.join(extractDir, "bomb.bin"))));
+    });
+
+    test("reads back zips written by create_zip", async () => {
+        const source = path.join(base, "a.svg");
+        await fs.writeFile(source, "<svg/>");
+        await createZip(zipPath, [{ sourcePath: source, name: "icons/a.svg" }]);
+
+        const result = await extractArchiveFile(zipPath, base, { limits: LIMITS });
+
+        assert.equal(result.format, "zip");
+        assert.equal(result.extractPath, extractDir);
+        assert.equal(await fs.readFile(path.join(extractDir, "icons", "a.svg"), "utf8"), "<svg/>");
+    });
+});
+
+describe("nested archives", () => {
+    let base;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "nested-")));
+        await fs.writeFile(path.join(base, "a.svg"), "<svg/>");
+        await createZip(path.join(base, "deepest.zip"), [{ sourcePath: path.join(base, "a.svg"), name: "a.svg" }]);
+        await createZip(path.join(base, "inner.zip"), [
+            { sourcePath: path.join(base, "a.svg"), name: "a.svg" },
+            { sourcePath: path.join(base, "deepest.zip"), name: "deepest.zip" },
+        ]);
+        await createZip(path.join(base, "outer.zip"), [
+            { sourcePath: path.join(base, "a.svg"), name: "b.svg" },
+            { sourcePath: path.join(base, "inner.zip"), name: "icons/inner.zip" },
+        ]);
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    test("expands archives inside archives down to maxDepth, replacing each with its folder", async () => {
+        const result = await extractArchiveFile(path.join(base, "outer.zip"), base, { limits: LIMITS, maxDepth: 1 });
+        const innerDir = path.join(base, "outer", "icons", "inner");
+
+        assert.deepEqual(result.nested.map((n) => [n.archive, n.extractPath]), [["icons/inner.zip", innerDir]]);
+        assert.deepEqual(result.notExpanded.map((n) => n.archive), ["icons/inner.zip > deepest.zip"]);
+        assert.deepEqual(result.extracted.map((file) => [file.name, file.archive]).sort(), [
+            ["a.svg", "icons/inner.zip"],
+            ["b.svg", null],
+            ["deepest.zip", "icons/inner.zip"],
+        ]);
+        assert.equal(await fs.readFile(path.join(innerDir, "a.svg"), "utf8"), "<svg/>");
+        assert.ok(!(await exists(path.join(base, "outer", "icons", "inner.zip"))));
+    });
+
+    test("keeps a nested archive that overwrote a file already there", async () => {
+        const innerPath = path.join(base, "outer", "icons", "inner.zip");
+        await fs.mkdir(path.dirname(innerPath), { recursive: true });
+        await fs.writeFile(innerPath, "the user's own file");
+
+        const result = await extractArchiveFile(path.join(base, "outer.zip"), base, { limits: LIMITS, maxDepth: 1, overwrite: true });
+
+        assert.deepEqual(result.nested.map((n) => n.archive), ["icons/inner.zip"]);
+        assert.ok(await exists(innerPath));
+        assert.ok(await exists(path.join(base, "outer", "icons", "inner", "a.svg")));
+    });
+
+    test("applies the include filter inside nested archives", async () => {
+        const filter = createEntryFilter({ include: "a.svg" });
+        const result = await extractArchiveFile(path.join(base, "outer.zip"), base, { limits: LIMITS, maxDepth: 2, filter });
+
+        assert.deepEqual(result.extracted.map((file) => file.archive).sort(), ["icons/inner.zip", "icons/inner.zip > deepest.zip"]);
+        assert.ok(!(await exists(path.join(base, "outer", "b.svg"))));
+    });
+});
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { ArchivePasswordError } from "../src/archive/index.js";
+import { createZip } from "../src/create-zip.js";
+import { extractArchiveFile } from "../src/extract.js";
+import { Journal, withoutSecrets } from "../src/journal.js";
+import { compilePipelines, pipelineArgs } from "../src/watch.js";
+
+const LIMITS = { maxTotalBytes: 1024 * 1024, maxEntries: 100, maxCompressionRatio: 100 };
+const PASSWORD = "s3cret {archive} {date}";
+
+describe("encrypted zips", () => {
+    let base;
+
+    before(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "passwords-")));
+        await fs.writeFile(path.join(base, "a.svg"), "<svg/>");
+        for (const encryption of ["aes256", "zipcrypto"]) {
+            await createZip(path.join(base, `${encryption}.zip`), [{ sourcePath: path.join(base, "a.svg"), name: "a.svg" }], { password: PASSWORD, encryption });
+        }
+    });
+
+    after(() => fs.rm(base, { recursive: true, force: true }));
+
+    for (const encryption of ["aes256", "zipcrypto"]) {
+        test(`${encryption} entries extract with the right password`, async () => {
+            const result = await extractArchiveFile(path.join(base, `${encryption}.zip`), path.join(base, "out"), { limits: LIMITS, password: PASSWORD });
+            assert.equal(await fs.readFile(path.join(result.extractPath, "a.svg"), "utf8"), "<svg/>");
+        });
+    }
+
+    test("asks for a password before writing anything", async () => {
+        const destDir = path.join(base, "missing");
+        await assert.rejects(
+            extractArchiveFile(path.join(base, "aes256.zip"), destDir, { limits: LIMITS }),
+            (error) => error instanceof ArchivePasswordError && error.details.type === "password_required"
+        );
+        await assert.rejects(fs.access(destDir));
+    });
+
+    test("reports a wrong password and leaves no partial file", async () => {
+        const destDir = path.join(base, "wrong");
+        await assert.rejects(
+            extractArchiveFile(path.join(base, "aes256.zip"), destDir, { limits: LIMITS, password: "nope" }),
+            (error) => error instanceof ArchivePasswordError && error.details.type === "wrong_password"
+        );
+        await assert.rejects(fs.access(path.join(destDir, "aes256", "a.svg")));
+    });
+});
+
+describe("password redaction", () => {
+    let base;
+
+    before(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "redaction-")));
+    });
+
+    after(() => fs.rm(base, { recursive: true, force: true }));
+
+    test("withoutSecrets drops the password and keeps everything else", () => {
+        assert.deepEqual(withoutSecrets({ filename: "a.zip", password: PASSWORD }), { filename: "a.zip" });
+        assert.deepEqual(withoutSecrets(undefined), {});
+    });
+
+    test("the journal never stores the password", async () => {
+        const journal = new Journal(path.join(base, "journal.jsonl"));
+        const run = journal.begin("unzip_file", { filename: "a.zip", password: PASSWORD });
+        run.createdDirectory(path.join(base, "a"));
+        await journal.finish(run);
+
+        const text = await fs.readFile(journal.filePath, "utf8");
+        assert.ok(!text.includes("s3cret"));
+        assert.equal(JSON.parse(text).args.filename, "a.zip");
+    });
+
+    test("watcher pipelines pass the password through unrendered", () => {
+        const [pipeline] = compilePipelines([
+            { tool: "unzip_and_organize", args: { password: PASSWORD, destination_folder: "documents/{archive}" } },
+        ]);
+        const args = pipelineArgs(pipeline, { name: "icons.zip", mtime: new Date("2026-01-02T00:00:00Z") });
+
+        assert.equal(args.password, PASSWORD);
+        assert.equal(args.destination_folder, "documents/icons");
+        assert.equal(args.filename, "icons.zip");
+    });
+});
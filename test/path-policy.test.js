@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { isInside, PathAccessError, PathPolicy } from "../src/path-policy.js";
+
+describe("PathPolicy", () => {
+    let base;
+    let roots;
+    let policy;
+
+    before(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "path-policy-")));
+        roots = { downloads: path.join(base, "Downloads"), documents: path.join(base, "Documents") };
+        await fs.mkdir(roots.downloads);
+        await fs.mkdir(roots.documents);
+        await fs.mkdir(path.join(base, "outside"));
+        await fs.symlink(path.join(base, "outside"), path.join(roots.downloads, "escape"));
+        policy = new PathPolicy(roots);
+    });
+
+    after(() => fs.rm(base, { recursive: true, force: true }));
+
+    const denied = (reason) => (error) => error instanceof PathAccessError && error.details.reason === reason;
+
+    test("resolves root names, root subfolders and relative locations", async () => {
+        assert.equal(await policy.resolve(undefined, "downloads"), roots.downloads);
+        assert.equal(await policy.resolve("documents/Icons", "downloads"), path.join(roots.documents, "Icons"));
+        assert.equal(await policy.resolve("Icons", "documents"), path.join(roots.documents, "Icons"));
+    });
+
+    test("accepts absolute paths inside a root, including ones that don't exist yet", async () => {
+        const target = path.join(roots.documents, "new", "folder");
+        assert.equal(await policy.resolve(target, "downloads"), target);
+    });
+
+    test("denies absolute paths outside every root", async () => {
+        await assert.rejects(policy.resolve(path.join(base, "outside"), "downloads"), denied("outside_roots"));
+    });
+
+    test("denies relative locations that climb out of their root", async () => {
+        await assert.rejects(policy.resolve("../outside", "downloads"), denied("parent_traversal"));
+        await assert.rejects(policy.resolve("documents/../../outside", "downloads"), denied("parent_traversal"));
+    });
+
+    test("denies paths that lead out of the roots through a symlink", async () => {
+        await assert.rejects(policy.resolve("escape", "downloads"), denied("symlink_escape"));
+        await assert.rejects(policy.resolve("escape/not/created/yet", "downloads"), denied("symlink_escape"));
+    });
+
+    test("resolveWithin refuses absolute names and names that climb out", async () => {
+        await assert.rejects(policy.resolveWithin(roots.downloads, path.join(base, "outside")), denied("absolute_name"));
+        await assert.rejects(policy.resolveWithin(roots.downloads, "../Documents/file.txt"), denied("parent_traversal"));
+        await assert.rejects(policy.resolveWithin(roots.downloads, "escape/file.txt"), denied("symlink_escape"));
+        assert.equal(await policy.resolveWithin(roots.downloads, "icons.zip"), path.join(roots.downloads, "icons.zip"));
+    });
+
+    test("lists the allowed roots in the error details", async () => {
+        await assert.rejects(policy.resolve(os.tmpdir(), "downloads"), (error) => {
+            assert.deepEqual(error.details.allowedRoots, roots);
+            assert.equal(error.details.type, "path_access_denied");
+            return true;
+        });
+    });
+});
+
+describe("isInside", () => {
+    test("counts the folder itself and anything below it", () => {
+        assert.ok(isInside("/a/b", "/a/b"));
+        assert.ok(isInside("/a/b", "/a/b/c/d"));
+    });
+
+    test("doesn't count siblings that share a prefix", () => {
+        assert.ok(!isInside("/a/b", "/a/bc"));
+        assert.ok(!isInside("/a/b", "/a"));
+        assert.ok(!isInside("/a/b", "/a/b/../c"));
+    });
+});
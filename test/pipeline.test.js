@@ -0,0 +1,142 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { FileManagerServer } from "../index.js";
+import { loadConfig } from "../src/config.js";
+import { createZip } from "../src/create-zip.js";
+import { compilePipelineTools } from "../src/pipeline.js";
+
+const IMPORT_ICONS = {
+    name: "import_icons",
+    steps: [
+        { select: { archives: true, latest: 1 } },
+        { extract: {} },
+        { filter: { extensions: ["svg"] } },
+        { move: { to: "documents/Icons" } },
+        { cleanup: {} },
+    ],
+};
+
+describe("compilePipelineTools", () => {
+    const compile = (steps, name = "import_icons") => compilePipelineTools([{ name, steps }], {}, ["list_files"]);
+
+    test("accepts a pipeline and fills in its description", () => {
+        const [pipeline] = compilePipelineTools([IMPORT_ICONS]);
+        assert.deepEqual(pipeline.steps.map((step) => step.type), ["select", "extract", "filter", "move", "cleanup"]);
+        assert.equal(pipeline.description, "Run the \"import_icons\" pipeline");
+    });
+
+    test("rejects unknown steps and options", () => {
+        assert.throws(() => compile([{ select: {} }, { unpack: {} }]), /step 2 must be an object with one of: select/);
+        assert.throws(() => compile([{ select: { newest: 1 } }]), /step 1 \(select\): unknown option\(s\) newest/);
+    });
+
+    test("needs a select step first", () => {
+        assert.throws(() => compile([{ extract: {} }]), /must start with a select step/);
+    });
+
+    test("needs a move or copy after a rename", () => {
+        assert.throws(() => compile([{ select: {} }, { rename: { case: "kebab" } }, { cleanup: {} }]), /step 2 \(rename\) must be followed by a move or copy/);
+    });
+
+    test("won't take the name of a built-in tool", () => {
+        assert.throws(() => compile([{ select: {} }], "list_files"), /has the name of a built-in tool/);
+    });
+});
+
+describe("pipeline tools", () => {
+    let base;
+    let downloads;
+    let documents;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "pipeline-")));
+        downloads = path.join(base, "Downloads");
+        documents = path.join(base, "Documents");
+        await fs.mkdir(downloads);
+        await fs.mkdir(documents);
+    });
+
+    afterEach(async () => {
+        await fs.rm(base, { recursive: true, force: true });
+    });
+
+    async function createServer(pipelines) {
+        const configFile = path.join(base, "config.json");
+        await fs.writeFile(configFile, JSON.stringify({
+            roots: { downloads, documents },
+            journal: { path: path.join(base, "journal.jsonl") },
+            watch: { historyPath: path.join(base, "watch-history.jsonl") },
+            pipelines,
+        }));
+        return new FileManagerServer(loadConfig({ argv: ["--config", configFile], env: {} }));
+    }
+
+    async function createIconPack() {
+        const source = path.join(base, "source");
+        await fs.mkdir(source);
+        await fs.writeFile(path.join(source, "a.svg"), "<svg/>");
+        await fs.writeFile(path.join(source, "readme.txt"), "read me");
+        await createZip(path.join(downloads, "icons.zip"), [
+            { sourcePath: path.join(source, "a.svg"), name: "icons/a.svg" },
+            { sourcePath: path.join(source, "readme.txt"), name: "readme.txt" },
+        ]);
+    }
+
+    test("are listed after the built-in tools", async () => {
+        const server = await createServer([IMPORT_ICONS]);
+        const tools = server.toolDefinitions();
+        assert.equal(tools.at(-1).name, "import_icons");
+        assert.ok(tools.some((tool) => tool.name === "list_files"));
+    });
+
+    test("can't take the name of a built-in tool", async () => {
+        await assert.rejects(createServer([{ ...IMPORT_ICONS, name: "list_files" }]), /has the name of a built-in tool/);
+    });
+
+    test("select, extract, filter, move and clean up", async () => {
+        await createIconPack();
+        const server = await createServer([IMPORT_ICONS]);
+
+        const result = await server.runTool("import_icons", {});
+
+        assert.equal(result.isError, undefined, result.content[0].text);
+        assert.deepEqual(result.structuredContent.steps.map((step) => [step.step, step.files]), [
+            ["select", 1],
+            ["extract", 2],
+            ["filter", 1],
+            ["move", 1],
+            ["cleanup", 1],
+        ]);
+        const moved = path.join(documents, "Icons", "a.svg");
+        assert.deepEqual(result.structuredContent.files, [moved]);
+        assert.equal(await fs.readFile(moved, "utf8"), "<svg/>");
+        // The extraction folder went, with the file the filter left behind
+        assert.deepEqual(await fs.readdir(downloads), ["icons.zip"]);
+        assert.ok(result.structuredContent.operationId);
+    });
+
+    test("change nothing on a dry run", async () => {
+        await createIconPack();
+        const server = await createServer([IMPORT_ICONS]);
+
+        const result = await server.runTool("import_icons", { dry_run: true });
+
+        assert.equal(result.isError, undefined, result.content[0].text);
+        assert.equal(result.structuredContent.dryRun, true);
+        assert.deepEqual(result.structuredContent.files, [path.join(documents, "Icons", "a.svg")]);
+        assert.deepEqual(await fs.readdir(downloads), ["icons.zip"]);
+        assert.deepEqual(await fs.readdir(documents), []);
+    });
+
+    test("say which step failed", async () => {
+        const server = await createServer([IMPORT_ICONS]);
+
+        const result = await server.runTool("import_icons", {});
+
+        assert.equal(result.isError, true);
+        assert.match(result.content[0].text, /^Error: Step 1 \(select\) failed: Nothing in .* matches the import_icons selection/);
+    });
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { compileRename } from "../src/rename.js";
+
+const context = { archive: null, index: 3, count: 12, date: new Date(2026, 2, 7) };
+
+function rename(options, filename, overrides = {}) {
+    return compileRename(options)(filename, { ...context, ...overrides });
+}
+
+describe("compileRename", () => {
+    test("returns null when no renaming was asked for", () => {
+        assert.equal(compileRename(undefined), null);
+        assert.equal(compileRename({}), null);
+    });
+
+    test("refuses unknown cases and placeholders", () => {
+        assert.throws(() => compileRename({ case: "camel" }), /Unknown rename case "camel" \(expected one of: keep, lower, kebab, snake\)/);
+        assert.throws(() => compileRename({ template: "{name}-{size}" }), /Unknown rename placeholder\(s\): \{size\}/);
+    });
+
+    test("fills in the template placeholders", () => {
+        assert.equal(rename({ template: "{archive}-{index}-{name}" }, "home.svg", { archive: "brand.tar.gz" }), "brand-03-home.svg");
+        assert.equal(rename({ template: "{date}_{name}" }, "home.svg"), "2026-03-07_home.svg");
+        assert.equal(rename({ template: "{archive}{name}" }, "home.svg"), "home.svg");
+    });
+
+    test("adds a prefix and suffix around the template", () => {
+        assert.equal(rename({ prefix: "ic-", suffix: "-v2" }, "home.svg"), "ic-home-v2.svg");
+    });
+
+    test("normalises case, lowering the extension for kebab and snake", () => {
+        assert.equal(rename({ case: "lower" }, "Home Icon.SVG"), "home icon.SVG");
+        assert.equal(rename({ case: "kebab" }, "Icon=Arrow, Style=Filled.SVG"), "icon-arrow-style-filled.svg");
+        assert.equal(rename({ case: "kebab" }, "arrowLeftCircle.svg"), "arrow-left-circle.svg");
+        assert.equal(rename({ case: "snake" }, "Arrow Left (Filled).svg"), "arrow_left_filled.svg");
+        assert.equal(rename({ case: "keep" }, "Arrow Left.svg"), "Arrow Left.svg");
+    });
+
+    test("strips the size tokens vendors put in names", () => {
+        const strip = { strip_size: true };
+        assert.equal(rename(strip, "Icon=Arrow, Size=24.svg"), "Icon=Arrow.svg");
+        assert.equal(rename(strip, "home-24px.svg"), "home.svg");
+        assert.equal(rename(strip, "logo_16x16.png"), "logo.png");
+        assert.equal(rename(strip, "logo@2x.png"), "logo.png");
+        assert.equal(rename(strip, "arrow-24.svg"), "arrow.svg");
+        assert.equal(rename({ ...strip, case: "kebab" }, "Icon=Arrow, Size=24, Style=Filled.svg"), "icon-arrow-style-filled.svg");
+    });
+
+    test("keeps numbers that aren't size tokens", () => {
+        const strip = { strip_size: true };
+        assert.equal(rename(strip, "v224px.svg"), "v224px.svg");
+        assert.equal(rename(strip, "route-66.svg"), "route-66.svg");
+    });
+
+    test("replaces characters no file name may contain", () => {
+        assert.equal(rename({ template: "{archive}:{name}" }, "home.svg", { archive: "a<b>.zip" }), "a_b__home.svg");
+    });
+
+    test("falls back to the original name when nothing is left", () => {
+        assert.equal(rename({ strip_size: true }, "24px.svg"), "24px.svg");
+        assert.equal(rename({ template: "{archive}" }, "home.svg"), "home.svg");
+    });
+});
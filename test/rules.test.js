@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { compileRules, findMatchingRule, parseSize, renderDestination } from "../src/rules.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 4, 20, 12).getTime();
+
+function file(name, { size = 1000, ageDays = 1, archive = null } = {}) {
+    return { name, size, mtime: new Date(NOW - ageDays * DAY_MS), archive };
+}
+
+describe("parseSize", () => {
+    test("reads bytes and sizes with units", () => {
+        assert.equal(parseSize(512), 512);
+        assert.equal(parseSize("512"), 512);
+        assert.equal(parseSize("500 KB"), 500 * 1024);
+        assert.equal(parseSize("1.5mb"), 1.5 * 1024 ** 2);
+        assert.equal(parseSize("2 GB"), 2 * 1024 ** 3);
+    });
+
+    test("refuses anything else", () => {
+        assert.throws(() => parseSize("big"), /Invalid size "big"/);
+        assert.throws(() => parseSize("5 TB"), /Invalid size/);
+    });
+});
+
+describe("compileRules", () => {
+    test("refuses rules that can't work, naming them", () => {
+        assert.throws(() => compileRules({}), /"rules" must be a list/);
+        assert.throws(() => compileRules([{ match: { extensions: ["pdf"] } }]), /Rule "rule 1" has no destination/);
+        assert.throws(() => compileRules([{ name: "All", destination: "documents" }]), /Rule "All" has no match conditions/);
+        assert.throws(() => compileRules([{ name: "Bad", match: { filename: "(" }, destination: "documents" }]), /Rule "Bad": invalid filename pattern/);
+        assert.throws(() => compileRules([{ match: { minSize: "lots" }, destination: "documents" }]), /Invalid size "lots"/);
+    });
+
+    test("requires every condition of a rule to hold", () => {
+        const [rule] = compileRules([{
+            match: { extensions: [".PDF"], filename: "invoice|receipt", minSize: "1 KB", maxSize: "1 MB", newerThanDays: 30 },
+            destination: "documents/Invoices",
+        }]);
+        assert.ok(rule.matches(file("Invoice-042.pdf", { size: 2048 }), NOW));
+        assert.ok(!rule.matches(file("Invoice-042.png", { size: 2048 }), NOW));
+        assert.ok(!rule.matches(file("report.pdf", { size: 2048 }), NOW));
+        assert.ok(!rule.matches(file("invoice.pdf", { size: 10 }), NOW));
+        assert.ok(!rule.matches(file("invoice.pdf", { size: 2 * 1024 ** 2 }), NOW));
+        assert.ok(!rule.matches(file("invoice.pdf", { size: 2048, ageDays: 31 }), NOW));
+    });
+
+    test("matches files by age and by the archive they came from", () => {
+        const [old, icons] = compileRules([
+            { match: { olderThanDays: 90 }, destination: "documents/Archive" },
+            { match: { archive: "^icons?" }, destination: "documents/Icons" },
+        ]);
+        assert.ok(old.matches(file("a.txt", { ageDays: 91 }), NOW));
+        assert.ok(!old.matches(file("a.txt", { ageDays: 89 }), NOW));
+        assert.ok(icons.matches(file("a.svg", { archive: "Icons-v2.zip" }), NOW));
+        assert.ok(!icons.matches(file("a.svg"), NOW));
+    });
+});
+
+describe("findMatchingRule", () => {
+    test("picks the first rule that matches", () => {
+        const rules = compileRules([
+            { name: "Invoices", match: { filename: "invoice" }, destination: "documents/Invoices" },
+            { name: "PDFs", match: { extensions: ["pdf"] }, destination: "documents/PDF" },
+        ]);
+        assert.equal(findMatchingRule(rules, file("invoice.pdf"), NOW).name, "Invoices");
+        assert.equal(findMatchingRule(rules, file("manual.pdf"), NOW).name, "PDFs");
+        assert.equal(findMatchingRule(rules, file("photo.jpg"), NOW), null);
+    });
+});
+
+describe("renderDestination", () => {
+    const mtime = new Date(2026, 0, 5);
+
+    test("fills in the date, name, extension and archive placeholders", () => {
+        const rendered = renderDestination("documents/{yyyy}/{yy}-{MM}-{dd}/{archive}/{name}.{ext}", { name: "Logo.SVG", mtime, archive: "brand.tar.gz" });
+        assert.equal(rendered, "documents/2026/26-01-05/brand/Logo.svg");
+    });
+
+    test("leaves unknown placeholders alone", () => {
+        assert.equal(renderDestination("documents/{client}", { name: "a.pdf", mtime, archive: null }), "documents/{client}");
+    });
+
+    test("never lets a substituted value add path segments", () => {
+        assert.equal(renderDestination("documents/{name}", { name: "..", mtime, archive: null }), "documents/_");
+        assert.equal(renderDestination("documents/{archive}", { name: "a.svg", mtime, archive: "..zip" }), "documents/_");
+    });
+});
@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { inspectSvg } from "../src/svg/inspect.js";
+import { optimizeSvg } from "../src/svg/optimize.js";
+
+function svg(body, attributes = "") {
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"${attributes}>${body}</svg>`;
+}
+
+// Markup that runs script or loads something from elsewhere once rendered
+const UNSAFE = {
+    "a <set> writing a javascript: href": svg("<a><set attributeName=\"href\" to=\"javascript:alert(1)\"/><text>x</text></a>"),
+    "an <animate> writing a javascript: xlink:href": svg("<a><animate attributeName=\"xlink:href\" values=\"#a;javascript:alert(1)\"/><text>x</text></a>"),
+    "an <animate> writing an event handler": svg("<rect><animate attributeName=\"onclick\" to=\"alert(1)\"/></rect>"),
+    "an uppercase <SCRIPT>": svg("<SCRIPT>alert(1)</SCRIPT>"),
+    "a prefixed <svg:script>": svg("<svg:script xmlns:svg=\"http://www.w3.org/2000/svg\">alert(1)</svg:script>"),
+    "an embedded SVG image": svg("<image href=\"data:image/svg+xml;base64,PHN2Zz48c2NyaXB0Lz48L3N2Zz4=\"/>"),
+    "a javascript: link with a tab in the scheme": svg("<a href=\"java&#9;script:alert(1)\"><text>x</text></a>"),
+    "an uppercase event handler": svg("<rect ONLOAD=\"alert(1)\"/>"),
+    "an external image": svg("<image href=\"https://example.com/a.png\"/>"),
+    "an external url() in a style": svg("<rect style=\"fill:url(https://example.com/a.svg#g)\"/>"),
+};
+
+describe("optimizeSvg sanitising", () => {
+    for (const [label, source] of Object.entries(UNSAFE)) {
+        test(`removes ${label}`, () => {
+            const { output, changes } = optimizeSvg(source);
+            assert.doesNotMatch(output, /script|onclick|onload|svg\+xml|example\.com/i);
+            assert.ok(changes.some((change) => change.startsWith("removed")), changes.join(", "));
+        });
+    }
+
+    test("keeps fragment links, raster images and harmless animations", () => {
+        const source = svg([
+            "<defs><linearGradient id=\"g\"/></defs>",
+            "<rect fill=\"url(#g)\" width=\"1\"><animate attributeName=\"width\" to=\"2\"/></rect>",
+            "<use href=\"#g\"/>",
+            "<image href=\"data:image/png;base64,iVBORw0KGgo=\"/>",
+        ].join(""));
+        const { output, changes } = optimizeSvg(source);
+        assert.equal(output, source);
+        assert.deepEqual(changes, []);
+    });
+
+    test("leaves everything in place with sanitize off", () => {
+        const source = svg("<SCRIPT>alert(1)</SCRIPT>");
+        assert.equal(optimizeSvg(source, { sanitize: false }).output, source);
+    });
+});
+
+describe("optimizeSvg rounding", () => {
+    test("reports rounding only when a number changed", () => {
+        assert.deepEqual(optimizeSvg(svg("<path d=\"M1 2L3 4\"/>")).changes, []);
+
+        const { output, changes } = optimizeSvg(svg("<path d=\"M1.23456 2L3 4\"/>"));
+        assert.match(output, /d="M1.235 2L3 4"/);
+        assert.deepEqual(changes, ["rounded numbers to 3 decimal place(s)"]);
+    });
+
+    test("keeps arc flags written without separators", () => {
+        const { output } = optimizeSvg(svg("<path d=\"M0 0a1.11111 1 0 011 1\"/>"), { precision: 2 });
+        assert.match(output, /d="M0 0a1.11 1 0 0 1 1 1"/);
+    });
+});
+
+describe("inspectSvg safety", () => {
+    for (const [label, source] of Object.entries(UNSAFE)) {
+        test(`flags ${label} as unsafe`, () => {
+            assert.equal(inspectSvg(source).unsafe, true);
+        });
+    }
+
+    test("says what makes a file unsafe", () => {
+        const report = inspectSvg(svg([
+            "<SCRIPT>alert(1)</SCRIPT>",
+            "<a><set attributeName=\"href\" to=\"javascript:alert(1)\"/></a>",
+            "<image href=\"data:image/svg+xml;base64,PHN2Zy8+\"/>",
+            "<style>@import url(https://example.com/a.css);</style>",
+        ].join("")));
+        assert.deepEqual(report.scripts, ["<SCRIPT> element", "<set> animating href"]);
+        assert.deepEqual(report.externalReferences, ["data:image/svg+xml", "https://example.com/a.css"]);
+    });
+
+    test("passes files the optimiser leaves alone", () => {
+        const report = inspectSvg(svg("<defs><linearGradient id=\"g\"/></defs><rect fill=\"url(#g)\"/><image href=\"data:image/png;base64,iVBORw0KGgo=\"/>"));
+        assert.equal(report.unsafe, false);
+        assert.equal(report.embeddedImages, 1);
+    });
+
+    test("agrees with the optimiser: sanitised output is never unsafe", () => {
+        for (const source of Object.values(UNSAFE)) {
+            assert.equal(inspectSvg(optimizeSvg(source).output).unsafe, false);
+        }
+    });
+});
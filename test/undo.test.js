@@ -0,0 +1,227 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { planTransfer } from "../src/conflicts.js";
+import { Journal } from "../src/journal.js";
+import { pendingActions, undoOperation } from "../src/undo.js";
+
+describe("journal and undo", () => {
+    let base;
+    let journal;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "undo-")));
+        journal = new Journal(path.join(base, "state", "journal.jsonl"));
+    });
+
+    afterEach(() => fs.rm(base, { recursive: true, force: true }));
+
+    /** Finish `run` and undo it the way undo_operation does. */
+    async function finishAndUndo(run) {
+        const id = await journal.finish(run);
+        const result = await undoOperation(await journal.get(id));
+        await journal.recordUndo(id, result.reverted);
+        return { id, result };
+    }
+
+    async function movedFile(run, name, contents = "<svg/>") {
+        const source = path.join(base, name);
+        const destination = path.join(base, "sorted", name);
+        await fs.writeFile(source, contents);
+        const created = await fs.mkdir(path.dirname(destination), { recursive: true });
+        run.createdDirectory(created);
+        await fs.rename(source, destination);
+        await run.moved(source, destination);
+        return { source, destination };
+    }
+
+    test("moves files back and removes the folders the operation created", async () => {
+        const run = journal.begin("organize_files", {});
+        const { source, destination } = await movedFile(run, "a.svg");
+
+        const { id, result } = await finishAndUndo(run);
+
+        assert.deepEqual(result.skipped, []);
+        assert.equal(await fs.readFile(source, "utf8"), "<svg/>");
+        await assert.rejects(fs.access(path.dirname(destination)));
+        assert.deepEqual((await journal.get(id)).reverted.sort(), [0, 1]);
+    });
+
+    test("leaves files changed since the operation alone unless forced", async () => {
+        const run = journal.begin("organize_files", {});
+        const { source, destination } = await movedFile(run, "a.svg");
+        const id = await journal.finish(run);
+        await fs.writeFile(destination, "<svg>edited</svg>");
+
+        const result = await undoOperation(await journal.get(id));
+        assert.deepEqual(result.skipped.map((s) => s.reason), ["modified", "not_empty"]);
+        await assert.rejects(fs.access(source));
+
+        const forced = await undoOperation(await journal.get(id), { force: true });
+        assert.deepEqual(forced.skipped, []);
+        assert.equal(await fs.readFile(source, "utf8"), "<svg>edited</svg>");
+    });
+
+    test("a dry run reports the steps without touching anything", async () => {
+        const run = journal.begin("organize_files", {});
+        const { destination } = await movedFile(run, "a.svg");
+
+        const id = await journal.finish(run);
+        const result = await undoOperation(await journal.get(id), { dryRun: true });
+
+        assert.equal(result.steps.length, 2);
+        assert.equal(await fs.readFile(destination, "utf8"), "<svg/>");
+    });
+
+    test("puts back the files an overwriting move or copy replaced", async () => {
+        const destDir = path.join(base, "Icons");
+        await fs.mkdir(destDir);
+        await fs.writeFile(path.join(destDir, "home.svg"), "<svg>old home</svg>");
+        await fs.writeFile(path.join(destDir, "logo.svg"), "<svg>old logo</svg>");
+        const oldMtime = new Date(2020, 0, 1);
+        await fs.utimes(path.join(destDir, "home.svg"), oldMtime, oldMtime);
+        await fs.writeFile(path.join(base, "home.svg"), "<svg>new home</svg>");
+        await fs.writeFile(path.join(base, "logo.svg"), "<svg>new logo</svg>");
+
+        // As applyTransfers does it: back up what an overwrite replaces, then transfer
+        const run = journal.begin("move_file", {});
+        for (const [action, name] of [["move", "home.svg"], ["copy", "logo.svg"]]) {
+            const op = await planTransfer(action, path.join(base, name), destDir, { strategy: "overwrite" });
+            assert.equal(op.overwrite, true);
+            const replaced = await run.backUp(op.destination);
+            if (action === "move") {
+                await fs.rename(op.source, op.destination);
+                await run.moved(op.source, op.destination, { replaced: true, ...replaced });
+            } else {
+                await fs.copyFile(op.source, op.destination);
+                await run.copied(op.source, op.destination, { replaced: true, ...replaced });
+            }
+        }
+        const backups = run.actions.map((action) => action.backup);
+
+        const { result } = await finishAndUndo(run);
+
+        assert.deepEqual(result.skipped, []);
+        assert.equal(await fs.readFile(path.join(base, "home.svg"), "utf8"), "<svg>new home</svg>");
+        assert.equal(await fs.readFile(path.join(destDir, "home.svg"), "utf8"), "<svg>old home</svg>");
+        assert.equal((await fs.stat(path.join(destDir, "home.svg"))).mtimeMs, oldMtime.getTime());
+        assert.equal(await fs.readFile(path.join(destDir, "logo.svg"), "utf8"), "<svg>old logo</svg>");
+        for (const backup of backups) {
+            await assert.rejects(fs.access(backup));
+        }
+    });
+
+    test("never deletes a file that replaced one it can't bring back", async () => {
+        const destination = path.join(base, "a.svg");
+        await fs.writeFile(destination, "<svg/>");
+        const run = journal.begin("copy_file", {});
+        await run.created(destination, { replaced: true });
+
+        const { result } = await finishAndUndo(run);
+
+        assert.deepEqual(result.skipped.map((s) => s.reason), ["replaced"]);
+        assert.equal(await fs.readFile(destination, "utf8"), "<svg/>");
+    });
+
+    test("restores deleted and hard-linked duplicates as copies of the kept file", async () => {
+        const kept = path.join(base, "kept.svg");
+        const deleted = path.join(base, "deleted.svg");
+        const linked = path.join(base, "linked.svg");
+        await fs.writeFile(kept, "<svg/>");
+        await fs.writeFile(deleted, "<svg/>");
+        await fs.writeFile(linked, "<svg/>");
+        const removedMtimeMs = (await fs.stat(deleted)).mtimeMs;
+        const replacedMtimeMs = (await fs.stat(linked)).mtimeMs;
+
+        const run = journal.begin("find_duplicates", {});
+        await fs.rm(deleted);
+        await run.removedDuplicate(deleted, kept, { removedMtimeMs });
+        await fs.rm(linked);
+        await fs.link(kept, linked);
+        await run.linked(linked, kept, { replacedMtimeMs });
+
+        const { result } = await finishAndUndo(run);
+
+        assert.deepEqual(result.skipped, []);
+        assert.equal(await fs.readFile(deleted, "utf8"), "<svg/>");
+        assert.notEqual((await fs.stat(linked)).ino, (await fs.stat(kept)).ino);
+        assert.equal(await fs.readFile(linked, "utf8"), "<svg/>");
+    });
+
+    test("restores rewritten files from their backup and then drops it", async () => {
+        const filePath = path.join(base, "a.svg");
+        await fs.writeFile(filePath, "<svg>  original  </svg>");
+        const original = await fs.stat(filePath);
+        const run = journal.begin("optimize_svg", {});
+        await run.rewrite(filePath, "<svg>optimised</svg>");
+        const [{ backup }] = run.actions;
+
+        const { result } = await finishAndUndo(run);
+
+        assert.deepEqual(result.skipped, []);
+        assert.equal(await fs.readFile(filePath, "utf8"), "<svg>  original  </svg>");
+        assert.ok(Math.abs((await fs.stat(filePath)).mtimeMs - original.mtimeMs) <= 1);
+        await assert.rejects(fs.access(backup));
+    });
+
+    test("forgets rewrites of files the run deleted again, with their backups", async () => {
+        const filePath = path.join(base, "a.svg");
+        await fs.writeFile(filePath, "<svg/>");
+        const run = journal.begin("run_pipeline", {});
+        await run.created(filePath);
+        await run.rewrite(filePath, "<svg></svg>");
+        const [, { backup }] = run.actions;
+
+        await fs.rm(filePath);
+        await run.discarded(filePath);
+
+        assert.deepEqual(run.actions, []);
+        await assert.rejects(fs.access(backup));
+        assert.equal(await journal.finish(run), null);
+    });
+
+    test("reports deleted extracted files as not undoable", async () => {
+        const run = journal.begin("cleanup_downloads", {});
+        run.deletedExtracted(path.join(base, "icons", "a.svg"), "icons.zip");
+
+        const { result } = await finishAndUndo(run);
+
+        assert.deepEqual(result.reverted, []);
+        assert.equal(result.skipped[0].reason, "deleted");
+        assert.match(result.skipped[0].message, /icons\.zip/);
+    });
+
+    test("settles an operation once only its deletions are left", async () => {
+        const older = journal.begin("organize_files", {});
+        await movedFile(older, "a.svg");
+        const olderId = await journal.finish(older);
+        const cleanup = journal.begin("cleanup_downloads", {});
+        cleanup.createdDirectory(path.join(base, "icons"));
+        cleanup.deletedExtracted(path.join(base, "icons", "a.svg"), "icons.zip");
+        const cleanupId = await journal.finish(cleanup);
+
+        assert.deepEqual(pendingActions(await journal.get(cleanupId)), [0]);
+        await journal.recordUndo(cleanupId, [0]);
+
+        const operations = await journal.list();
+        assert.deepEqual(pendingActions(operations[0]), []);
+        assert.equal(operations.find((op) => pendingActions(op).length > 0).id, olderId);
+    });
+
+    test("gives runs finishing together distinct ids", async () => {
+        const runs = await Promise.all(Array.from({ length: 10 }, async (_, index) => {
+            const run = journal.begin("copy_file", {});
+            const destination = path.join(base, `${index}.txt`);
+            await fs.writeFile(destination, String(index));
+            await run.created(destination);
+            return run;
+        }));
+
+        const ids = await Promise.all(runs.map((run) => journal.finish(run)));
+
+        assert.deepEqual([...ids].sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        assert.equal((await journal.list()).length, 10);
+    });
+});
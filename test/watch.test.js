@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { DownloadsWatcher } from "../src/watch.js";
+
+const STABLE_MS = 50;
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error("Timed out waiting for the watcher");
+        }
+        await sleep(20);
+    }
+}
+
+describe("DownloadsWatcher", () => {
+    let base;
+    let watcher;
+    let ready;
+    let errors;
+
+    beforeEach(async () => {
+        base = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), "watch-")));
+        ready = [];
+        errors = [];
+    });
+
+    afterEach(async () => {
+        watcher?.stop();
+        await fs.rm(base, { recursive: true, force: true });
+    });
+
+    function createWatcher(directory = base) {
+        watcher = new DownloadsWatcher(directory, {
+            stableMs: STABLE_MS,
+            onReady: async (filePath) => {
+                ready.push(path.basename(filePath));
+            },
+            onError: (error) => errors.push(error),
+        });
+        return watcher;
+    }
+
+    test("reports a finished download once, leaving files already there alone", async () => {
+        await fs.writeFile(path.join(base, "old.zip"), "old");
+        assert.equal(await createWatcher().start(), true);
+
+        await fs.writeFile(path.join(base, "new.zip"), "new");
+        await waitFor(() => ready.length > 0);
+        await sleep(STABLE_MS * 4);
+
+        assert.deepEqual(ready, ["new.zip"]);
+    });
+
+    test("waits while a partial file is next to the download, and never reports partial files", async () => {
+        await createWatcher().start();
+
+        // Firefox: an empty file under the final name, and the data in a .part file
+        await fs.writeFile(path.join(base, "icons.zip"), "");
+        await fs.writeFile(path.join(base, "icons.zip.part"), "data");
+        // Chrome: the data under .crdownload until it's done
+        await fs.writeFile(path.join(base, "fonts.zip.crdownload"), "data");
+        await sleep(STABLE_MS * 6);
+        assert.deepEqual(ready, []);
+
+        await fs.rename(path.join(base, "icons.zip.part"), path.join(base, "icons.zip"));
+        await fs.rename(path.join(base, "fonts.zip.crdownload"), path.join(base, "fonts.zip"));
+        await waitFor(() => ready.length === 2);
+
+        assert.deepEqual(ready.sort(), ["fonts.zip", "icons.zip"]);
+    });
+
+    test("stops and reports it when the folder is deleted", async () => {
+        await createWatcher().start();
+
+        await fs.rm(base, { recursive: true });
+        await waitFor(() => errors.length > 0);
+
+        assert.equal(errors.length, 1);
+        assert.match(errors[0].message, /no longer there/);
+        assert.equal(watcher.watcher, null);
+    });
+
+    test("stops on an error from the watch handle instead of throwing", async () => {
+        await createWatcher().start();
+
+        watcher.watcher.emit("error", Object.assign(new Error("operation not permitted"), { code: "EPERM" }));
+
+        assert.equal(errors[0].code, "EPERM");
+        assert.equal(watcher.watcher, null);
+    });
+
+    test("reports a folder it can't read when starting", async () => {
+        assert.equal(await createWatcher(path.join(base, "missing")).start(), false);
+
+        assert.equal(errors[0].code, "ENOENT");
+        assert.equal(watcher.watcher, null);
+    });
+});